@@ -0,0 +1,74 @@
+/**
+ * Script to generate TypeScript types for API request parameters from the
+ * API modules of a wiki, including those of extensions. The module info is
+ * either fetched from the wiki (action=paraminfo) or read from a JSON file
+ * saved earlier, so that builds can be done offline.
+ *
+ * The output uses the same interface names as src/api_params.ts, and re-exports
+ * the types-mediawiki types of modules not installed on the wiki, so writing it
+ * there makes mwn's own method signatures use the generated types.
+ *
+ * Requires the build to be present (npm run build).
+ *
+ * Usage:
+ * 	npm run generate:api-params -- --api https://en.wikipedia.org/w/api.php --out src/api_params.ts
+ * 	npm run generate:api-params -- --api https://en.wikipedia.org/w/api.php --save paraminfo.json
+ * 	npm run generate:api-params -- --from paraminfo.json --out src/api_params.ts
+ *
+ * Without --out, the types are written to stdout. The file given to --from can
+ * be one saved using --save, or a raw response of an action=paraminfo API call.
+ */
+
+const fs = require('fs');
+const { mwn } = require('../build/bot');
+const { generateParamTypes } = require('../build/paramtypes');
+
+const args = {};
+for (let i = 2; i < process.argv.length; i += 2) {
+	const [name, value] = [process.argv[i], process.argv[i + 1]];
+	if (!['--api', '--from', '--save', '--out'].includes(name) || value === undefined) {
+		console.error(`Bad argument: ${name}. See the usage at the top of ${__filename}`);
+		process.exit(1);
+	}
+	args[name.slice(2)] = value;
+}
+if (!args.api === !args.from) {
+	console.error('Either --api or --from must be given');
+	process.exit(1);
+}
+
+async function getModules() {
+	if (args.from) {
+		const json = JSON.parse(fs.readFileSync(args.from, 'utf8'));
+		return Array.isArray(json) ? json : json.paraminfo.modules;
+	}
+	const bot = new mwn({
+		apiUrl: args.api,
+		userAgent: 'mwn/generate-api-params (https://github.com/siddharthvp/mwn)',
+		silent: true,
+	});
+	const modules = await bot.paramInfo.getAllModules();
+	if (args.save) {
+		fs.writeFileSync(args.save, JSON.stringify(modules, null, '\t') + '\n');
+	}
+	return modules;
+}
+
+getModules().then(
+	(modules) => {
+		const types = generateParamTypes(modules, {
+			source: args.api || args.from,
+			fallback: 'types-mediawiki/api_params',
+		});
+		if (args.out) {
+			fs.writeFileSync(args.out, types);
+			console.error(`Wrote types for ${modules.length} modules to ${args.out}`);
+		} else {
+			process.stdout.write(types);
+		}
+	},
+	(err) => {
+		console.error(err);
+		process.exit(1);
+	}
+);
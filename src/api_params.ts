@@ -1 +1,5 @@
+// Types of API request parameters, used in mwn's own method signatures. To have
+// types matching the API modules of a particular wiki, including those of its
+// extensions, this file can be replaced with the output of
+// scripts/generate-api-params.js.
 export * from 'types-mediawiki/api_params';
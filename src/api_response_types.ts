@@ -13,6 +13,8 @@ export type ApiEditResponse = {
 	oldrevid: number;
 	newrevid: number;
 	newtimestamp: string;
+	/** Set for edits not actually made, due to the dryRun option */
+	dryrun?: true;
 };
 
 // TODO: make these more specific
@@ -172,4 +174,6 @@ export interface ApiRevisionSlot {
 	contentmodel?: string;
 	contentformat?: string;
 	content?: string;
+	/** Set for slots which were asked for, but are not present in the revision */
+	missing?: true;
 }
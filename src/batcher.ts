@@ -0,0 +1,203 @@
+/**
+ * Coalescing of concurrent single-page queries into batched API calls, in
+ * the manner of DataLoader (https://github.com/graphql/dataloader). Used by
+ * page.exists(), page.isRedirect(), page.getRedirectTarget() and bot.read()
+ * for single titles, if the `batchQueries` option is set.
+ */
+
+import type { ApiParams, mwn } from './bot';
+import type { ApiPage, ApiResponse } from './api_response_types';
+import { MwnError } from './error';
+import { arrayChunk, merge } from './utils';
+
+/**
+ * Parameters which make the API return results for only one page, or which
+ * return results page by page. Queries using these are not batched.
+ */
+const singlePageParams = [
+	'generator',
+	'continue',
+	'rvlimit',
+	'rvstart',
+	'rvend',
+	'rvstartid',
+	'rvendid',
+	'rvdir',
+	'rvuser',
+	'rvexcludeuser',
+	'rvtag',
+	'rvcontinue',
+];
+
+interface PendingLoad {
+	title: string;
+	resolve: (page: ApiPage) => void;
+	reject: (err: any) => void;
+}
+
+interface PendingBatch {
+	query: ApiParams;
+	loads: PendingLoad[];
+}
+
+export class QueryBatcher {
+	bot: mwn;
+
+	/** Loads waiting to be dispatched, grouped by the rest of the query */
+	private queue = new Map<string, PendingBatch>();
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+	}
+
+	/**
+	 * Whether a query can be combined with others differing only in the titles
+	 * @param {Object} query
+	 */
+	canBatch(query: ApiParams): boolean {
+		return (
+			this.bot.options.batchQueries &&
+			(query.action === undefined || query.action === 'query') &&
+			!singlePageParams.some((param) => query[param] !== undefined)
+		);
+	}
+
+	/**
+	 * Get the page object for one title from a query. Loads requested in the
+	 * same tick with the same query are sent together as one request (or more,
+	 * if there are more titles than can go in one request).
+	 * @param {Object} query - API parameters, other than titles
+	 * @param {string} title
+	 * @returns {Promise<ApiPage>}
+	 */
+	load(query: ApiParams, title: string): Promise<ApiPage> {
+		if (!this.canBatch(query)) {
+			return this.bot.query({ ...query, titles: title }).then((response) => response.query.pages[0]);
+		}
+		const key = JSON.stringify(Object.entries(query).sort(([a], [b]) => (a < b ? -1 : 1)));
+		return new Promise((resolve, reject) => {
+			if (!this.queue.size) {
+				// Run after the promise jobs queued up in this tick, so that loads
+				// made right after an await are also picked up
+				Promise.resolve().then(() => process.nextTick(() => this.dispatch()));
+			}
+			if (!this.queue.has(key)) {
+				this.queue.set(key, { query, loads: [] });
+			}
+			this.queue.get(key).loads.push({ title, resolve, reject });
+		});
+	}
+
+	/**
+	 * Send out all pending loads
+	 */
+	dispatch() {
+		const batches = [...this.queue.values()];
+		this.queue.clear();
+		const limit = this.bot.hasApiHighLimit ? 500 : 50;
+		for (let { query, loads } of batches) {
+			const titles = [...new Set(loads.map((load) => load.title))];
+			for (let chunk of arrayChunk(titles, limit)) {
+				const chunkLoads = loads.filter((load) => chunk.includes(load.title));
+				this.request({ action: 'query', ...query, titles: chunk }).then(
+					(response) => {
+						const pages = QueryBatcher.getPages(response, query, chunk);
+						const served = new Set<ApiPage>();
+						for (let load of chunkLoads) {
+							let page = pages[chunk.indexOf(load.title)];
+							if (!page) {
+								load.reject(
+									new MwnError({
+										code: 'mwn_pagenotfound',
+										info: `Page ${load.title} not found in the API response`,
+										response,
+									})
+								);
+								continue;
+							}
+							// Each caller gets its own copy, as callers may mutate the object
+							load.resolve(served.has(page) ? JSON.parse(JSON.stringify(page)) : page);
+							served.add(page);
+						}
+					},
+					(err) => {
+						chunkLoads.forEach((load) => load.reject(err));
+					}
+				);
+			}
+		}
+	}
+
+	/**
+	 * Send a batched query, following continuations (such as when the content of
+	 * all pages doesn't fit in one response) and merging the pages from each part
+	 * into the first response.
+	 * @param {Object} params
+	 * @returns {Promise<ApiResponse>}
+	 */
+	private async request(params: ApiParams): Promise<ApiResponse> {
+		let response = await this.bot.request(params, { method: 'post' });
+		const result = response;
+		while (response.continue) {
+			response = await this.bot.request(merge(params, response.continue), { method: 'post' });
+			QueryBatcher.mergePages(result, response);
+		}
+		delete result.continue;
+		return result;
+	}
+
+	/**
+	 * Merge the page objects of a continued query response into those of the
+	 * earlier response. Properties given as arrays (revisions, categories, etc.)
+	 * are concatenated.
+	 * @param {Object} result
+	 * @param {Object} response
+	 */
+	static mergePages(result: ApiResponse, response: ApiResponse) {
+		if (!result.query) {
+			result.query = { pages: [] };
+		}
+		const pages: ApiPage[] = (result.query.pages = result.query.pages || []);
+		for (let page of response.query?.pages || []) {
+			const existing: Record<string, any> = pages.find((pg) => pg.title === page.title);
+			if (!existing) {
+				pages.push(page);
+				continue;
+			}
+			for (let [prop, value] of Object.entries(page)) {
+				if (Array.isArray(value) && Array.isArray(existing[prop])) {
+					existing[prop] = existing[prop].concat(value);
+				} else if (existing[prop] === undefined) {
+					existing[prop] = value;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Pick out the page objects for the given titles from a query response,
+	 * following title normalisations, variant conversions and (if asked
+	 * for in the query) redirects.
+	 * @param {Object} response
+	 * @param {Object} query
+	 * @param {string[]} titles
+	 * @returns {ApiPage[]} in the same order as the titles
+	 */
+	static getPages(response: ApiResponse, query: ApiParams, titles: string[]): ApiPage[] {
+		const pages: ApiPage[] = response.query?.pages || [];
+		const mappings: Array<{ from: string; to: string }>[] = [
+			response.query?.normalized,
+			response.query?.converted,
+			query.redirects ? response.query?.redirects : null,
+		];
+		return titles.map((title) => {
+			for (let mapping of mappings) {
+				let entry = (mapping || []).find((entry) => entry.from === title);
+				if (entry) {
+					title = entry.to;
+				}
+			}
+			return pages.find((page) => page.title === title);
+		});
+	}
+}
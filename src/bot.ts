@@ -35,30 +35,44 @@ import * as fs from 'fs';
 import * as path from 'path';
 import * as crypto from 'crypto';
 import * as stream from 'stream';
-import * as http from 'http';
-import * as https from 'https';
 
 // NPM modules
-import axios, { AxiosResponse } from 'axios';
+import type { AxiosResponse } from 'axios';
 import * as tough from 'tough-cookie';
 import * as OAuth from 'oauth-1.0a';
 
 // Nested classes of mwn
 import MwnDateFactory, { MwnDate } from './date';
-import MwnTitleFactory, { MwnTitle, siteinfoqueryResponse } from './title';
+import MwnTitleFactory, { MwnTitle, MwnTitleStatic, siteinfoqueryResponse } from './title';
 import MwnPageFactory, { MwnPage } from './page';
 import MwnWikitextFactory, { MwnWikitext } from './wikitext';
 import MwnUserFactory, { MwnUser } from './user';
 import MwnCategoryFactory, { MwnCategory } from './category';
 import MwnFileFactory, { MwnFile } from './file';
 import MwnStreamFactory, { MwnStream } from './eventstream';
-import { RawRequestParams, Request, Response } from './core';
-import { log, updateLoggingConfig } from './log';
+import { MwnMiddleware, RawRequestParams, Request, Response } from './core';
+import { RateLimit, RateLimiter } from './ratelimit';
+import { LagThrottle, LagThrottleOptions } from './lag';
+import { ParamInfo } from './paraminfo';
+import { RestClient } from './rest';
+import { CompareResult, parseDiffHtml } from './compare';
+import { CircuitBreaker, CircuitBreakerOptions, isTransientFailure, RetryPolicy } from './retry';
+import { CacheOptions, FileCacheStore, MemoryCacheStore, ResponseCache } from './cache';
+import { Cassette } from './cassette';
+import { DryRun } from './dryrun';
+import { MwnStats, RequestStats } from './stats';
+import { QueryBatcher } from './batcher';
+import { Farm } from './farm';
+import { OAuth2Client, OAuth2Credentials } from './oauth2';
+import { OAuth2Flow, OAuthFlow } from './oauth_flow';
+import { AxiosTransport, createTransport, FetchTransport, Transport, TransportOptions } from './transport';
+import { log, logDiff, updateLoggingConfig } from './log';
 import { MwnError, rejectWithError, rejectWithErrorCode } from './error';
 import { link, table, template, util } from './static_utils';
 import { arrayChunk, ispromise, makeTitle, makeTitles, merge, mergeDeep1, sleep } from './utils';
 
 import type {
+	ApiComparePagesParams,
 	ApiDeleteParams,
 	ApiEditPageParams,
 	ApiMoveParams,
@@ -89,8 +103,32 @@ import {
 export { MwnDate, MwnTitle, MwnPage, MwnFile, MwnCategory, MwnWikitext, MwnUser, MwnStream, ApiPage, ApiRevision };
 // Export, if only for the sake of getting generated documentation
 export * from './api_response_types';
-export type { PageViewData, PageViewOptions, AuthorshipData } from './page';
-export type { TemplateConfig, Template, MwnWikitextStatic } from './wikitext';
+export type { PageViewData, PageViewOptions, AuthorshipData, SectionSelector } from './page';
+export type { TemplateConfig, Template, MwnWikitextStatic, DiffOptions, WikitextDiff } from './wikitext';
+export type { MwnMiddleware } from './core';
+export type { RateLimit, ApiRateLimits } from './ratelimit';
+export type { LagThrottleOptions, LagEvent, LagPauseEvent } from './lag';
+export type { ParamInfoModule, ParamInfoParameter } from './paraminfo';
+export type { ParamTypesOptions } from './paramtypes';
+export type { CompareResult, DiffBlock, DiffLine } from './compare';
+export type {
+	RestRequestOptions,
+	RestResponse,
+	RestPage,
+	RestRevisionSummary,
+	RestHistory,
+	RestHistoryOptions,
+	RestDiffLine,
+	RestCompare,
+	RestSearchResult,
+} from './rest';
+export type { RetryPolicy, CircuitBreakerOptions } from './retry';
+export type { CacheOptions, CacheStore, CacheEntry } from './cache';
+export type { MwnStats, ModuleStats, LatencyHistogram } from './stats';
+export type { FarmSite } from './farm';
+export type { OAuth2Credentials } from './oauth2';
+export type { Transport, TransportOptions } from './transport';
+export type { OAuthFlowOptions, OAuth2FlowOptions, OAuthToken, OAuth2Token, OAuthIdentity } from './oauth_flow';
 
 export interface MwnOptions {
 	silent?: boolean;
@@ -104,8 +142,12 @@ export interface MwnOptions {
 		accessToken: string;
 		accessSecret: string;
 	};
+	OAuth2Credentials?: OAuth2Credentials;
 	maxRetries?: number;
 	retryPause?: number;
+	retryPolicy?: RetryPolicy;
+	circuitBreaker?: CircuitBreakerOptions;
+	cache?: CacheOptions;
 	shutoff?: {
 		intervalDuration?: number;
 		page?: string;
@@ -113,17 +155,92 @@ export interface MwnOptions {
 		onShutoff?: (text: string) => void;
 	};
 	defaultParams?: ApiParams;
+	rateLimit?: {
+		writes?: boolean;
+		reads?: RateLimit;
+		burst?: number;
+	};
+	lagThrottle?: LagThrottleOptions;
 	suppressAPIWarnings?: boolean;
 	editConfig?: editConfigType;
 	suppressInvalidDateWarning?: boolean;
+	recordTo?: string;
+	replayFrom?: string;
+	dryRun?: boolean;
+	batchQueries?: boolean;
+	strictParams?: boolean;
+	transport?: 'axios' | 'fetch' | Transport;
+	transportOptions?: TransportOptions;
+}
+
+/**
+ * Session data written by saveSession(), for use with restoreSession()
+ */
+export interface MwnSession {
+	apiUrl: string;
+	username: string;
+	/** Serialized tough-cookie jar */
+	cookies: tough.CookieJar.Serialized;
+	state: any;
+	csrfToken: string;
+	hasApiHighLimit: boolean;
+	/** Namespace data of the title class, as set by processNamespaceData() */
+	namespaceData: Pick<MwnTitleStatic, 'idNameMap' | 'nameIdMap' | 'legaltitlechars' | 'caseSensitiveNamespaces'>;
+}
+
+/**
+ * A field of the login form, as described by the API
+ * (see https://www.mediawiki.org/wiki/API:Login#Method_2._clientlogin)
+ */
+export interface ClientLoginField {
+	type: 'string' | 'password' | 'select' | 'checkbox' | 'multiselect' | 'button' | 'hidden' | 'null';
+	label: string;
+	help: string;
+	optional?: boolean;
+	sensitive?: boolean;
+	value?: string;
+	options?: Record<string, string>;
+}
+
+/**
+ * Callback for clientLogin(), called when the wiki asks for more information,
+ * such as a two-factor authentication code or a captcha answer. Should return
+ * (or resolve to) the values of the requested fields, keyed by field name.
+ */
+export type ClientLoginCallback = (
+	fields: Record<string, ClientLoginField>,
+	message: string,
+	response: ApiResponse
+) => Record<string, string> | Promise<Record<string, string>>;
+
+export interface ClientLoginOptions {
+	username?: string;
+	password?: string;
+	apiUrl?: string;
+	/** Called for fields other than the username and password */
+	onFieldsRequested?: ClientLoginCallback;
+	/** Defaults to the apiUrl. Only used by providers which redirect to a third party. */
+	returnUrl?: string;
+	/** Max number of times the callback is called before giving up, defaults to 5 */
+	maxPrompts?: number;
 }
 
 type editConfigType = {
 	conflictRetries?: number;
 	suppressNochangeWarning?: boolean;
 	exclusionRegex?: RegExp;
+	logDiff?: boolean | 'line' | 'word';
+	slots?: string[];
 };
 
+/** Content to save in a slot: the text, or the text along with its content model and format */
+export type SlotContent = string | { content: string; contentmodel?: string; contentformat?: string };
+
+/** Edit parameters, along with the content to save in each slot, keyed by slot role */
+export interface SlotEditParams extends ApiEditPageParams {
+	slots?: Record<string, SlotContent>;
+}
+
 export type ApiParams = {
 	[param: string]:
 		| string
@@ -185,6 +302,15 @@ export class mwn {
 			accessSecret: null,
 		},
 
+		// OAuth 2.0 credentials: either an access token, or the client ID and
+		// secret (with a refresh token, if any) used to get access tokens
+		OAuth2Credentials: {
+			accessToken: null,
+			clientId: null,
+			clientSecret: null,
+			refreshToken: null,
+		},
+
 		// max number of times to retry the same request on errors due to
 		// maxlag, wiki being in readonly mode, and other transient errors
 		maxRetries: 3,
@@ -192,6 +318,26 @@ export class mwn {
 		// milliseconds to pause before retrying after a transient error
 		retryPause: 5000,
 
+		// timing of retries after network-level failures
+		retryPolicy: {
+			// 'fixed' or 'exponential'
+			strategy: 'fixed',
+			// max milliseconds to pause before a retry
+			maxDelay: 60000,
+			// randomise pauses so that multiple clients don't retry at the same time
+			jitter: false,
+			// respect the Retry-After header in HTTP 429 and 503 responses
+			respectRetryAfter: true,
+		},
+
+		// stop sending requests to a host for some time after repeated failures
+		circuitBreaker: {
+			// number of consecutive failures, 0 to disable
+			threshold: 0,
+			// milliseconds for which requests aren't sent
+			cooldown: 60000,
+		},
+
 		// Bot emergency shutoff options
 		shutoff: {
 			intervalDuration: 10000,
@@ -207,6 +353,38 @@ export class mwn {
 			maxlag: 5,
 		},
 
+		// client-side rate limiting of API requests
+		rateLimit: {
+			// pace write actions (edit, move, upload, rollback, emailuser) as per the
+			// account's rate limits, which are fetched in getTokensAndSiteInfo()
+			writes: true,
+			// max number of read requests (query, parse, etc.) allowed per time period,
+			// eg. { hits: 100, seconds: 60 }
+			reads: null,
+			// number of requests that can be sent in quick succession before pacing kicks in
+			burst: 1,
+		},
+
+		// throttling of writes while the wiki's database replicas are lagged
+		lagThrottle: {
+			// on maxlag errors, pause all writes to the wiki rather than just the failed request
+			enabled: true,
+			// seconds of lag (as per X-Database-Lag headers) from which writes are spaced out,
+			// by as many seconds. Defaults to half of the maxlag parameter.
+			slowdownLag: null,
+		},
+
+		// caching of responses to read-only queries
+		cache: {
+			enabled: false,
+			// milliseconds for which cached responses are used
+			ttl: 5 * 60 * 1000,
+			// max number of responses held in memory
+			maxEntries: 1000,
+			// storage backend, in-memory by default. Use new mwn.FileCacheStore(dir) for an on-disk cache
+			store: null,
+		},
+
 		// suppress logging of warnings received from the API
 		suppressAPIWarnings: false,
 
@@ -218,7 +396,36 @@ export class mwn {
 			suppressNochangeWarning: false,
 			// abort edit if exclusionRegex matches on the page content
 			exclusionRegex: null,
+			// log the diff of each edit made, unless silent is set: 'line' (or true) or 'word' for word-level changes
+			logDiff: false,
+			// roles of the slots other than main to fetch and give to the transform function of edit()
+			slots: [],
 		},
+
+		// path of a JSON file to record all HTTP requests and their responses to
+		recordTo: null,
+
+		// path of a JSON file recorded earlier using recordTo, to serve requests from
+		// instead of the network
+		replayFrom: null,
+
+		// log write requests instead of sending them
+		dryRun: false,
+
+		// HTTP client used to send requests: 'axios' (used if not set), 'fetch'
+		// (Node.js 18+), or a custom object implementing the Transport interface
+		transport: null,
+
+		// options for the built-in transports: keepAlive, rejectUnauthorized and proxy
+		transportOptions: {},
+
+		// combine concurrent single-page queries from page.exists(), bot.read(title), etc.
+		// into batched API calls (opt-in)
+		batchQueries: false,
+
+		// check request parameters against the API's paraminfo before sending requests,
+		// rejecting requests with unknown parameters, invalid values, etc
+		strictParams: false,
 	};
 
 	/**
@@ -234,20 +441,23 @@ export class mwn {
 	 */
 	cookieJar = new tough.CookieJar();
 
+	/**
+	 * HTTP client used by rawRequest(), as set in the transport option
+	 */
+	transport: Transport;
+
 	static requestDefaults: RawRequestParams = {
 		headers: {
 			'Accept-Encoding': 'gzip',
 		},
 
-		// keep-alive pools and reuses TCP connections, for better performance
-		httpAgent: new http.Agent({ keepAlive: true }),
-		httpsAgent: new https.Agent({ keepAlive: true, rejectUnauthorized: false }),
+		// HTTP agents are set by the transport of each instance, see the transportOptions
 
 		timeout: 60000, // 60 seconds
 	};
 
 	/**
-	 * Request options for the axios library.
+	 * Request options, in the format of the axios library whichever transport is used.
 	 * Change the defaults using setRequestOptions()
 	 * @type {Object}
 	 */
@@ -271,10 +481,101 @@ export class mwn {
 
 	oauth: OAuth;
 
+	/**
+	 * OAuth 2.0 client, holding the current access token
+	 */
+	oauth2: OAuth2Client;
+
+	/**
+	 * Set if using OAuth, either 1.0a or 2.0
+	 */
 	usingOAuth: boolean;
 
+	usingOAuth2: boolean;
+
+	/**
+	 * Middleware registered via use()
+	 */
+	middleware: MwnMiddleware[] = [];
+
+	/**
+	 * Client-side rate limiter, configured via the rateLimit option
+	 */
+	rateLimiter = new RateLimiter(this);
+
+	/**
+	 * Tracker of the replication lag of wikis, which holds back writes while they
+	 * are lagged. Configured via the lagThrottle option. Emits lag, pause and
+	 * resume events.
+	 */
+	lagThrottle = new LagThrottle(this);
+
+	/**
+	 * Per-host circuit breaker, configured via the circuitBreaker option
+	 */
+	circuitBreaker = new CircuitBreaker(this);
+
+	/**
+	 * Cache of responses to read-only queries, configured via the cache option
+	 */
+	cache = new ResponseCache(this);
+
+	/**
+	 * Cassette for recording or replaying HTTP interactions, set up from the
+	 * recordTo or replayFrom options
+	 */
+	cassette: Cassette = null;
+
+	/**
+	 * Interceptor of write requests, used if the dryRun option is set
+	 */
+	dryRun = new DryRun(this);
+
+	/**
+	 * Collector of the stats returned by stats()
+	 */
+	requestStats = new RequestStats(this);
+
+	/**
+	 * Batcher of concurrent single-page queries, used if the batchQueries option is set
+	 */
+	queryBatcher = new QueryBatcher(this);
+
+	/**
+	 * Cache of API module info, used to check requests if the strictParams option is set
+	 */
+	paramInfo = new ParamInfo(this);
+
+	/**
+	 * Client for the REST API (rest.php) of the wiki
+	 */
+	rest = new RestClient(this);
+
 	static Error = MwnError;
 
+	static MemoryCacheStore = MemoryCacheStore;
+	static FileCacheStore = FileCacheStore;
+
+	/**
+	 * Manager of bot instances for multiple wikis.
+	 * See {@link Farm}.
+	 */
+	static Farm = Farm;
+
+	/**
+	 * Built-in HTTP transports, which can be constructed with custom options
+	 * for use in the transport option
+	 */
+	static AxiosTransport = AxiosTransport;
+	static FetchTransport = FetchTransport;
+
+	/**
+	 * Helpers for running the OAuth 1.0a and OAuth 2.0 authorization flows, for
+	 * tools acting on behalf of their users. See {@link OAuthFlow} and {@link OAuth2Flow}.
+	 */
+	static OAuthFlow = OAuthFlow;
+	static OAuth2Flow = OAuth2Flow;
+
 	// Expose logger
 	static log = log;
 	static setLoggingConfig = updateLoggingConfig;
@@ -359,11 +660,19 @@ export class mwn {
 			}
 		}
 		this.options = mergeDeep1(this.defaultOptions, customOptions);
+		this.transport = createTransport(this.options.transport, this.options.transportOptions);
+
+		if (this.options.replayFrom) {
+			this.cassette = new Cassette(this.options.replayFrom, 'replay');
+		} else if (this.options.recordTo) {
+			this.cassette = new Cassette(this.options.recordTo, 'record');
+		}
 	}
 
 	/**
 	 * Initialize a bot object. Login to the wiki and fetch editing tokens. If OAuth
-	 * credentials are provided, they will be used over BotPassword credentials.
+	 * credentials are provided, they will be used over BotPassword credentials,
+	 * with OAuth 2.0 credentials being preferred over OAuth 1.0a ones.
 	 * Also fetches the site data needed for parsing and constructing title objects.
 	 * @param {Object} config - Bot configurations, including apiUrl, and either the
 	 * username and password or the OAuth credentials
@@ -371,7 +680,10 @@ export class mwn {
 	 */
 	static async init(config: MwnOptions): Promise<mwn> {
 		const bot = new mwn(config);
-		if (bot._usingOAuth()) {
+		if (bot._usingOAuth2()) {
+			bot.initOAuth2();
+			await bot.getTokensAndSiteInfo();
+		} else if (bot._usingOAuth()) {
 			bot.initOAuth();
 			await bot.getTokensAndSiteInfo();
 		} else {
@@ -380,12 +692,61 @@ export class mwn {
 		return bot;
 	}
 
+	/**
+	 * Initialize a bot object from a session saved earlier using saveSession(),
+	 * avoiding a fresh login. The session is checked to be still valid using
+	 * an assert=user query. If it isn't, or if the session file can't be read,
+	 * or is for a different wiki or user, a full login is done instead.
+	 * @param {string} path - path of the session file
+	 * @param {Object} config - Bot configurations, including the apiUrl, username
+	 * and password
+	 * @returns {Promise<mwn>} bot object
+	 */
+	static async restoreSession(path: string, config: MwnOptions): Promise<mwn> {
+		const bot = new mwn(config);
+		let session: MwnSession;
+		try {
+			session = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+		} catch (err) {
+			log(`[W] Could not read session file ${path}, logging in afresh: ${err}`);
+			await bot.login();
+			return bot;
+		}
+		if (session.apiUrl !== bot.options.apiUrl || session.username !== bot.options.username) {
+			log(`[W] Session in ${path} is for a different wiki or user, logging in afresh`);
+			await bot.login();
+			return bot;
+		}
+
+		bot.cookieJar = await tough.CookieJar.deserialize(session.cookies);
+		bot.state = session.state;
+		bot.csrfToken = session.csrfToken;
+		bot.hasApiHighLimit = session.hasApiHighLimit;
+		Object.assign(bot.title, session.namespaceData);
+
+		try {
+			// On assertuserfailed, request() itself logs in again and retries, unless
+			// retries are disabled
+			const userinfo = await bot.userinfo({ uiprop: ['rights', 'ratelimits'], assert: 'user' });
+			bot.hasApiHighLimit = userinfo.rights.includes('apihighlimit');
+			bot.rateLimiter.setLimits(userinfo.ratelimits);
+			bot.loggedIn = true;
+		} catch (err) {
+			log(`[W] Restored session is no longer valid, logging in afresh: ${err}`);
+			await bot.login();
+		}
+		return bot;
+	}
+
 	/**
 	 * Set and overwrite mwn options
 	 * @param {Object} customOptions
 	 */
 	setOptions(customOptions: MwnOptions) {
 		this.options = mergeDeep1(this.options, customOptions);
+		if (customOptions.transport || customOptions.transportOptions) {
+			this.transport = createTransport(this.options.transport, this.options.transportOptions);
+		}
 	}
 
 	/**
@@ -398,8 +759,8 @@ export class mwn {
 	}
 
 	/**
-	 * Sets and overwrites the raw request options, used by the axios library
-	 * See https://www.npmjs.com/package/axios
+	 * Sets and overwrites the raw request options, in the format used by the
+	 * axios library. See https://www.npmjs.com/package/axios
 	 */
 	setRequestOptions(customRequestOptions: RawRequestParams) {
 		return mergeDeep1(this.requestOptions, customRequestOptions);
@@ -422,6 +783,46 @@ export class mwn {
 		this.options.userAgent = userAgent;
 	}
 
+	/**
+	 * Register a middleware to hook into API requests made via request().
+	 * Use this to modify API parameters or request options, serve responses
+	 * without hitting the network, or to inspect or transform responses and errors.
+	 * See {@link MwnMiddleware}.
+	 * @param {MwnMiddleware} middleware
+	 * @returns {mwn} the bot instance, for chaining
+	 */
+	use(middleware: MwnMiddleware): this {
+		this.middleware.push(middleware);
+		return this;
+	}
+
+	/**
+	 * Get statistics of the API requests made so far: number of requests and
+	 * latency histograms per API module, retries by reason, API error codes
+	 * received, bytes sent and received, and edits made.
+	 * @returns {MwnStats}
+	 */
+	stats(): MwnStats {
+		return this.requestStats.snapshot();
+	}
+
+	/**
+	 * Reset all the numbers returned by stats()
+	 */
+	resetStats(): void {
+		this.requestStats.reset();
+	}
+
+	/**
+	 * Get the stats in the Prometheus text exposition format, for serving
+	 * from a /metrics endpoint.
+	 * @param {string} [prefix=mwn] - prefix for the metric names
+	 * @returns {string}
+	 */
+	prometheusMetrics(prefix?: string): string {
+		return this.requestStats.toPrometheus(prefix);
+	}
+
 	/**
 	 * @private
 	 * Determine if we're going to use OAuth for authentication
@@ -464,11 +865,37 @@ export class mwn {
 		}
 	}
 
+	/**
+	 * @private
+	 * Determine if we're going to use OAuth 2.0 for authentication
+	 */
+	private _usingOAuth2(): boolean {
+		const creds = this.options.OAuth2Credentials;
+		if (typeof creds !== 'object' || creds === null) {
+			return false;
+		}
+		return !!(creds.accessToken || (creds.clientId && creds.clientSecret));
+	}
+
+	/**
+	 * Initialize OAuth 2.0 authentication. Requests are sent with the access token
+	 * as a bearer token. If the client ID and secret are given, a new access token
+	 * is obtained when the current one expires or is rejected by the API.
+	 */
+	initOAuth2() {
+		if (!this._usingOAuth2()) {
+			throw new Error('[mwn] Invalid OAuth 2 config: need either an access token, or a client ID and secret');
+		}
+		this.oauth2 = new OAuth2Client(this);
+		this.usingOAuth = true;
+		this.usingOAuth2 = true;
+	}
+
 	/************ CORE REQUESTS ***************/
 
 	/**
 	 * Executes a raw request
-	 * Uses the axios library
+	 * Uses the transport set in the options, axios by default
 	 * @param {Object} requestOptions
 	 * @returns {Promise}
 	 */
@@ -481,18 +908,34 @@ export class mwn {
 				request: requestOptions,
 			});
 		}
-		return axios(
-			mergeDeep1(
-				{},
-				mwn.requestDefaults,
-				{
-					method: 'get',
-					headers: {
-						'User-Agent': this.options.userAgent,
-					},
+		await this.circuitBreaker.check(requestOptions.url);
+		const config = mergeDeep1(
+			{},
+			mwn.requestDefaults,
+			{
+				method: 'get',
+				headers: {
+					'User-Agent': this.options.userAgent,
 				},
-				requestOptions
-			)
+			},
+			requestOptions
+		);
+		if (this.cassette?.mode === 'replay') {
+			return this.cassette.replay(config);
+		}
+		return this.transport.request(config).then(
+			(response) => {
+				this.circuitBreaker.recordSuccess(requestOptions.url);
+				this.cassette?.record(config, response);
+				return response;
+			},
+			(error) => {
+				if (isTransientFailure(error)) {
+					this.circuitBreaker.recordFailure(requestOptions.url);
+				}
+				this.cassette?.record(config, null, error);
+				return Promise.reject(error);
+			}
 		);
 	}
 
@@ -512,13 +955,50 @@ export class mwn {
 		}
 
 		const req = new Request(this, params, customRequestOptions);
-		await req.process();
 
-		return this.rawRequest(req.requestParams).then(
-			(fullResponse: AxiosResponse<ApiResponse>) =>
-				new Response(this, req.apiParams, req.requestParams).process(fullResponse),
-			(error) => new Response(this, req.apiParams, req.requestParams).handleRequestFailure(error)
-		);
+		return req
+			.process()
+			.then(async (response) => {
+				if (response) {
+					return response;
+				}
+				if (this.options.dryRun && this.dryRun.isWriteRequest(req)) {
+					return this.dryRun.handle(req);
+				}
+				const cachedResponse = await this.cache.get(req);
+				if (cachedResponse) {
+					return cachedResponse;
+				}
+				await this.lagThrottle.wait(req.apiParams, req.requestParams);
+				await this.rateLimiter.wait(req.apiParams);
+				const startTime = Date.now();
+				return this.rawRequest(req.requestParams)
+					.then(
+						(fullResponse: AxiosResponse<ApiResponse>) => {
+							this.requestStats.recordRequest(
+								req.apiParams,
+								req.requestParams,
+								Date.now() - startTime,
+								false
+							);
+							return new Response(this, req.apiParams, req.requestParams).process(fullResponse);
+						},
+						(error) => {
+							this.requestStats.recordRequest(
+								req.apiParams,
+								req.requestParams,
+								Date.now() - startTime,
+								true
+							);
+							return new Response(this, req.apiParams, req.requestParams).handleRequestFailure(error);
+						}
+					)
+					.then((response) => this.cache.handleResponse(req, response));
+			})
+			.then(
+				(response) => req.handleResponse(response),
+				(error) => req.handleError(error)
+			);
 	}
 
 	async query(params: ApiParams, customRequestOptions: RawRequestParams = {}): Promise<ApiResponse> {
@@ -611,6 +1091,153 @@ export class mwn {
 		});
 	}
 
+	/**
+	 * Log in using action=clientlogin, which works with the main account password,
+	 * unlike login() which requires a BotPassword. If the wiki asks for more
+	 * information, such as a two-factor authentication (OATH) code or a captcha
+	 * answer, the onFieldsRequested callback is called to fill in the fields. Once
+	 * logged in, the tokens and site info are fetched, as with login().
+	 * @see https://www.mediawiki.org/wiki/API:Login#Method_2._clientlogin
+	 * @param {ClientLoginOptions} [options]
+	 * @returns {Promise<ApiResponse>} the clientlogin response, with status PASS
+	 */
+	async clientLogin(options: ClientLoginOptions = {}): Promise<ApiResponse> {
+		const { onFieldsRequested, returnUrl, maxPrompts = 5, ...credentials } = options;
+		this.options = merge(this.options, credentials);
+		if (!this.options.username || !this.options.password || !this.options.apiUrl) {
+			return rejectWithError({
+				code: 'mwn_nologincredentials',
+				info: 'Incomplete login credentials!',
+			});
+		}
+		let loginString = this.options.username + '@' + this.options.apiUrl.split('/api.php').join('');
+
+		// Get the values of the fields asked for, other than the username and password
+		let prompts = 0;
+		const askForFields = async (
+			fields: Record<string, ClientLoginField>,
+			message: string,
+			response: ApiResponse
+		) => {
+			const values: Record<string, string> = {};
+			// Fields to be filled in, along with informational fields like the captcha
+			// image URL, which are needed to fill them in
+			let requested: Record<string, ClientLoginField> = {};
+			let inputs: string[] = [];
+			for (let [name, field] of Object.entries(fields || {})) {
+				if (field.type === 'hidden') {
+					// eg. the captcha ID, needs to be sent back as is
+					values[name] = field.value;
+				} else if (!['username', 'password', 'rememberMe'].includes(name)) {
+					requested[name] = field;
+					if (field.type !== 'null') {
+						inputs.push(name);
+					}
+				}
+			}
+			if (inputs.length) {
+				if (prompts++ >= maxPrompts) {
+					return rejectWithError({
+						code: 'mwn_failedlogin',
+						info: `Login still needs ${inputs.join(', ')} after ${maxPrompts} attempts`,
+						response,
+					});
+				}
+				if (!onFieldsRequested) {
+					return rejectWithError({
+						code: 'mwn_clientloginui',
+						info: `Login needs ${inputs.join(', ')}, but no onFieldsRequested callback was given`,
+						response,
+					});
+				}
+				Object.assign(values, await onFieldsRequested(requested, message, response));
+			}
+			return values;
+		};
+
+		// Step 1: Fetch login token, and the fields needed for login (which may
+		// include a captcha)
+		const startResponse = await this.request({
+			action: 'query',
+			meta: 'tokens|authmanagerinfo',
+			type: 'login',
+			amirequestsfor: 'login',
+			amimergerequestfields: true,
+			// as in login(), assert won't work till the user is logged in
+			assert: undefined,
+		});
+		const loginToken = startResponse?.query?.tokens?.logintoken;
+		if (!loginToken) {
+			log('[E] [mwn] Login failed with invalid response: ' + loginString);
+			return rejectWithError({
+				code: 'mwn_notoken',
+				info: 'Failed to get login token',
+				response: startResponse,
+			});
+		}
+		Object.assign(this.state, startResponse.query.tokens);
+
+		// Step 2: Post login request, and continue it as long as the API asks for more
+		let response = await this.request({
+			action: 'clientlogin',
+			username: this.options.username,
+			password: this.options.password,
+			loginreturnurl: returnUrl || this.options.apiUrl,
+			loginmergerequestfields: true,
+			logintoken: loginToken,
+			assert: undefined,
+			...(await askForFields(startResponse.query.authmanagerinfo?.fields, null, startResponse)),
+		});
+		while (response.clientlogin?.status === 'UI') {
+			const data = response.clientlogin;
+			response = await this.request({
+				action: 'clientlogin',
+				logincontinue: true,
+				loginmergerequestfields: true,
+				logintoken: loginToken,
+				assert: undefined,
+				...(await askForFields(data.fields, data.message, response)),
+			});
+		}
+
+		const data = response.clientlogin;
+		switch (data?.status) {
+			case 'PASS':
+				Object.assign(this.state, data);
+				this.loggedIn = true;
+				if (!this.options.silent) {
+					log('[S] [mwn] Login successful: ' + loginString);
+				}
+				// Step 3: fetch tokens for editing, and info about namespaces for MwnTitle
+				await this.getTokensAndSiteInfo().catch((err) => {
+					log(`[W] ${err}`);
+				});
+				return data;
+
+			case 'REDIRECT':
+				return rejectWithError({
+					code: 'mwn_failedlogin',
+					info: `Login requires a redirect to ${data.redirecttarget}, which is not supported`,
+					response,
+				});
+
+			case 'RESTART':
+				// Authentication worked, but with a third-party account not linked to any local user
+				return rejectWithError({
+					code: 'mwn_failedlogin',
+					info: 'RESTART: ' + (data.message || 'No local user linked to the account'),
+					response,
+				});
+
+			default:
+				return rejectWithError({
+					code: 'mwn_failedlogin',
+					info: data?.message ? data.status + ': ' + data.message : 'Login failed',
+					response,
+				});
+		}
+	}
+
 	/**
 	 * Log out of the account. Flushes the cookie jar and clears the saved tokens.
 	 * Should not be used if authenticating via OAuth.
@@ -632,6 +1259,34 @@ export class mwn {
 		});
 	}
 
+	/**
+	 * Save the login session, tokens and namespace data to a file, so that
+	 * the session can be resumed in another process using mwn.restoreSession().
+	 * The file is created readable only by the owner, as the session cookies
+	 * in it give access to the account.
+	 * @param {string} path
+	 * @returns {Promise<void>}
+	 */
+	async saveSession(path: string): Promise<void> {
+		const session: MwnSession = {
+			apiUrl: this.options.apiUrl,
+			username: this.options.username,
+			cookies: await this.cookieJar.serialize(),
+			state: this.state,
+			csrfToken: this.csrfToken,
+			hasApiHighLimit: this.hasApiHighLimit,
+			namespaceData: {
+				idNameMap: this.title.idNameMap,
+				nameIdMap: this.title.nameIdMap,
+				legaltitlechars: this.title.legaltitlechars,
+				caseSensitiveNamespaces: this.title.caseSensitiveNamespaces,
+			},
+		};
+		await fs.promises.writeFile(path, JSON.stringify(session, null, '\t'), { mode: 0o600 });
+		// the mode is applied only when the file is created, so also tighten it on existing files
+		await fs.promises.chmod(path, 0o600);
+	}
+
 	/**
 	 * Create an account. Only works on wikis without extensions like
 	 * ConfirmEdit enabled (hence doesn't work on WMF wikis).
@@ -712,6 +1367,18 @@ export class mwn {
 		return this.getTokens().then(() => this.csrfToken);
 	}
 
+	/**
+	 * Get a CentralAuth token, for authenticating a request to another wiki of
+	 * the farm as the same user. Tokens are single-use and expire in 10 seconds.
+	 * This is done automatically for requests made with the centralAuth request
+	 * option, eg. bot.request(params, { apiUrl: otherApiUrl, centralAuth: true }).
+	 * @returns {Promise<string>}
+	 */
+	async getCentralAuthToken(): Promise<string> {
+		const response = await this.request({ action: 'centralauthtoken' });
+		return response.centralauthtoken.centralauthtoken;
+	}
+
 	/**
 	 * Get the tokens and siteinfo in one request
 	 * @returns {Promise<void>}
@@ -722,12 +1389,13 @@ export class mwn {
 			meta: 'tokens|siteinfo|userinfo',
 			type: 'csrf|createaccount|login|patrol|rollback|userrights|watch',
 			siprop: 'general|namespaces|namespacealiases',
-			uiprop: 'rights',
+			uiprop: 'rights|ratelimits',
 		}).then((response: ApiResponse & siteinfoqueryResponse) => {
 			this.title.processNamespaceData(response);
 			if (response.query.userinfo.rights.includes('apihighlimit')) {
 				this.hasApiHighLimit = true;
 			}
+			this.rateLimiter.setLimits(response.query.userinfo.ratelimits);
 			if (response.query && response.query.tokens) {
 				this.csrfToken = response.query.tokens.csrftoken;
 				this.state = merge(this.state, response.query.tokens);
@@ -856,6 +1524,11 @@ export class mwn {
 	 * for easier referencing (`pg.revisions[0].content` can be used instead of
 	 * `pg.revisions[0].slots.main.content`).
 	 *
+	 * To read other slots of multi-content revisions, such as the mediainfo slot of
+	 * files on Commons, give their roles (or '*' for all) as the `slots` option, eg.
+	 * `bot.read('File:Example.jpg', { slots: ['main', 'mediainfo'] })`. Each slot in
+	 * `slots` is then given with its content and content model.
+	 *
 	 * @param {string|string[]|number|number[]} titles - for multiple pages use an array
 	 * @param {Object} [options]
 	 * @returns {Promise<ApiPage>}
@@ -863,17 +1536,23 @@ export class mwn {
 	read(titles: string | number | MwnTitle, options?: ApiParams): Promise<ApiPage>;
 	read(titles: string[] | number[] | MwnTitle[], options?: ApiParams): Promise<ApiPage[]>;
 	read(titles: any, options?: any): any {
+		if (!Array.isArray(titles) && typeof titles !== 'number') {
+			return this.queryBatcher.load(this.getReadParams(options), String(titles)).then((pg: ApiPage) => {
+				if (pg.revisions) {
+					pg.revisions.forEach((rev: ApiRevision) => {
+						Object.assign(rev, rev.slots.main);
+					});
+				}
+				return pg;
+			});
+		}
 		let pages = Array.isArray(titles) ? titles : [titles];
 		let batchFieldName = typeof pages[0] === 'number' ? 'pageids' : 'titles';
 		return this.massQuery(
 			{
 				action: 'query',
 				...makeTitles(titles),
-				prop: 'revisions',
-				rvprop: 'content|timestamp',
-				rvslots: 'main',
-				redirects: true,
-				...options,
+				...this.getReadParams(options),
 			},
 			batchFieldName
 		).then((jsons: Array<ApiResponse>) => {
@@ -891,16 +1570,27 @@ export class mwn {
 		});
 	}
 
+	/**
+	 * Query parameters for reading page content, with the slots option (if given)
+	 * turned into rvslots
+	 */
+	private getReadParams(options: ApiParams = {}): ApiParams {
+		const { slots, ...params } = options;
+		return {
+			prop: 'revisions',
+			rvprop: 'content|timestamp',
+			rvslots: Array.isArray(slots) ? slots.join('|') : slots || 'main',
+			redirects: true,
+			...params,
+		};
+	}
+
 	async *readGen(titles: string[], options?: ApiParams): AsyncGenerator<ApiPage> {
 		let massQueryResponses = this.massQueryGen(
 			{
 				action: 'query',
 				...makeTitles(titles),
-				prop: 'revisions',
-				rvprop: 'content|timestamp',
-				rvslots: 'main',
-				redirects: true,
-				...options,
+				...this.getReadParams(options),
 			},
 			typeof titles[0] === 'number' ? 'pageids' : 'titles'
 		);
@@ -924,34 +1614,47 @@ export class mwn {
 	 * @param {string|number|MwnTitle} title - Page title or page ID or MwnTitle object
 	 * @param {Function} transform - Callback that prepares the edit. It takes one
 	 * argument that is an { content: 'string: page content', timestamp: 'string:
-	 * time of last edit' } object. This function should return an object with
-	 * edit API parameters or just the updated text, or a promise providing one of
-	 * those.
+	 * time of last edit', slots: 'object: slots of the revision' } object. This
+	 * function should return an object with edit API parameters or just the updated
+	 * text, or a promise providing one of those. Content of slots can be given as
+	 * the `slots` property of the object, keyed by slot role. Slots other than main
+	 * can be saved only on wikis whose action=edit takes text-{slot} parameters, which
+	 * MediaWiki core doesn't; otherwise the edit is rejected with an mwn_slotsunsupported
+	 * error.
 	 * @param {Object} [editConfig] - Overridden edit options. Available options:
-	 * conflictRetries, suppressNochangeWarning, exclusionRegex
+	 * conflictRetries, suppressNochangeWarning, exclusionRegex, logDiff, slots
 	 * @config conflictRetries - maximum number of times to retry edit after encountering edit
 	 * conflicts.
 	 * @config suppressNochangeWarning - don't show the warning when no change is actually
 	 * made to the page on an successful edit
 	 * @config exclusionRegex - don't edit if the page text matches this regex. Used for bot
 	 * per-page exclusion compliance.
+	 * @config logDiff - log the changes made by the edit, computed locally, unless the silent
+	 * option is set. Either 'line' (or true) or 'word' for showing the changed words in lines.
+	 * @config slots - roles of the slots to fetch along with the main slot, given to the
+	 * transform function as `rev.slots`.
 	 * @return {Promise<Object>} Edit API response
 	 */
 	async edit(
 		title: string | number,
-		transform: (rev: { content: string; timestamp: string }) => string | ApiEditPageParams,
+		transform: (rev: {
+			content: string;
+			timestamp: string;
+			slots?: ApiRevision['slots'];
+		}) => string | SlotEditParams | Promise<string | SlotEditParams>,
 		editConfig?: editConfigType
 	): Promise<ApiEditResponse> {
 		editConfig = editConfig || this.options.editConfig;
 
-		let basetimestamp: string, curtimestamp: string;
+		let basetimestamp: string, curtimestamp: string, oldText: string, newText: string;
+		let oldSlots: ApiRevision['slots'];
 
 		return this.request({
 			action: 'query',
 			...makeTitles(title),
 			prop: 'revisions',
 			rvprop: ['content', 'timestamp'],
-			rvslots: 'main',
+			rvslots: ['main', ...(editConfig.slots || []).filter((role) => role !== 'main')].join('|'),
 			formatversion: '2',
 			curtimestamp: true,
 		})
@@ -975,6 +1678,8 @@ export class mwn {
 				}
 				basetimestamp = revision.timestamp;
 				curtimestamp = data.curtimestamp;
+				oldText = revisionContent;
+				oldSlots = revision.slots;
 
 				if (editConfig.exclusionRegex && editConfig.exclusionRegex.test(revisionContent)) {
 					return rejectWithErrorCode('bot-denied');
@@ -983,35 +1688,57 @@ export class mwn {
 				return transform({
 					timestamp: revision.timestamp,
 					content: revisionContent,
+					slots: revision.slots,
 				});
 			})
-			.then((returnVal) => {
+			.then(async (returnVal) => {
 				if (typeof returnVal !== 'string' && !returnVal) {
 					return { edit: { result: 'aborted' } };
 				}
-				const editParams =
+				let editParams: ApiEditPageParams =
 					typeof returnVal === 'object'
 						? returnVal
 						: {
 								text: String(returnVal),
 						  };
-				return this.request({
-					action: 'edit',
-					...makeTitle(title),
-					formatversion: '2',
-					basetimestamp: basetimestamp,
-					starttimestamp: curtimestamp,
-					nocreate: true,
-					bot: true,
-					token: this.csrfToken,
-					...editParams,
-				});
+				if (typeof returnVal === 'object' && returnVal.slots) {
+					const { slots, ...params } = returnVal;
+					editParams = { ...params, ...(await this.getSlotEditParams(slots)) };
+				}
+				if (typeof editParams.text === 'string' && editParams.section === undefined) {
+					newText = editParams.text;
+				}
+				// the content fetched is of the whole page, so can't be used for section edits
+				const currentContent =
+					editParams.section === undefined
+						? Object.entries(oldSlots).reduce(
+								(content, [role, slot]) => ({ ...content, [role]: slot.content }),
+								{} as Record<string, string>
+						  )
+						: undefined;
+				return this.request(
+					{
+						action: 'edit',
+						...makeTitle(title),
+						formatversion: '2',
+						basetimestamp: basetimestamp,
+						starttimestamp: curtimestamp,
+						nocreate: true,
+						bot: true,
+						token: this.csrfToken,
+						...editParams,
+					},
+					{ currentContent }
+				);
 			})
 			.then(
 				(data) => {
 					if (data.edit && data.edit.nochange && !editConfig.suppressNochangeWarning) {
 						log(`[W] No change from edit to ${data.edit.title}`);
 					}
+					if (data.edit) {
+						this.logEditDiff(data.edit, oldText, newText, editConfig);
+					}
 					return data.edit;
 				},
 				(err) => {
@@ -1025,6 +1752,96 @@ export class mwn {
 			);
 	}
 
+	/**
+	 * Log the changes made by an edit, if the logDiff edit option is set and the
+	 * bot isn't silent. Used by edit() and page.editSection().
+	 * @param {Object} edit - edit API response
+	 * @param {string} oldText
+	 * @param {string} newText - nothing is logged if undefined, as for edits using appendtext
+	 * @param {Object} editConfig
+	 * @param {string} [target] - what was edited, defaults to the page title
+	 */
+	logEditDiff(
+		edit: ApiEditResponse,
+		oldText: string,
+		newText: string | undefined,
+		editConfig: editConfigType,
+		target = edit.title
+	): void {
+		if (
+			!editConfig.logDiff ||
+			this.options.silent ||
+			newText === undefined ||
+			edit.result !== 'Success' ||
+			edit.nochange ||
+			edit.dryrun // diff is logged by the dry run already
+		) {
+			return;
+		}
+		const granularity = editConfig.logDiff === 'word' ? 'word' : 'line';
+		logDiff(`[i] Changes made to ${target}:`, this.wikitext.diff(oldText, newText, { granularity }).colored);
+	}
+
+	/**
+	 * Get the edit API parameters for saving content to the given slots. Slots other
+	 * than main can be saved only if action=edit takes the content of each slot as
+	 * templated text-{slot} parameters (along with contentmodel-{slot} and
+	 * contentformat-{slot}), in the same way as action=compare does. MediaWiki core
+	 * doesn't have these, so this is checked using paraminfo, and the edit is rejected
+	 * rather than sending parameters which the API would ignore.
+	 * @param {Object} slots - content to save, keyed by slot role
+	 * @returns {Promise<Object>}
+	 */
+	private async getSlotEditParams(slots: Record<string, SlotContent>): Promise<ApiParams> {
+		const roles = Object.keys(slots);
+		const getSlot = (role: string) => {
+			const slot = slots[role];
+			return typeof slot === 'string' ? { content: slot } : slot;
+		};
+		if (roles.length === 1 && roles[0] === 'main') {
+			const { content, contentmodel, contentformat } = getSlot('main');
+			return { text: content, contentmodel, contentformat };
+		}
+		const otherRoles = roles.filter((role) => role !== 'main').join(', ');
+		const editModule = await this.paramInfo.getModule('edit');
+		const templated = new Set((editModule?.templatedparameters || []).map((param) => param.name));
+		if (!templated.has('text-{slot}')) {
+			return rejectWithError({
+				code: 'mwn_slotsunsupported',
+				info:
+					`The edit API of this wiki doesn't support saving slots other than main (${otherRoles}). ` +
+					'The content of such slots may be editable through other APIs, eg. action=wbeditentity',
+			});
+		}
+		// roles accepted by the slots parameter, if the API lists them
+		const allowedRoles = editModule.parameters.find((param) => param.name === 'slots')?.type;
+		const unknownRoles = Array.isArray(allowedRoles) ? roles.filter((role) => !allowedRoles.includes(role)) : [];
+		if (unknownRoles.length) {
+			return rejectWithError({
+				code: 'mwn_slotsunsupported',
+				info: `The edit API of this wiki doesn't support saving the slots: ${unknownRoles.join(', ')}`,
+			});
+		}
+		const params: ApiParams = { slots: roles };
+		for (let role of roles) {
+			const slot = getSlot(role);
+			params[`text-${role}`] = slot.content;
+			for (let prop of ['contentmodel', 'contentformat'] as const) {
+				if (slot[prop] === undefined) {
+					continue;
+				}
+				if (!templated.has(`${prop}-{slot}`)) {
+					return rejectWithError({
+						code: 'mwn_slotsunsupported',
+						info: `The edit API of this wiki doesn't support setting the ${prop} of slots (${role})`,
+					});
+				}
+				params[`${prop}-${role}`] = slot[prop];
+			}
+		}
+		return params;
+	}
+
 	/**
 	 * Edit a page without loading it first. Straightforward version of `edit`.
 	 * No edit conflict detection.
@@ -1205,6 +2022,27 @@ export class mwn {
 		});
 	}
 
+	/**
+	 * Compare two revisions, pages or texts. Convenience method for 'action=compare'.
+	 * Gives the diff HTML, and the changes in it as blocks of added, removed and
+	 * changed lines, with the words added and removed in each line.
+	 *
+	 * @param {Object} params - one of fromrev, fromtitle, fromid or fromtext, and one of
+	 * torev, totitle, toid, totext or torelative. Other parameters of action=compare can be
+	 * given too.
+	 * @return {Promise<CompareResult>}
+	 */
+	async compare(params: ApiComparePagesParams): Promise<CompareResult> {
+		return this.request({
+			action: 'compare',
+			prop: 'diff|ids|title',
+			...params,
+		}).then((data) => {
+			const { body, ...info } = data.compare;
+			return { ...info, html: body || '', blocks: parseDiffHtml(body || '') };
+		});
+	}
+
 	/**
 	 * Upload an image from a the local disk to the wiki.
 	 * If a file with the same name exists, it will be over-written.
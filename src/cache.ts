@@ -0,0 +1,377 @@
+/**
+ * Opt-in caching of responses to read-only API queries (action=query and
+ * action=parse requests). Enable it using the `cache` option.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+
+import type { mwn } from './bot';
+import type { Request } from './core';
+import type { ApiResponse } from './api_response_types';
+
+export interface CacheEntry {
+	response: ApiResponse;
+	/** Timestamp (in milliseconds) after which the entry is stale */
+	expires: number;
+	/** Normalised page titles and page IDs the query was about, or found in the response */
+	titles: string[];
+}
+
+/**
+ * Storage backend for the response cache. Methods may either return the
+ * value directly or a promise.
+ */
+export interface CacheStore {
+	get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+	set(key: string, entry: CacheEntry): void | Promise<void>;
+	delete(key: string): void | Promise<void>;
+	keys(): string[] | Promise<string[]>;
+	clear(): void | Promise<void>;
+}
+
+export interface CacheOptions {
+	/** Enable caching of read-only queries */
+	enabled?: boolean;
+	/** Milliseconds for which a cached response is used */
+	ttl?: number;
+	/** Max number of responses held in the default in-memory store */
+	maxEntries?: number;
+	/** Storage backend, defaults to a {@link MemoryCacheStore} */
+	store?: CacheStore;
+}
+
+/**
+ * In-memory store which evicts the least recently used entries once the
+ * number of entries crosses the limit.
+ */
+export class MemoryCacheStore implements CacheStore {
+	maxEntries: number;
+	private entries = new Map<string, CacheEntry>();
+
+	constructor(maxEntries = 1000) {
+		this.maxEntries = maxEntries;
+	}
+
+	get(key: string) {
+		let entry = this.entries.get(key);
+		if (entry) {
+			// Map iterates in insertion order: re-insert to mark as most recently used
+			this.entries.delete(key);
+			this.entries.set(key, entry);
+		}
+		return entry;
+	}
+
+	set(key: string, entry: CacheEntry) {
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		while (this.entries.size > this.maxEntries) {
+			this.entries.delete(this.entries.keys().next().value);
+		}
+	}
+
+	delete(key: string) {
+		this.entries.delete(key);
+	}
+
+	keys() {
+		return [...this.entries.keys()];
+	}
+
+	clear() {
+		this.entries.clear();
+	}
+}
+
+/**
+ * Store which keeps each entry as a JSON file in a directory, so that the
+ * cache can be reused across runs.
+ */
+export class FileCacheStore implements CacheStore {
+	dir: string;
+
+	constructor(dir: string) {
+		this.dir = dir;
+		fs.mkdirSync(dir, { recursive: true });
+	}
+
+	private getPath(key: string) {
+		// keys can contain characters not allowed in file names
+		return path.join(this.dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+	}
+
+	async get(key: string): Promise<CacheEntry | undefined> {
+		try {
+			return JSON.parse(await fs.promises.readFile(this.getPath(key), 'utf8')).entry;
+		} catch (e) {
+			return undefined;
+		}
+	}
+
+	async set(key: string, entry: CacheEntry) {
+		await fs.promises.writeFile(this.getPath(key), JSON.stringify({ key, entry }));
+	}
+
+	async delete(key: string) {
+		await fs.promises.unlink(this.getPath(key)).catch(() => {});
+	}
+
+	async keys(): Promise<string[]> {
+		let files = (await fs.promises.readdir(this.dir)).filter((file) => file.endsWith('.json'));
+		let keys = await Promise.all(
+			files.map((file) =>
+				fs.promises
+					.readFile(path.join(this.dir, file), 'utf8')
+					.then((json) => JSON.parse(json).key)
+					.catch(() => null)
+			)
+		);
+		return keys.filter((key) => key !== null);
+	}
+
+	async clear() {
+		await Promise.all((await this.keys()).map((key) => this.delete(key)));
+	}
+}
+
+/**
+ * Split a processed multi-value parameter into its values. Values are
+ * pipe-separated, or \x1f-separated with a leading \x1f.
+ */
+function splitMultiValue(value: any): string[] {
+	if (value === undefined || value === null) {
+		return [];
+	}
+	let val = String(value);
+	return val.startsWith('\x1f') ? val.slice(1).split('\x1f') : val.split('|');
+}
+
+/** Parameters whose values identify the pages a request is about */
+const titleParams = ['title', 'titles', 'page', 'pageid', 'pageids', 'from', 'to', 'fromid'];
+
+export class ResponseCache {
+	bot: mwn;
+	private defaultStore: MemoryCacheStore;
+	/** Normalised page title or page ID => keys of the cached responses about the page */
+	private titleIndex = new Map<string, Set<string>>();
+	/**
+	 * Whether entries already present in the store (such as those in a FileCacheStore
+	 * from an earlier run) have been added to the index
+	 */
+	private indexLoaded = false;
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+	}
+
+	get store(): CacheStore {
+		let options = this.bot.options.cache;
+		if (options.store) {
+			return options.store;
+		}
+		if (!this.defaultStore) {
+			this.defaultStore = new MemoryCacheStore(options.maxEntries);
+		}
+		return this.defaultStore;
+	}
+
+	isReadOnly(req: Request): boolean {
+		return req.apiParams.action === 'query' || req.apiParams.action === 'parse';
+	}
+
+	/**
+	 * Only queries and parse requests are cached. Those are sent via POST
+	 * too at times, eg. by massQuery(). Token and timestamp queries are never
+	 * cached as the responses are expected to be fresh. Nor are requests using
+	 * CentralAuth tokens, which are single-use.
+	 */
+	isCacheable(req: Request): boolean {
+		const params = req.apiParams;
+		return (
+			this.bot.options.cache.enabled &&
+			this.isReadOnly(req) &&
+			!splitMultiValue(params.meta).includes('tokens') &&
+			!params.curtimestamp &&
+			!req.requestParams.centralAuth
+		);
+	}
+
+	/**
+	 * Build the cache key from the API URL and the processed API parameters.
+	 * Hashed as parameters can be long, eg. the text in parse requests.
+	 */
+	getKey(req: Request): string {
+		let params = Object.keys(req.apiParams)
+			.sort()
+			.map((key) => [key, String(req.apiParams[key])]);
+		return crypto
+			.createHash('sha1')
+			.update(req.requestParams.url + '?' + JSON.stringify(params))
+			.digest('hex');
+	}
+
+	/**
+	 * Normalise page names so that eg. "foo_bar" and "Foo bar" are treated
+	 * alike. Page IDs are left as is.
+	 */
+	normalizeTitle(title: string): string {
+		try {
+			let titleObj = this.bot.title.newFromText(title);
+			if (titleObj) {
+				return titleObj.toText();
+			}
+		} catch (e) {
+			// namespace data not available
+		}
+		title = title.replace(/_/g, ' ').trim();
+		return title.charAt(0).toUpperCase() + title.slice(1);
+	}
+
+	getTitles(params: Record<string, any>): string[] {
+		let titles: string[] = [];
+		for (let param of titleParams) {
+			titles.push(...splitMultiValue(params[param]).map((title) => this.normalizeTitle(title)));
+		}
+		// file names, as given to action=upload, are without the namespace prefix
+		titles.push(...splitMultiValue(params.filename).map((name) => this.normalizeTitle('File:' + name)));
+		return titles;
+	}
+
+	/**
+	 * Pages in the response of a query, eg. those given by a generator
+	 */
+	getResponseTitles(response: ApiResponse): string[] {
+		let pages = response?.query?.pages;
+		if (!pages || typeof pages !== 'object') {
+			return [];
+		}
+		// pages is an array with formatversion=2, an object keyed by page ID otherwise
+		let titles: string[] = [];
+		for (let page of Object.values(pages) as Array<{ title?: string; pageid?: number }>) {
+			titles.push(...this.getTitles({ title: page.title, pageid: page.pageid }));
+		}
+		return titles;
+	}
+
+	private addToIndex(key: string, titles: string[]) {
+		for (let title of titles) {
+			if (!this.titleIndex.has(title)) {
+				this.titleIndex.set(title, new Set());
+			}
+			this.titleIndex.get(title).add(key);
+		}
+	}
+
+	/**
+	 * Add the entries already in the store to the index. This reads each of them,
+	 * but only once, and not at all for the default store, which starts empty.
+	 */
+	private async loadIndex() {
+		if (this.indexLoaded) {
+			return;
+		}
+		this.indexLoaded = true;
+		if (this.store === this.defaultStore) {
+			return;
+		}
+		for (let key of await this.store.keys()) {
+			let entry = await this.store.get(key);
+			if (entry) {
+				this.addToIndex(key, entry.titles);
+			}
+		}
+	}
+
+	/**
+	 * Get cached response for the request, if available
+	 * @param {Request} req
+	 * @returns {Promise<ApiResponse|undefined>}
+	 */
+	async get(req: Request): Promise<ApiResponse | undefined> {
+		if (!this.isCacheable(req)) {
+			return;
+		}
+		let key = this.getKey(req);
+		let entry = await this.store.get(key);
+		if (!entry) {
+			return;
+		}
+		if (entry.expires < Date.now()) {
+			await this.store.delete(key);
+			return;
+		}
+		// return a copy, as callers are free to mutate responses
+		return JSON.parse(JSON.stringify(entry.response));
+	}
+
+	/**
+	 * Cache the response if the request is cacheable, or if it was a write
+	 * action, invalidate cached responses for the pages affected.
+	 * @param {Request} req
+	 * @param {ApiResponse} response
+	 * @returns {Promise<ApiResponse>} the response
+	 */
+	async handleResponse(req: Request, response: ApiResponse): Promise<ApiResponse> {
+		if (!this.bot.options.cache.enabled) {
+			return response;
+		}
+		if (this.isCacheable(req)) {
+			await this.loadIndex();
+			let key = this.getKey(req);
+			let titles = [...new Set([...this.getTitles(req.apiParams), ...this.getResponseTitles(response)])];
+			await this.store.set(key, {
+				response: JSON.parse(JSON.stringify(response)),
+				expires: Date.now() + this.bot.options.cache.ttl,
+				titles,
+			});
+			this.addToIndex(key, titles);
+		} else if (!this.isReadOnly(req)) {
+			let titles = this.getTitles(req.apiParams);
+			// Pick up titles and page IDs from the response too, eg. edit response
+			// has the page ID when the edit was made by title
+			let result = response?.[req.apiParams.action as string];
+			if (result && typeof result === 'object') {
+				titles.push(
+					...this.getTitles({ title: result.title, pageid: result.pageid, filename: result.filename })
+				);
+			}
+			await this.invalidate(titles);
+		}
+		return response;
+	}
+
+	/**
+	 * Remove cached responses for queries about any of the given pages, or
+	 * which had any of them in the response. Responses to list queries (such as
+	 * list=categorymembers), which may change due to edits to pages not in the
+	 * response, are not removed.
+	 * @param {string[]} titles - page names or page IDs
+	 */
+	async invalidate(titles: string[]): Promise<void> {
+		if (!titles.length) {
+			return;
+		}
+		await this.loadIndex();
+		let keys = new Set<string>();
+		for (let title of titles.map((title) => this.normalizeTitle(String(title)))) {
+			for (let key of this.titleIndex.get(title) || []) {
+				keys.add(key);
+			}
+			// Keys of entries evicted from the store are dropped from the index here too
+			this.titleIndex.delete(title);
+		}
+		for (let key of keys) {
+			await this.store.delete(key);
+		}
+	}
+
+	/**
+	 * Remove all cached responses
+	 */
+	async clear(): Promise<void> {
+		await this.store.clear();
+		this.titleIndex.clear();
+	}
+}
@@ -0,0 +1,232 @@
+/**
+ * Recording of HTTP interactions to a JSON file (a "cassette"), and replaying
+ * them later without touching the network. Enabled using the `recordTo` and
+ * `replayFrom` options. Useful for testing bots offline.
+ *
+ * Credentials (passwords, tokens, OAuth secrets and session cookies) are
+ * redacted before being recorded, so that cassettes can be committed. Requests
+ * are redacted in the same way when replaying, so that they still match.
+ */
+
+import * as fs from 'fs';
+import * as formData from 'form-data';
+import type { AxiosResponse } from 'axios';
+
+import type { RawRequestParams } from './core';
+import { MwnError } from './error';
+
+export interface CassetteRequest {
+	method: string;
+	url: string;
+	params?: Record<string, string>;
+	data?: string;
+}
+
+export interface CassetteInteraction {
+	request: CassetteRequest;
+	response?: {
+		status: number;
+		statusText: string;
+		headers: Record<string, string>;
+		data: any;
+	};
+	/** Present if the request failed, either at the network level or with an HTTP error status */
+	error?: {
+		code?: string;
+		message: string;
+	};
+}
+
+/** Names of parameters and response fields holding credentials */
+const SECRET_KEY = /(password|token|secret|_verifier|^retype|^code)$/i;
+
+/** Stands in for redacted values */
+const REDACTED = 'REDACTED';
+
+/**
+ * Redact a credential. Tokens keep their +\\ suffix, as that is what tells the
+ * token of a logged-out user (just +\\, which is kept as is) from others.
+ */
+function redactValue(value: any) {
+	if (typeof value !== 'string') {
+		return value;
+	}
+	return value.endsWith('+\\') ? (value === '+\\' ? value : REDACTED + '+\\') : REDACTED;
+}
+
+/**
+ * Copy of an object or array with the values of fields holding credentials
+ * redacted, at any depth
+ */
+function redactObject(value: any): any {
+	if (Array.isArray(value)) {
+		return value.map(redactObject);
+	}
+	if (!value || typeof value !== 'object') {
+		return value;
+	}
+	const result: Record<string, any> = {};
+	for (let [key, val] of Object.entries(value)) {
+		result[key] = SECRET_KEY.test(key) ? redactValue(val) : redactObject(val);
+	}
+	return result;
+}
+
+/** Redact credentials in a request body, which is url-encoded or JSON */
+function redactBody(data: string): string {
+	if (/^\s*[{[]/.test(data)) {
+		try {
+			return JSON.stringify(redactObject(JSON.parse(data)));
+		} catch (e) {
+			return data;
+		}
+	}
+	const search = new URLSearchParams(data);
+	const secretKeys = [...new Set(search.keys())].filter((key) => SECRET_KEY.test(key));
+	if (!secretKeys.length) {
+		return data;
+	}
+	for (let key of secretKeys) {
+		search.set(key, redactValue(search.get(key)));
+	}
+	return search.toString();
+}
+
+/** Redact the values of cookies in Set-Cookie headers, keeping their names and attributes */
+function redactCookies(header: string | string[]) {
+	const redact = (cookie: string) => cookie.replace(/^([^=;]*)=[^;]*/, `$1=${REDACTED}`);
+	return Array.isArray(header) ? header.map(redact) : redact(header);
+}
+
+export class Cassette {
+	path: string;
+	mode: 'record' | 'replay';
+	interactions: CassetteInteraction[];
+
+	/** Indices of the interactions already served in replay mode */
+	private used = new Set<number>();
+
+	constructor(path: string, mode: 'record' | 'replay') {
+		this.path = path;
+		this.mode = mode;
+		if (mode === 'replay') {
+			try {
+				this.interactions = JSON.parse(fs.readFileSync(path).toString()).interactions;
+			} catch (err) {
+				throw new Error(`Failed to read or parse cassette file ${path}: ` + err);
+			}
+		} else {
+			this.interactions = [];
+			this.save();
+		}
+	}
+
+	/**
+	 * Serialize the request config into the form used for matching requests, with
+	 * credentials redacted. Headers are skipped as they can vary between runs (eg.
+	 * OAuth nonces), and would give away the credentials in Authorization headers.
+	 */
+	static serializeRequest(requestOptions: RawRequestParams): CassetteRequest {
+		let request: CassetteRequest = {
+			method: (requestOptions.method || 'get').toLowerCase(),
+			url: requestOptions.url,
+		};
+		if (requestOptions.params) {
+			request.params = {};
+			for (let key of Object.keys(requestOptions.params).sort()) {
+				const value = String(requestOptions.params[key]);
+				request.params[key] = SECRET_KEY.test(key) ? redactValue(value) : value;
+			}
+		}
+		if (requestOptions.data instanceof formData) {
+			// can't be read without consuming the streams
+			request.data = '[multipart/form-data]';
+		} else if (requestOptions.data !== undefined) {
+			request.data =
+				typeof requestOptions.data === 'string'
+					? redactBody(requestOptions.data)
+					: JSON.stringify(redactObject(requestOptions.data));
+		}
+		return request;
+	}
+
+	/**
+	 * Serialize a response for recording, with credentials (such as tokens and
+	 * session cookies) redacted
+	 */
+	static serializeResponse(response: AxiosResponse): CassetteInteraction['response'] {
+		const headers = { ...response.headers };
+		for (let name of Object.keys(headers)) {
+			if (name.toLowerCase() === 'set-cookie') {
+				headers[name] = redactCookies(headers[name]);
+			}
+		}
+		return {
+			status: response.status,
+			statusText: response.statusText,
+			headers,
+			// stream responses (as used for file downloads) can't be recorded
+			data: response.config?.responseType === 'stream' ? null : redactObject(response.data),
+		};
+	}
+
+	save() {
+		fs.writeFileSync(this.path, JSON.stringify({ interactions: this.interactions }, null, '\t'));
+	}
+
+	/**
+	 * Add an interaction to the cassette. The file is written after every
+	 * interaction, so that the recording isn't lost if the process crashes.
+	 */
+	record(requestOptions: RawRequestParams, response?: AxiosResponse, error?: any) {
+		let interaction: CassetteInteraction = {
+			request: Cassette.serializeRequest(requestOptions),
+		};
+		if (error) {
+			interaction.error = { code: error.code, message: error.message };
+			response = error.response;
+		}
+		if (response) {
+			interaction.response = Cassette.serializeResponse(response);
+		}
+		this.interactions.push(interaction);
+		this.save();
+	}
+
+	/**
+	 * Serve a request from the cassette. Requests are matched to the first
+	 * unused interaction with the same method, URL, parameters and body.
+	 * @returns {Promise<AxiosResponse>} rejected in the same way as the
+	 * original request if it had failed
+	 */
+	replay(requestOptions: RawRequestParams): Promise<AxiosResponse> {
+		const request = Cassette.serializeRequest(requestOptions);
+		const serialized = JSON.stringify(request);
+		const idx = this.interactions.findIndex(
+			(interaction, idx) => !this.used.has(idx) && JSON.stringify(interaction.request) === serialized
+		);
+		if (idx === -1) {
+			return Promise.reject(
+				new MwnError({
+					code: 'mwn_cassettemismatch',
+					info: `No recorded interaction in ${this.path} matches the request: ${serialized}`,
+					disableRetry: true,
+					request: requestOptions,
+				})
+			);
+		}
+		this.used.add(idx);
+		const { response, error } = this.interactions[idx];
+		const axiosResponse = response && ({ ...response, config: requestOptions } as AxiosResponse);
+		if (error) {
+			return Promise.reject(
+				Object.assign(new Error(error.message), {
+					code: error.code,
+					response: axiosResponse,
+					isAxiosError: true,
+				})
+			);
+		}
+		return Promise.resolve(axiosResponse);
+	}
+}
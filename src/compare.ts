@@ -0,0 +1,139 @@
+/**
+ * Parsing of the diff tables of MediaWiki (as given by action=compare) into
+ * blocks of added, removed and changed lines, along with the word-level
+ * changes within each line.
+ */
+
+import { htmlToText } from './utils';
+
+export interface DiffLine {
+	type: 'added' | 'removed' | 'changed';
+	/** The line before the change, null for added lines */
+	from: string | null;
+	/** The line after the change, null for removed lines */
+	to: string | null;
+	/** Text removed from the line: the whole line for removed lines, the removed words for changed lines */
+	removed: string[];
+	/** Text added to the line: the whole line for added lines, the added words for changed lines */
+	added: string[];
+}
+
+export interface DiffBlock {
+	type: 'added' | 'removed' | 'changed';
+	/** Number of the first line of the block in the old text, starting from 1 */
+	fromLine: number;
+	/** Number of the first line of the block in the new text, starting from 1 */
+	toLine: number;
+	lines: DiffLine[];
+}
+
+export interface CompareResult {
+	fromid?: number;
+	fromrevid?: number;
+	fromns?: number;
+	fromtitle?: string;
+	toid?: number;
+	torevid?: number;
+	tons?: number;
+	totitle?: string;
+	/** Diff table as given by the API, without the enclosing <table> */
+	html: string;
+	/** Changes in the diff, in order */
+	blocks: DiffBlock[];
+	[prop: string]: any;
+}
+
+interface Cell {
+	className: string;
+	content: string;
+}
+
+function getCells(rowHtml: string): Cell[] {
+	const cells: Cell[] = [];
+	const cellRegex = /<td([^>]*)>([\s\S]*?)<\/td>/g;
+	let match;
+	while ((match = cellRegex.exec(rowHtml))) {
+		const className = /class="([^"]*)"/.exec(match[1]);
+		cells.push({ className: className ? className[1] : '', content: match[2] });
+	}
+	return cells;
+}
+
+function hasClass(cell: Cell, className: string): boolean {
+	return cell.className.split(/\s+/).includes(className);
+}
+
+/** Text of the <del> or <ins> elements marking the changed words, if any */
+function getInlineChanges(html: string, tagName: 'del' | 'ins'): string[] {
+	const changes: string[] = [];
+	const regex = new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)</${tagName}>`, 'g');
+	let match;
+	while ((match = regex.exec(html))) {
+		changes.push(htmlToText(match[1]));
+	}
+	return changes;
+}
+
+/**
+ * Parse the HTML of a diff table, as given by action=compare.
+ * @param {string} html
+ * @returns {DiffBlock[]}
+ */
+export function parseDiffHtml(html: string): DiffBlock[] {
+	const blocks: DiffBlock[] = [];
+	let current: DiffBlock = null;
+	let fromLine = 1,
+		toLine = 1;
+
+	const rowRegex = /<tr[^>]*>([\s\S]*?)<\/tr>/g;
+	let row;
+	while ((row = rowRegex.exec(html))) {
+		const cells = getCells(row[1]);
+		const lineNumbers = cells.filter((cell) => hasClass(cell, 'diff-lineno'));
+		if (lineNumbers.length === 2) {
+			// eg. "Line 12:", in the user language
+			[fromLine, toLine] = lineNumbers.map((cell) => {
+				const num = /\d+/.exec(htmlToText(cell.content));
+				return num ? Number(num[0]) : 1;
+			});
+			current = null;
+			continue;
+		}
+		const deleted = cells.find((cell) => hasClass(cell, 'diff-deletedline'));
+		const added = cells.find((cell) => hasClass(cell, 'diff-addedline'));
+		if (!deleted && !added) {
+			if (cells.some((cell) => hasClass(cell, 'diff-context'))) {
+				fromLine++;
+				toLine++;
+			}
+			current = null;
+			continue;
+		}
+
+		const type = deleted && added ? 'changed' : deleted ? 'removed' : 'added';
+		const from = deleted ? htmlToText(deleted.content) : null;
+		const to = added ? htmlToText(added.content) : null;
+		const line: DiffLine = { type, from, to, removed: [], added: [] };
+		if (type === 'changed') {
+			line.removed = getInlineChanges(deleted.content, 'del');
+			line.added = getInlineChanges(added.content, 'ins');
+		} else if (type === 'removed') {
+			line.removed = from ? [from] : [];
+		} else {
+			line.added = to ? [to] : [];
+		}
+
+		if (!current || current.type !== type) {
+			current = { type, fromLine, toLine, lines: [] };
+			blocks.push(current);
+		}
+		current.lines.push(line);
+		if (deleted) {
+			fromLine++;
+		}
+		if (added) {
+			toLine++;
+		}
+	}
+	return blocks;
+}
@@ -4,8 +4,7 @@
  * the Request and Response classes defined in this file.
  */
 
-import axios, { AxiosRequestConfig, AxiosResponse } from 'axios';
-import axiosCookieJarSupport from 'axios-cookiejar-support';
+import type { AxiosRequestConfig, AxiosResponse } from 'axios';
 import * as formData from 'form-data';
 import * as OAuth from 'oauth-1.0a';
 
@@ -13,30 +12,117 @@ import type { ApiParams, mwn } from './bot';
 import { log } from './log';
 import { MwnError, rejectWithError } from './error';
 import { merge, mergeDeep1, sleep } from './utils';
+import { getRetryDelay, isTransientFailure } from './retry';
 import { ApiResponse } from './api_response_types';
 
-axiosCookieJarSupport(axios);
-
 export interface RawRequestParams extends AxiosRequestConfig {
 	retryNumber?: number;
+	/** API endpoint to send the request to, if not the bot's own apiUrl. Same as url. */
+	apiUrl?: string;
+	/**
+	 * Authenticate the request using a CentralAuth token fetched from the bot's own
+	 * wiki, for requests to another wiki of the same farm. Not needed with OAuth.
+	 */
+	centralAuth?: boolean;
+	/**
+	 * Current content of the page (or section) being edited, keyed by slot role, if
+	 * already known. Used in dry-run mode to log the diff of an edit without fetching
+	 * the content again.
+	 */
+	currentContent?: Record<string, string>;
+}
+
+/**
+ * Hooks for customising API requests and responses, registered via mwn#use().
+ * Hooks can be async, and are run in the order in which the middleware were
+ * registered. Retries made by mwn internally (on maxlag, badtoken, etc) reuse
+ * the already processed request and don't run the hooks again.
+ */
+export interface MwnMiddleware {
+	/**
+	 * Run before the request is sent, once the default parameters have been merged into
+	 * `req.apiParams`. The API parameters and the request options (`req.requestParams`)
+	 * can be modified. If a response object is returned, the request is not sent and
+	 * the returned object is used as the API response.
+	 */
+	beforeRequest?: (req: Request) => void | ApiResponse | Promise<void | ApiResponse>;
+	/**
+	 * Run on a successful API response. If an object is returned, it replaces the response.
+	 */
+	afterResponse?: (response: ApiResponse, req: Request) => void | ApiResponse | Promise<void | ApiResponse>;
+	/**
+	 * Run when the request fails, after mwn's own error handling and retries. Throw
+	 * (or return a rejected promise) to replace the error, or return a response object
+	 * to recover from it. Returning nothing passes on the error to the next middleware.
+	 */
+	onError?: (error: any, req: Request) => void | ApiResponse | Promise<void | ApiResponse>;
 }
 
 export class Request {
 	apiParams: ApiParams;
 	requestParams: RawRequestParams;
 	bot: mwn;
+	middleware: MwnMiddleware[];
 	constructor(bot: mwn, apiParams: ApiParams, requestParams: RawRequestParams) {
 		this.bot = bot;
 		this.apiParams = apiParams;
 		this.requestParams = requestParams;
+		this.middleware = requestParams.retryNumber ? [] : bot.middleware;
 	}
 
-	async process() {
+	/**
+	 * Prepare the request for sending.
+	 * @returns {Promise<ApiResponse|void>} resolved with the response if a middleware
+	 * provided one, in which case the request need not be sent.
+	 */
+	async process(): Promise<ApiResponse | void> {
 		this.apiParams = merge(this.bot.options.defaultParams, this.apiParams);
+		for (let middleware of this.middleware) {
+			if (middleware.beforeRequest) {
+				const response = await middleware.beforeRequest(this);
+				if (response) {
+					return response;
+				}
+			}
+		}
 		this.preprocessParams();
+		if (this.bot.options.strictParams && !this.requestParams.retryNumber) {
+			await this.bot.paramInfo.validate(this.apiParams, this.requestParams);
+		}
 		await this.fillRequestOptions();
 	}
 
+	/**
+	 * Run the afterResponse hooks of middleware
+	 * @param {ApiResponse} response
+	 * @returns {Promise<ApiResponse>}
+	 */
+	async handleResponse(response: ApiResponse): Promise<ApiResponse> {
+		for (let middleware of this.middleware) {
+			if (middleware.afterResponse) {
+				response = (await middleware.afterResponse(response, this)) || response;
+			}
+		}
+		return response;
+	}
+
+	/**
+	 * Run the onError hooks of middleware
+	 * @param {Error} error
+	 * @returns {Promise<ApiResponse>} rejected with the error unless a middleware recovers from it
+	 */
+	async handleError(error: any): Promise<ApiResponse> {
+		for (let middleware of this.middleware) {
+			if (middleware.onError) {
+				const response = await middleware.onError(error, this);
+				if (response) {
+					return response;
+				}
+			}
+		}
+		throw error;
+	}
+
 	getMethod() {
 		if (this.apiParams.action === 'query') {
 			return 'get';
@@ -88,18 +174,31 @@ export class Request {
 			this.bot.requestOptions,
 			this.requestParams
 		);
+		if (this.requestParams.apiUrl) {
+			this.requestParams.url = this.requestParams.apiUrl;
+		}
+		if (this.usingCentralAuth()) {
+			// Tokens are single-use, so a new one is needed for every request, including retries
+			this.apiParams.centralauthtoken = await this.bot.getCentralAuthToken();
+		}
 
 		if (method === 'get') {
 			this.handleGet();
 		} else {
 			await this.handlePost();
 		}
-		this.applyAuthentication();
+		await this.applyAuthentication();
 	}
 
-	applyAuthentication() {
+	async applyAuthentication() {
 		let requestOptions = this.requestParams;
-		if (this.bot.usingOAuth) {
+		if (this.bot.usingOAuth2) {
+			// OAuth 2.0 authentication
+			requestOptions.headers = {
+				...requestOptions.headers,
+				Authorization: `Bearer ${await this.bot.oauth2.getAccessToken()}`,
+			};
+		} else if (this.bot.usingOAuth) {
 			// OAuth authentication
 			requestOptions.headers = {
 				...requestOptions.headers,
@@ -109,6 +208,10 @@ export class Request {
 					data: requestOptions.data instanceof formData ? {} : this.apiParams,
 				}),
 			};
+		} else if (this.usingCentralAuth()) {
+			// No cookies, as the CentralAuth token is used to authenticate. Session
+			// cookies for the other wiki, if any, would take precedence over it.
+			requestOptions.withCredentials = false;
 		} else {
 			// BotPassword authentication
 			requestOptions.jar = this.bot.cookieJar;
@@ -116,6 +219,14 @@ export class Request {
 		}
 	}
 
+	/**
+	 * Whether the request is authenticated with a CentralAuth token. OAuth
+	 * requests are valid on all wikis of the farm anyway.
+	 */
+	usingCentralAuth(): boolean {
+		return !!this.requestParams.centralAuth && !this.bot.usingOAuth;
+	}
+
 	/**
 	 * Get OAuth Authorization header
 	 */
@@ -129,7 +240,7 @@ export class Request {
 	}
 
 	handleGet() {
-		// axios takes care of stringifying to URL query string
+		// the transport takes care of stringifying to URL query string
 		this.requestParams.params = this.apiParams;
 	}
 
@@ -210,6 +321,8 @@ export class Response {
 	async process(rawResponse: AxiosResponse<ApiResponse>) {
 		this.rawResponse = rawResponse;
 		this.response = rawResponse.data;
+		this.bot.requestStats.recordResponse(this.params, rawResponse);
+		this.bot.lagThrottle.recordResponse(this.params, this.requestOptions, rawResponse);
 		await this.initialCheck();
 		this.showWarnings();
 		return (await this.handleErrors()) || this.response;
@@ -262,7 +375,11 @@ export class Response {
 			this.response.error || // errorformat=bc (default)
 			this.response.errors?.[0]; // other error formats
 		if (error) {
-			error = new MwnError(error);
+			// Messages are in the language given by errorlang only with the non-bc formats
+			if (this.params.errorformat && this.params.errorformat !== 'bc' && this.params.errorlang) {
+				error = { ...error, errorlang: this.params.errorlang };
+			}
+			error = MwnError.fromConfig(error);
 
 			if (this.requestOptions.retryNumber < this.bot.options.maxRetries) {
 				switch (error.code) {
@@ -270,6 +387,20 @@ export class Response {
 					// extension, and not a part of mediawiki core
 					case 'badtoken':
 						log(`[W] Encountered badtoken error, fetching new token and retrying`);
+						if (this.requestOptions.centralAuth) {
+							// Token is for another wiki
+							return this.bot.getTokenType(this.params.action as string).then(async (tokentype) => {
+								const response = await this.bot.request(
+									{ action: 'query', meta: 'tokens', type: tokentype },
+									{ url: this.requestOptions.url, centralAuth: true }
+								);
+								if (!response.query?.tokens?.[tokentype + 'token']) {
+									return this.dieWithError(error);
+								}
+								this.params.token = response.query.tokens[tokentype + 'token'];
+								return this.retry('badtoken');
+							});
+						}
 						return Promise.all([
 							this.bot.getTokenType(this.params.action as string),
 							this.bot.getTokens(),
@@ -278,7 +409,18 @@ export class Response {
 								return this.dieWithError(error);
 							}
 							this.params.token = this.bot.state[tokentype + 'token'];
-							return this.retry();
+							return this.retry('badtoken');
+						});
+
+					case 'ratelimited':
+						// Hold back other requests of this type, and back off for progressively
+						// longer durations on repeated failures
+						this.bot.rateLimiter.drain(this.params);
+						// eslint-disable-next-line no-case-declarations
+						let backoff = getRetryDelay(this.bot, this.requestOptions.retryNumber, { exponential: true });
+						log(`[W] Encountered ratelimited error, waiting for ${backoff / 1000} seconds before retrying`);
+						return sleep(backoff).then(() => {
+							return this.retry('ratelimited');
 						});
 
 					case 'readonly':
@@ -288,7 +430,7 @@ export class Response {
 							} seconds before retrying`
 						);
 						return sleep(this.bot.options.retryPause).then(() => {
-							return this.retry();
+							return this.retry('readonly');
 						});
 
 					case 'maxlag':
@@ -300,11 +442,14 @@ export class Response {
 							pause = this.bot.options.retryPause / 1000;
 						}
 
+						// eslint-disable-next-line no-case-declarations
+						let lag = error.lag ?? error.data?.lag; // errorformat=bc puts the data at the top level
 						log(
-							`[W] Encountered maxlag: ${error.lag} seconds lagged. Waiting for ${pause} seconds before retrying`
+							`[W] Encountered maxlag: ${lag} seconds lagged. Waiting for ${pause} seconds before retrying`
 						);
-						return sleep(pause * 1000).then(() => {
-							return this.retry();
+						// Other writes to the wiki are held back as well
+						return this.bot.lagThrottle.pause(this.requestOptions.url, lag, pause * 1000).then(() => {
+							return this.retry('maxlag');
 						});
 
 					case 'assertbotfailed':
@@ -317,7 +462,7 @@ export class Response {
 						// Possibly due to session loss: retry after logging in again
 						log(`[W] Received ${error.code}, attempting to log in and retry`);
 						return this.bot.login().then(() => {
-							return this.retry();
+							return this.retry('session');
 						});
 
 					case 'mwoauth-invalid-authorization':
@@ -326,14 +471,25 @@ export class Response {
 						// Also handled in mwclient (https://github.com/mwclient/mwclient/pull/165/commits/d447c333e)
 						// and pywikibot (https://gerrit.wikimedia.org/r/c/pywikibot/core/+/289582/1/pywikibot/data/api.py)
 						// Some discussion in https://github.com/mwclient/mwclient/issues/164
-						if (error.info.includes('Nonce already used')) {
+						if (this.bot.usingOAuth2 && this.bot.oauth2.canRefresh) {
+							// The access token has expired or been revoked. Get a new one, unless
+							// another request has already done so since this one was sent.
+							let usedToken = this.requestOptions.headers?.Authorization;
+							if (usedToken !== `Bearer ${this.bot.oauth2.accessToken}`) {
+								return this.retry('oauth');
+							}
+							log(`[W] OAuth 2 access token rejected, getting a new one and retrying`);
+							return this.bot.oauth2.refresh().then(() => {
+								return this.retry('oauth');
+							});
+						} else if (error.info.includes('Nonce already used')) {
 							log(
 								`[W] Retrying failed OAuth authentication in ${
 									this.bot.options.retryPause / 1000
 								} seconds`
 							);
 							return sleep(this.bot.options.retryPause).then(() => {
-								return this.retry();
+								return this.retry('oauth');
 							});
 						} else {
 							return this.dieWithError(error);
@@ -348,7 +504,11 @@ export class Response {
 		}
 	}
 
-	retry() {
+	/**
+	 * @param {string} reason - for the stats, eg. maxlag
+	 */
+	retry(reason: string) {
+		this.bot.requestStats.recordRetry(reason);
 		this.requestOptions.retryNumber += 1;
 		return this.bot.request(this.params, this.requestOptions);
 	}
@@ -380,23 +540,22 @@ export class Response {
 		if (
 			!error.disableRetry &&
 			this.requestOptions.retryNumber < this.bot.options.maxRetries &&
-			// ENOTFOUND usually means bad apiUrl is provided, retrying is pointless and annoying
-			error.code !== 'ENOTFOUND' &&
-			(
-				!error.response?.status ||
-				// Vaguely retriable error codes
-				[408, 409, 425, 429, 500, 502, 503, 504].includes(error.response.status)
-			)
+			isTransientFailure(error)
 		) {
 			// error might be transient, give it another go!
-			log(`[W] Encountered ${error}, retrying in ${this.bot.options.retryPause / 1000} seconds`);
+			const delay = getRetryDelay(this.bot, this.requestOptions.retryNumber, { response: error.response });
+			log(`[W] Encountered ${error}, retrying in ${delay / 1000} seconds`);
 			console.log(error); // log the full error for upstream reporting if required
-			return sleep(this.bot.options.retryPause).then(() => {
-				return this.retry();
+			return sleep(delay).then(() => {
+				return this.retry('network');
 			});
 		}
 
-		error.request = this.requestOptions;
-		return rejectWithError(error);
+		if (error instanceof MwnError) {
+			// eg. circuit breaker errors
+			error.request = this.requestOptions;
+			return rejectWithError(error);
+		}
+		return rejectWithError(MwnError.NetworkError.wrap(error, this.requestOptions));
 	}
 }
@@ -0,0 +1,157 @@
+/**
+ * Dry-run mode, enabled using the `dryRun` option. Write requests are logged
+ * instead of being sent, and a synthetic success response is returned. Read
+ * requests go through as usual.
+ */
+
+import type { ApiParams, mwn } from './bot';
+import type { Request } from './core';
+import type { ApiResponse } from './api_response_types';
+import { log } from './log';
+import { unifiedDiff } from './wikitext';
+
+/**
+ * Parameters holding tokens which mark the request as a write. Login tokens
+ * are not included, as logging in is needed for reads to work as they would.
+ */
+const writeTokenParams = ['token', 'createtoken'];
+
+/** Parameters not worth logging, or which are logged separately */
+const unloggedParams = ['token', 'createtoken', 'text', 'appendtext', 'prependtext', 'file', 'format', 'formatversion'];
+
+export class DryRun {
+	bot: mwn;
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+	}
+
+	private log(msg: string) {
+		if (!this.bot.options.silent) {
+			log(msg);
+		}
+	}
+
+	/**
+	 * Whether the request is to be intercepted
+	 * @param {Request} req
+	 */
+	isWriteRequest(req: Request): boolean {
+		return writeTokenParams.some((param) => req.apiParams[param] !== undefined);
+	}
+
+	/**
+	 * Log the request instead of sending it
+	 * @param {Request} req
+	 * @returns {Promise<ApiResponse>} synthetic response
+	 */
+	async handle(req: Request): Promise<ApiResponse> {
+		const params = req.apiParams;
+		const action = params.action as string;
+		const loggedParams = Object.entries(params)
+			.filter(([key]) => !unloggedParams.includes(key) && !key.startsWith('text-'))
+			.map(([key, val]) => `${key}=${val}`)
+			.join(', ');
+		this.log(`[i] [dry run] Not sending ${action} request: ${loggedParams}`);
+
+		const result: Record<string, any> = { result: 'Success', dryrun: true };
+		if (params.title !== undefined) {
+			result.title = params.title;
+		}
+		if (params.pageid !== undefined) {
+			result.pageid = Number(params.pageid);
+		}
+		if (action === 'move') {
+			result.from = params.from;
+			result.to = params.to;
+		}
+		if (action === 'edit') {
+			const diff = await this.getEditDiff(params, req.requestParams.currentContent);
+			if (diff === '') {
+				this.log(`[i] [dry run] Edit would result in no change`);
+				result.nochange = true;
+			} else if (diff) {
+				this.log(`[i] [dry run] Diff:\n${diff}`);
+			}
+		}
+		return { [action]: result };
+	}
+
+	/**
+	 * Get the diff between the current text of the page and the text it
+	 * would have after the edit. For edits of slots using text-{slot}
+	 * parameters, the diffs of each edited slot are given.
+	 * @param {ApiParams} params - edit API parameters
+	 * @param {Object} [currentContent] - current content of the page (or section) by
+	 * slot role, fetched if not given
+	 * @returns {Promise<string|null>} null if the diff can't be determined
+	 */
+	async getEditDiff(params: ApiParams, currentContent?: Record<string, string>): Promise<string | null> {
+		const slotRoles = Object.keys(params)
+			.filter((key) => key.startsWith('text-'))
+			.map((key) => key.slice('text-'.length));
+		if (
+			params.text === undefined &&
+			params.appendtext === undefined &&
+			params.prependtext === undefined &&
+			!slotRoles.length
+		) {
+			// eg. undo
+			return null;
+		}
+		if (params.section === 'new') {
+			const header = params.sectiontitle || params.summary;
+			return unifiedDiff('', (header ? `== ${header} ==\n\n` : '') + (params.text as string));
+		}
+		const roles = slotRoles.length ? slotRoles : ['main'];
+		let oldTexts = currentContent;
+		if (!oldTexts || roles.some((role) => oldTexts[role] === undefined)) {
+			try {
+				oldTexts = await this.getCurrentText(params, roles);
+			} catch (err) {
+				log(`[W] [dry run] Failed to fetch current text of the page: ${err}`);
+				return null;
+			}
+		}
+		if (!slotRoles.length) {
+			const oldText = oldTexts.main;
+			let newText =
+				params.text !== undefined
+					? (params.text as string)
+					: ((params.prependtext as string) || '') + oldText + ((params.appendtext as string) || '');
+			return unifiedDiff(oldText, newText);
+		}
+		return slotRoles
+			.map((role) => {
+				const diff = unifiedDiff(oldTexts[role], params[`text-${role}`] as string);
+				return diff && `Slot ${role}:\n${diff}`;
+			})
+			.filter((diff) => diff)
+			.join('\n');
+	}
+
+	/**
+	 * Current text of the page (or section) being edited, keyed by slot role.
+	 * Texts are empty strings if the page or slot doesn't exist.
+	 * @param {ApiParams} params - edit API parameters
+	 * @param {string[]} roles - slots to fetch
+	 */
+	async getCurrentText(params: ApiParams, roles: string[]): Promise<Record<string, string>> {
+		const response = await this.bot.request({
+			action: 'query',
+			prop: 'revisions',
+			rvprop: 'content',
+			rvslots: roles.join('|'),
+			rvsection: params.section,
+			...(params.pageid !== undefined ? { pageids: params.pageid } : { titles: params.title }),
+			formatversion: '2',
+		});
+		const page = response.query.pages[0];
+		const slots = page.missing || !page.revisions ? {} : page.revisions[0].slots;
+		const texts: Record<string, string> = {};
+		for (let role of roles) {
+			texts[role] = slots[role]?.content ?? '';
+		}
+		return texts;
+	}
+}
@@ -1,4 +1,5 @@
 import type { RawRequestParams } from './core';
+import { htmlToText } from './utils';
 
 // make this extend AxiosError?
 export type MwnErrorConfig = {
@@ -6,6 +7,7 @@ export type MwnErrorConfig = {
 	info?: string;
 	html?: string; // errorformat html
 	text?: string; // errorformat plaintext/wikitext
+	errorlang?: string; // language of the html/text, if errorlang was given
 	response?: Record<string, unknown>;
 	request?: RawRequestParams;
 	disableRetry?: boolean;
@@ -27,7 +29,7 @@ export class MwnError extends Error {
 		// If it's an mwn internal error, don't put the error code (begins with "mwn")
 		// in the error message
 		const code = !config.code || config.code.startsWith('mwn') ? '' : config.code + ': ';
-		const info = config.info || config.text || config.html || '';
+		const info = config.info || config.text || (config.html && htmlToText(config.html)) || '';
 		super(code + info);
 
 		Object.assign(this, config);
@@ -43,8 +45,151 @@ export class MwnError extends Error {
 			});
 		}
 	};
+
+	static EditConflict = class MwnErrorEditConflict extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'editconflict', ...config });
+		}
+	};
+
+	static ProtectedPage = class MwnErrorProtectedPage extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'protectedpage', ...config });
+		}
+	};
+
+	static BotDenied = class MwnErrorBotDenied extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'bot-denied', ...config });
+		}
+	};
+
+	static RateLimited = class MwnErrorRateLimited extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'ratelimited', ...config });
+		}
+	};
+
+	static Shutoff = class MwnErrorShutoff extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'bot-shutoff', ...config });
+		}
+	};
+
+	static PermissionDenied = class MwnErrorPermissionDenied extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'permissiondenied', ...config });
+		}
+	};
+
+	static BadToken = class MwnErrorBadToken extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'badtoken', ...config });
+		}
+	};
+
+	/**
+	 * Failure at the network or HTTP level, rather than an error returned by the API.
+	 * The code is that of the underlying error (eg. ECONNRESET), if any.
+	 */
+	static NetworkError = class MwnErrorNetworkError extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'mwn_networkerror', ...config });
+		}
+
+		/**
+		 * Wrap an error thrown by the HTTP library, eg. an AxiosError. The original
+		 * error is kept as `cause`, and its message, code, response and isAxiosError
+		 * flag are carried over.
+		 * @param {Error} error
+		 * @param {Object} [request] - request options
+		 */
+		static wrap(error: any, request?: RawRequestParams): MwnError {
+			const err = new MwnError.NetworkError({
+				code: error.code || 'mwn_networkerror',
+				info: error.message,
+				request,
+			});
+			err.message = error.message;
+			err.cause = error;
+			err.response = error.response;
+			if (error.isAxiosError) {
+				err.isAxiosError = true;
+			}
+			return err;
+		}
+	};
+
+	/**
+	 * The user (or IP address) is blocked from editing. This is a subclass of
+	 * PermissionDenied, so blocks are also caught by checks for PermissionDenied.
+	 */
+	static Blocked = class MwnErrorBlocked extends MwnError.PermissionDenied {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'blocked', ...config });
+		}
+	};
+
+	static InvalidTitle = class MwnErrorInvalidTitle extends MwnError {
+		constructor(config: Partial<MwnErrorConfig> = {}) {
+			super({ code: 'invalidtitle', ...config });
+		}
+	};
+
+	/**
+	 * Create an error object of the subclass corresponding to the error code,
+	 * or a plain MwnError if there's none.
+	 * @param {Object} config
+	 */
+	static fromConfig(config: Error | MwnErrorConfig): MwnError {
+		if (config instanceof Error) {
+			return config;
+		}
+		const ErrorClass = Object.prototype.hasOwnProperty.call(errorClasses, config.code)
+			? errorClasses[config.code]
+			: MwnError;
+		return new ErrorClass(config);
+	}
 }
 
+/**
+ * Map of API error codes to the error subclasses
+ */
+const errorClasses: Record<string, new (config: MwnErrorConfig) => MwnError> = {
+	'missingtitle': MwnError.MissingPage,
+	'editconflict': MwnError.EditConflict,
+	'protectedpage': MwnError.ProtectedPage,
+	'protectedtitle': MwnError.ProtectedPage,
+	'protectednamespace': MwnError.ProtectedPage,
+	'protectednamespace-interface': MwnError.ProtectedPage,
+	'cascadeprotected': MwnError.ProtectedPage,
+	'customcssprotected': MwnError.ProtectedPage,
+	'customjsprotected': MwnError.ProtectedPage,
+	'customjsonprotected': MwnError.ProtectedPage,
+	'bot-denied': MwnError.BotDenied,
+	'ratelimited': MwnError.RateLimited,
+	'bot-shutoff': MwnError.Shutoff,
+	'permissiondenied': MwnError.PermissionDenied,
+	'readapidenied': MwnError.PermissionDenied,
+	'writeapidenied': MwnError.PermissionDenied,
+	'noedit': MwnError.PermissionDenied,
+	'noedit-anon': MwnError.PermissionDenied,
+	'cantcreate': MwnError.PermissionDenied,
+	'cantcreate-anon': MwnError.PermissionDenied,
+	'blocked': MwnError.Blocked,
+	'autoblocked': MwnError.Blocked,
+	'badtoken': MwnError.BadToken,
+	'notoken': MwnError.BadToken,
+	'mwn_notoken': MwnError.BadToken,
+	'mwn_networkerror': MwnError.NetworkError,
+	'invalidtitle': MwnError.InvalidTitle,
+	// REST API errors
+	'rest-nonexistent-title': MwnError.MissingPage,
+	'rest-permission-denied-title': MwnError.PermissionDenied,
+	'rest-permission-denied-revision': MwnError.PermissionDenied,
+	'rest-invalid-title': MwnError.InvalidTitle,
+};
+
 /**
  * Returns a promise rejected with an error object
  * @private
@@ -58,5 +203,5 @@ export function rejectWithErrorCode(errorCode: string): Promise<never> {
 }
 
 export function rejectWithError(errorConfig: MwnErrorConfig | Error): Promise<never> {
-	return Promise.reject(new MwnError(errorConfig));
+	return Promise.reject(MwnError.fromConfig(errorConfig));
 }
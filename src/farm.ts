@@ -0,0 +1,181 @@
+/**
+ * Management of bot instances for many wikis, for running one task across
+ * a wiki farm. Instances are created lazily and share the same options,
+ * including credentials and user agent.
+ */
+
+import * as fs from 'fs';
+
+import { mwn, MwnOptions } from './bot';
+import type { ApiResponse } from './api_response_types';
+
+export interface FarmSite {
+	dbname: string;
+	/** Base URL of the wiki, eg. https://en.wikipedia.org */
+	url: string;
+	/** Defaults to url + '/w/api.php' */
+	apiUrl?: string;
+	sitename?: string;
+	closed?: boolean;
+	private?: boolean;
+}
+
+export class Farm {
+	/** Options shared by all bot instances. apiUrl is set per wiki. */
+	options: MwnOptions;
+	/** Known wikis, from the sitematrix or a site list */
+	sites: FarmSite[] = [];
+	/** Bot instance not tied to any particular wiki, used to run batch operations */
+	bot: mwn;
+
+	/** Bot instances being created or created, keyed by dbname */
+	private bots = new Map<string, Promise<mwn>>();
+
+	/**
+	 * @param {Object} [options] - options for all bot instances, such as the username,
+	 * password or OAuth credentials, and userAgent
+	 * @param {FarmSite[]} [sites]
+	 */
+	constructor(options: MwnOptions = {}, sites: FarmSite[] = []) {
+		this.options = options;
+		this.bot = new mwn(options);
+		this.addSites(sites);
+	}
+
+	/**
+	 * Add wikis to the list of known sites
+	 * @param {FarmSite[]} sites
+	 */
+	addSites(sites: FarmSite[]) {
+		for (let site of sites) {
+			this.sites.push({
+				...site,
+				url: site.url.replace(/\/$/, ''),
+				apiUrl: site.apiUrl || site.url.replace(/\/$/, '') + '/w/api.php',
+			});
+		}
+	}
+
+	/**
+	 * Load the list of sites from a JSON file, containing an array of
+	 * {@link FarmSite} objects.
+	 * @param {string} path
+	 */
+	loadSiteList(path: string) {
+		this.addSites(JSON.parse(fs.readFileSync(path, 'utf8')));
+	}
+
+	/**
+	 * Load the list of sites from the SiteMatrix API of a wiki of the farm.
+	 * @param {string} [apiUrl=https://meta.wikimedia.org/w/api.php]
+	 * @returns {Promise<FarmSite[]>} the sites loaded
+	 */
+	async loadSitematrix(apiUrl = 'https://meta.wikimedia.org/w/api.php'): Promise<FarmSite[]> {
+		const responses = await new mwn({ ...this.options, apiUrl }).continuedQuery(
+			{
+				action: 'sitematrix',
+				smlimit: 'max',
+			},
+			Infinity
+		);
+		const sites: FarmSite[] = [];
+		const toSite = (site: ApiResponse): FarmSite => ({
+			dbname: site.dbname,
+			url: site.url,
+			sitename: site.sitename,
+			closed: !!site.closed,
+			private: !!site.private,
+		});
+		for (let response of responses) {
+			for (let [key, group] of Object.entries(response.sitematrix)) {
+				if (key === 'count') {
+					continue;
+				} else if (key === 'specials') {
+					sites.push(...(group as ApiResponse[]).map(toSite));
+				} else {
+					// language group
+					sites.push(...(group as ApiResponse).site.map(toSite));
+				}
+			}
+		}
+		this.addSites(sites);
+		return sites;
+	}
+
+	/**
+	 * Find a wiki by its dbname (eg. "enwiki"), domain (eg. "en.wikipedia.org")
+	 * or URL. Wikis not in the list of sites can also be given by their domain.
+	 * @param {string} wiki
+	 * @returns {FarmSite}
+	 */
+	getSite(wiki: string): FarmSite {
+		const domain = wiki.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+		const site = this.sites.find((site) => site.dbname === wiki || new URL(site.url).host === domain);
+		if (site) {
+			return site;
+		}
+		if (domain.includes('.')) {
+			const url = 'https://' + domain;
+			return { dbname: domain, url, apiUrl: url + '/w/api.php' };
+		}
+		throw new Error(`Unknown wiki: ${wiki}`);
+	}
+
+	/**
+	 * Get the bot instance for a wiki, creating it the first time. The instance
+	 * is logged in if credentials are given in the options, else only the site
+	 * info is fetched.
+	 * @param {string} wiki - dbname, domain or URL of the wiki
+	 * @returns {Promise<mwn>}
+	 */
+	getBot(wiki: string): Promise<mwn> {
+		const site = this.getSite(wiki);
+		if (!this.bots.has(site.dbname)) {
+			const config = { ...this.options, apiUrl: site.apiUrl };
+			const botPromise =
+				config.username || config.OAuthCredentials || config.OAuth2Credentials
+					? mwn.init(config)
+					: Promise.resolve(new mwn(config)).then(async (bot) => {
+							await bot.getSiteInfo();
+							return bot;
+					  });
+			// Don't cache failures, so that they can be retried
+			botPromise.catch(() => this.bots.delete(site.dbname));
+			this.bots.set(site.dbname, botPromise);
+		}
+		return this.bots.get(site.dbname);
+	}
+
+	/**
+	 * Run a task on many wikis, with the given number of wikis being worked
+	 * on at a time. Like batchOperation(), failures on some wikis don't stop
+	 * the task from being run on the others.
+	 * @param {string[]} wikis - dbnames, domains or URLs of the wikis
+	 * @param {Function} worker - function that runs the task using the bot
+	 * instance for a wiki, and returns a promise
+	 * @param {number} [concurrency=5]
+	 * @returns {Promise<Object>} resolved with the results and the failures of
+	 * the worker, keyed by the wiki
+	 */
+	async forEach<T>(
+		wikis: string[],
+		worker: (bot: mwn, wiki: string) => Promise<T>,
+		concurrency = 5
+	): Promise<{ results: { [wiki: string]: T }; failures: { [wiki: string]: Error } }> {
+		const results: { [wiki: string]: T } = {};
+		if (!wikis.length) {
+			return { results, failures: {} };
+		}
+		const { failures } = await this.bot.batchOperation(
+			wikis,
+			(wiki) =>
+				this.getBot(wiki)
+					.then((bot) => worker(bot, wiki))
+					.then((result) => {
+						results[wiki] = result;
+					}),
+			concurrency
+		);
+		return { results, failures };
+	}
+}
@@ -0,0 +1,183 @@
+/**
+ * Throttling of write requests based on the database replication lag
+ * reported by the wiki, so that the bot backs off as a whole when the wiki is
+ * lagged, rather than each request running into maxlag errors and waiting
+ * separately.
+ *
+ * See https://www.mediawiki.org/wiki/Manual:Maxlag_parameter
+ */
+
+import { EventEmitter } from 'events';
+
+import type { AxiosResponse } from 'axios';
+
+import type { ApiParams, mwn } from './bot';
+import type { RawRequestParams } from './core';
+import { CircuitBreaker } from './retry';
+import { sleep } from './utils';
+
+export interface LagThrottleOptions {
+	/**
+	 * Make all write requests to a wiki wait out a maxlag error together,
+	 * rather than only the request which got the error.
+	 */
+	enabled?: boolean;
+	/**
+	 * Lag in seconds, as reported in X-Database-Lag headers, from which write
+	 * requests are spaced out by the number of seconds lagged. Defaults to
+	 * half of the maxlag parameter.
+	 */
+	slowdownLag?: number;
+}
+
+export interface LagEvent {
+	/** Host of the wiki */
+	host: string;
+	/** Lag in seconds, null if not known */
+	lag: number | null;
+}
+
+export interface LagPauseEvent extends LagEvent {
+	/** Milliseconds for which writes are paused */
+	duration: number;
+}
+
+interface HostState {
+	lag: number | null;
+	pausedUntil: number;
+	pause: Promise<void> | null;
+	// Slowed down writes are chained one after another
+	queue: Promise<void>;
+}
+
+/**
+ * Tracks the lag of each wiki the bot talks to. Emits:
+ * - `lag` ({@link LagEvent}) when the wiki reports the lag
+ * - `pause` ({@link LagPauseEvent}) when writes are paused due to a maxlag error
+ * - `resume` ({@link LagEvent}) when the pause is over
+ */
+export class LagThrottle extends EventEmitter {
+	bot: mwn;
+	hosts: Record<string, HostState> = {};
+
+	constructor(bot: mwn) {
+		super();
+		this.bot = bot;
+	}
+
+	private getState(url: string): HostState {
+		const host = CircuitBreaker.getHost(url);
+		return (this.hosts[host] = this.hosts[host] || {
+			lag: null,
+			pausedUntil: 0,
+			pause: null,
+			queue: Promise.resolve(),
+		});
+	}
+
+	/**
+	 * Last known lag of the wiki, in seconds
+	 * @param {string} [url] - API URL, defaults to the apiUrl option
+	 * @returns {number|null} null if not known
+	 */
+	getLag(url = this.bot.options.apiUrl): number | null {
+		return this.getState(url).lag;
+	}
+
+	/**
+	 * Whether writes to the wiki are currently paused
+	 * @param {string} [url] - API URL, defaults to the apiUrl option
+	 */
+	isPaused(url = this.bot.options.apiUrl): boolean {
+		return !!this.getState(url).pause;
+	}
+
+	private setLag(url: string, lag: number) {
+		this.getState(url).lag = lag;
+		this.emit('lag', { host: CircuitBreaker.getHost(url), lag } as LagEvent);
+	}
+
+	/**
+	 * Note the lag reported in the X-Database-Lag header of the response. A
+	 * response without it, to a request with the maxlag parameter, means
+	 * that the lag is lower than maxlag.
+	 * @param {ApiParams} params
+	 * @param {RawRequestParams} requestOptions
+	 * @param {AxiosResponse} response
+	 */
+	recordResponse(params: ApiParams, requestOptions: RawRequestParams, response: AxiosResponse) {
+		const header = parseFloat(response.headers?.['x-database-lag']); // axios uses lowercase headers
+		if (!isNaN(header)) {
+			this.setLag(requestOptions.url, header);
+		} else if (params.maxlag !== undefined && !response.data?.error) {
+			this.getState(requestOptions.url).lag = 0;
+		}
+	}
+
+	/**
+	 * Called on getting a maxlag error. Writes to the wiki are paused for the
+	 * given duration, or till the end of an ongoing pause if that's later.
+	 * @param {string} url
+	 * @param {number} lag - seconds lagged, as given in the error
+	 * @param {number} duration - milliseconds to wait
+	 * @returns {Promise<void>} resolved when the pause is over
+	 */
+	pause(url: string, lag: number, duration: number): Promise<void> {
+		const state = this.getState(url);
+		if (typeof lag === 'number' && lag !== state.lag) {
+			// not already known from the X-Database-Lag header
+			this.setLag(url, lag);
+		}
+		if (!this.bot.options.lagThrottle.enabled) {
+			return sleep(duration);
+		}
+		const start = Date.now();
+		if (state.pause) {
+			// Retry-After is in whole seconds, so errors received within a second of
+			// each other don't extend the pause
+			if (start + duration > state.pausedUntil + 1000) {
+				state.pausedUntil = start + duration;
+			}
+			return state.pause;
+		}
+		const host = CircuitBreaker.getHost(url);
+		state.pausedUntil = start + duration;
+		this.emit('pause', { host, lag: state.lag, duration } as LagPauseEvent);
+		state.pause = (async () => {
+			// Sleep again if the pause got extended in the meanwhile
+			let sleptUntil = start;
+			while (sleptUntil < state.pausedUntil) {
+				const remaining = state.pausedUntil - sleptUntil;
+				sleptUntil = state.pausedUntil;
+				await sleep(remaining);
+			}
+			state.pause = null;
+			this.emit('resume', { host, lag: state.lag } as LagEvent);
+		})();
+		return state.pause;
+	}
+
+	/**
+	 * Resolved when the request is okay to be sent. Write requests wait for
+	 * any ongoing pause, and are spaced out while the wiki is lagged.
+	 * @param {ApiParams} params
+	 * @param {RawRequestParams} requestOptions
+	 */
+	async wait(params: ApiParams, requestOptions: RawRequestParams): Promise<void> {
+		if (!this.bot.options.lagThrottle.enabled || (params.token === undefined && params.createtoken === undefined)) {
+			return;
+		}
+		const state = this.getState(requestOptions.url);
+		if (state.pause) {
+			await state.pause;
+		}
+		const maxlag = Number(params.maxlag);
+		const slowdownLag = this.bot.options.lagThrottle.slowdownLag ?? maxlag / 2;
+		// Lag above maxlag is dealt with by pausing on the maxlag errors
+		if (state.lag && state.lag >= slowdownLag && !(state.lag >= maxlag)) {
+			const delay = state.lag * 1000;
+			state.queue = state.queue.then(() => sleep(delay));
+			await state.queue;
+		}
+	}
+}
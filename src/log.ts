@@ -63,15 +63,31 @@ export function message(msg: item) {
 		msg = chalk.gray('[' + humanDate() + '] ') + msg;
 	}
 
-	if (!logConfig.printVerbose && msg.indexOf('[V]') >= 0) {
-		// Supressing output of verbose message
-	} else if (!logConfig.printDebug && msg.indexOf('[D]') >= 0) {
-		// Supressing output of debug message
-	} else {
+	if (!isSuppressed(msg)) {
 		console.log(msg);
 	}
 }
 
+function isSuppressed(msg: string): boolean {
+	// Supressing output of verbose and debug messages, if so configured
+	return (!logConfig.printVerbose && msg.indexOf('[V]') >= 0) || (!logConfig.printDebug && msg.indexOf('[D]') >= 0);
+}
+
+/**
+ * Logs a message followed by a diff, as given by the colored output of
+ * Wikitext.diff(). The message is formatted as by log(), while the diff,
+ * which is already colored, is printed as is.
+ *
+ * @param {string} msg
+ * @param {string} diff
+ */
+export function logDiff(msg: string, diff: string): void {
+	if (isSuppressed(msg)) {
+		return;
+	}
+	console.log(chalk.gray('[' + humanDate() + '] ') + colorize(msg) + (diff ? '\n' + diff : ''));
+}
+
 /**
  * Prints out debugging information for the current model object
  * @param obj
@@ -140,6 +156,18 @@ export function colorize(msg: item) {
 	return msg;
 }
 
+/**
+ * Colors a part of a diff, using the same colors as for [+], [-] and [C] messages
+ *
+ * @param {string} text
+ * @param {string} type - added, removed or header (for hunk headers)
+ * @returns {string}
+ */
+export function colorizeDiff(text: string, type: 'added' | 'removed' | 'header'): string {
+	const colors = { added: 'green', removed: 'red', header: 'cyan' };
+	return chalk[colors[type]](text);
+}
+
 /**
  * Pad a number with n digits
  *
@@ -0,0 +1,140 @@
+/**
+ * OAuth 2.0 authentication using bearer tokens, as used by the OAuth extension
+ * (https://www.mediawiki.org/wiki/Extension:OAuth). Access tokens are refreshed
+ * automatically if the client credentials are available.
+ */
+
+import type { mwn } from './bot';
+import { MwnError } from './error';
+
+export interface OAuth2Credentials {
+	/** Access token, as given for owner-only consumers or obtained earlier */
+	accessToken?: string;
+	/** Client ID (consumer key), needed for getting new access tokens */
+	clientId?: string;
+	/** Client secret (consumer secret), needed for getting new access tokens */
+	clientSecret?: string;
+	/**
+	 * Refresh token. If not given, new access tokens are obtained using the
+	 * client credentials grant, which works for owner-only consumers.
+	 */
+	refreshToken?: string;
+	/** Timestamp (in milliseconds) at which the access token expires, if known */
+	expiresAt?: number;
+	/** URL of the token endpoint. Defaults to rest.php/oauth2/access_token on the wiki. */
+	tokenUrl?: string;
+}
+
+/**
+ * Number of milliseconds before the expiry of the access token at which it
+ * is refreshed, to allow for clock skew and requests in flight
+ */
+const EXPIRY_MARGIN = 60000;
+
+export class OAuth2Client {
+	bot: mwn;
+	accessToken: string;
+	refreshToken: string;
+	expiresAt: number;
+
+	/** Refresh in progress, shared by all requests waiting for a token */
+	private refreshing: Promise<string> = null;
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+		const creds = bot.options.OAuth2Credentials;
+		this.accessToken = creds.accessToken || null;
+		this.refreshToken = creds.refreshToken || null;
+		this.expiresAt = creds.expiresAt || null;
+	}
+
+	get credentials(): OAuth2Credentials {
+		return this.bot.options.OAuth2Credentials;
+	}
+
+	/**
+	 * Whether new access tokens can be obtained
+	 */
+	get canRefresh(): boolean {
+		return !!(this.credentials.clientId && this.credentials.clientSecret);
+	}
+
+	get tokenUrl(): string {
+		return (
+			this.credentials.tokenUrl || this.bot.options.apiUrl.replace(/api\.php$/, 'rest.php/oauth2/access_token')
+		);
+	}
+
+	/**
+	 * Get a valid access token, refreshing it first if it has expired
+	 * @returns {Promise<string>}
+	 */
+	async getAccessToken(): Promise<string> {
+		if (this.refreshing) {
+			return this.refreshing;
+		}
+		const expired = this.expiresAt && Date.now() > this.expiresAt - EXPIRY_MARGIN;
+		if ((!this.accessToken || expired) && this.canRefresh) {
+			return this.refresh();
+		}
+		return this.accessToken;
+	}
+
+	/**
+	 * Get a new access token from the token endpoint, using the refresh
+	 * token if available, or else the client credentials.
+	 * @returns {Promise<string>} the new access token
+	 */
+	refresh(): Promise<string> {
+		if (!this.canRefresh) {
+			return Promise.reject(
+				new MwnError({
+					code: 'mwn_oauth2norefresh',
+					info:
+						'Access token is invalid or has expired, and no client ID and secret are available to refresh it',
+					disableRetry: true,
+				})
+			);
+		}
+		if (!this.refreshing) {
+			this.refreshing = this.requestToken().finally(() => {
+				this.refreshing = null;
+			});
+		}
+		return this.refreshing;
+	}
+
+	private async requestToken(): Promise<string> {
+		const params: Record<string, string> = this.refreshToken
+			? { grant_type: 'refresh_token', refresh_token: this.refreshToken }
+			: { grant_type: 'client_credentials' };
+		params.client_id = this.credentials.clientId;
+		params.client_secret = this.credentials.clientSecret;
+
+		let response;
+		try {
+			response = await this.bot.rawRequest({
+				method: 'post',
+				url: this.tokenUrl,
+				data: new URLSearchParams(params).toString(),
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			});
+		} catch (err) {
+			const data = err.response?.data;
+			throw new MwnError({
+				code: 'mwn_oauth2refreshfailed',
+				info: `Failed to get OAuth 2 access token: ${data?.error_description || data?.message || err.message}`,
+				response: err.response,
+				disableRetry: true,
+			});
+		}
+		const data = response.data;
+		this.accessToken = data.access_token;
+		// Refresh tokens may be rotated
+		if (data.refresh_token) {
+			this.refreshToken = data.refresh_token;
+		}
+		this.expiresAt = data.expires_in ? Date.now() + data.expires_in * 1000 : null;
+		return this.accessToken;
+	}
+}
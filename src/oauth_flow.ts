@@ -0,0 +1,445 @@
+/**
+ * Helpers for tools that act on behalf of their users, to run the OAuth
+ * authorization flow (https://www.mediawiki.org/wiki/OAuth/For_Developers)
+ * and then get a bot instance authenticated as the user.
+ *
+ * For OAuth 1.0a:
+ * 1. flow.initiate() gives a request token and the URL to which the user should
+ *    be redirected to authorize the tool. Keep the request token till the callback.
+ * 2. The wiki redirects the user to the tool's callback URL with oauth_verifier and
+ *    oauth_token parameters. flow.handleCallback() exchanges them for an access token.
+ * 3. flow.identify() gives the identity of the user, and flow.createBot() a bot
+ *    instance for them.
+ *
+ * OAuth 2.0 works the same way, except that flow.getAuthorizeUrl() gives the URL
+ * and a random state, and the callback has code and state parameters.
+ */
+
+import * as crypto from 'crypto';
+import * as OAuth from 'oauth-1.0a';
+
+import { mwn, MwnOptions } from './bot';
+import { MwnError, MwnErrorConfig } from './error';
+
+export interface OAuthFlowOptions {
+	apiUrl: string;
+	userAgent?: string;
+	/** Consumer key of the OAuth 1.0a consumer */
+	consumerToken: string;
+	consumerSecret: string;
+	/** Defaults to 'oob', which means the callback URL registered for the consumer */
+	callbackUrl?: string;
+	/** Other options for the bot instances created by createBot() */
+	botOptions?: MwnOptions;
+}
+
+export interface OAuth2FlowOptions {
+	apiUrl: string;
+	userAgent?: string;
+	clientId: string;
+	clientSecret: string;
+	/** Needs to be given only if it is different from the one registered for the client */
+	redirectUri?: string;
+	/** Other options for the bot instances created by createBot() */
+	botOptions?: MwnOptions;
+}
+
+export interface OAuthToken {
+	key: string;
+	secret: string;
+}
+
+export interface OAuth2Token {
+	accessToken: string;
+	refreshToken?: string;
+	/** Timestamp (in milliseconds) at which the access token expires */
+	expiresAt?: number;
+}
+
+/** Identity of the user who authorized the tool */
+export interface OAuthIdentity {
+	/** Central user ID */
+	sub: string | number;
+	username: string;
+	editcount: number;
+	confirmed_email: boolean;
+	blocked: boolean;
+	registered: string;
+	groups: string[];
+	rights: string[];
+	grants: string[];
+	/** Only with the "User identity verification only, with access to real name and email address" grant */
+	realname?: string;
+	email?: string;
+	[key: string]: any;
+}
+
+/** Seconds of clock skew allowed while checking the times in the identity JWT */
+const JWT_LEEWAY = 60;
+
+function randomString(): string {
+	return crypto.randomBytes(16).toString('hex');
+}
+
+function base64UrlDecode(str: string): Buffer {
+	return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function flowError(code: string, info: string, extra?: Partial<MwnErrorConfig>): MwnError {
+	return new MwnError({ code, info, disableRetry: true, ...extra });
+}
+
+/**
+ * Authorization flow for OAuth 1.0a consumers
+ */
+export class OAuthFlow {
+	options: OAuthFlowOptions;
+	/** Bot instance used to make the requests */
+	bot: mwn;
+	oauth: OAuth;
+
+	/**
+	 * @param {OAuthFlowOptions} options
+	 */
+	constructor(options: OAuthFlowOptions) {
+		this.options = { callbackUrl: 'oob', ...options };
+		this.bot = new mwn({
+			apiUrl: options.apiUrl,
+			...(options.userAgent && { userAgent: options.userAgent }),
+			silent: true,
+		});
+		this.oauth = new OAuth({
+			consumer: {
+				key: options.consumerToken,
+				secret: options.consumerSecret,
+			},
+			signature_method: 'HMAC-SHA1',
+			hash_function(base_string, key) {
+				return crypto.createHmac('sha1', key).update(base_string).digest('base64');
+			},
+		});
+	}
+
+	get indexUrl(): string {
+		return this.options.apiUrl.replace(/api\.php$/, 'index.php');
+	}
+
+	/**
+	 * Make a signed request to a Special:OAuth subpage
+	 * @param {string} subpage - initiate, token or identify
+	 * @param {Object} params - other parameters, which are included in the signature
+	 * @param {OAuthToken} [token] - request token or access token
+	 * @returns {Promise<{data: any, nonce: string}>}
+	 */
+	private async signedRequest(subpage: string, params: Record<string, string>, token?: OAuthToken) {
+		const data = { title: 'Special:OAuth/' + subpage, format: 'json', ...params };
+		const authorization = this.oauth.authorize(
+			{ url: this.indexUrl, method: 'GET', data },
+			token && { key: token.key, secret: token.secret }
+		);
+		let body;
+		try {
+			const response = await this.bot.rawRequest({
+				url: this.indexUrl,
+				method: 'get',
+				params: data,
+				headers: { ...this.oauth.toHeader(authorization) },
+			});
+			// JSON, except for identify which gives a JWT
+			body = response.data;
+		} catch (err) {
+			body = err.response?.data;
+			if (!body?.error) {
+				throw err instanceof MwnError ? err : MwnError.NetworkError.wrap(err);
+			}
+		}
+		if (body?.error) {
+			throw flowError(body.error, body.message || body.error, { response: body });
+		}
+		return { data: body, nonce: authorization.oauth_nonce };
+	}
+
+	/**
+	 * Get a request token, and the URL at which the user can authorize the tool.
+	 * @returns {Promise<{requestToken: OAuthToken, authorizeUrl: string}>}
+	 */
+	async initiate(): Promise<{ requestToken: OAuthToken; authorizeUrl: string }> {
+		const { data } = await this.signedRequest('initiate', { oauth_callback: this.options.callbackUrl });
+		if (!data?.key || !data.secret) {
+			throw flowError('mwn_oauthfailed', 'No request token in response to Special:OAuth/initiate');
+		}
+		const authorizeUrl =
+			this.indexUrl +
+			'?' +
+			new URLSearchParams({
+				title: 'Special:OAuth/authorize',
+				oauth_token: data.key,
+				oauth_consumer_key: this.options.consumerToken,
+			}).toString();
+		return { requestToken: { key: data.key, secret: data.secret }, authorizeUrl };
+	}
+
+	/**
+	 * Exchange the request token and the verifier for an access token.
+	 * @param {OAuthToken} requestToken
+	 * @param {string} verifier - the oauth_verifier parameter given to the callback
+	 * @returns {Promise<OAuthToken>}
+	 */
+	async getAccessToken(requestToken: OAuthToken, verifier: string): Promise<OAuthToken> {
+		const { data } = await this.signedRequest('token', { oauth_verifier: verifier }, requestToken);
+		if (!data?.key || !data.secret) {
+			throw flowError('mwn_oauthfailed', 'No access token in response to Special:OAuth/token');
+		}
+		return { key: data.key, secret: data.secret };
+	}
+
+	/**
+	 * Handle the request to the callback URL.
+	 * @param {Object} query - query parameters of the callback request
+	 * @param {OAuthToken} requestToken - the request token given by initiate()
+	 * @returns {Promise<OAuthToken>} the access token
+	 */
+	handleCallback(query: Record<string, any>, requestToken: OAuthToken): Promise<OAuthToken> {
+		if (!query.oauth_verifier) {
+			return Promise.reject(flowError('mwn_oauthnoverifier', 'No oauth_verifier in callback parameters'));
+		}
+		if (query.oauth_token !== requestToken.key) {
+			return Promise.reject(
+				flowError('mwn_oauthtokenmismatch', 'oauth_token in callback does not match the request token')
+			);
+		}
+		return this.getAccessToken(requestToken, query.oauth_verifier);
+	}
+
+	/**
+	 * Get the identity of the user who authorized the tool, from the JWT
+	 * returned by Special:OAuth/identify. The signature, issuer, audience,
+	 * times and nonce of the JWT are all verified.
+	 * @param {OAuthToken} accessToken
+	 * @returns {Promise<OAuthIdentity>}
+	 */
+	async identify(accessToken: OAuthToken): Promise<OAuthIdentity> {
+		const { data, nonce } = await this.signedRequest('identify', {}, accessToken);
+		return this.verifyJwt(String(data), nonce);
+	}
+
+	/**
+	 * Verify an identity JWT, and get its payload
+	 * @param {string} jwt
+	 * @param {string} nonce - the nonce sent in the identify request
+	 * @returns {OAuthIdentity}
+	 */
+	verifyJwt(jwt: string, nonce: string): OAuthIdentity {
+		const invalid = (reason: string) => flowError('mwn_oauthinvalidjwt', `Invalid identity JWT: ${reason}`);
+		const parts = jwt.trim().split('.');
+		if (parts.length !== 3) {
+			throw invalid('malformed');
+		}
+		let header, payload;
+		try {
+			header = JSON.parse(base64UrlDecode(parts[0]).toString());
+			payload = JSON.parse(base64UrlDecode(parts[1]).toString());
+		} catch (e) {
+			throw invalid('malformed');
+		}
+		if (header.alg !== 'HS256') {
+			throw invalid(`unexpected algorithm ${header.alg}`);
+		}
+		const expected = crypto
+			.createHmac('sha256', this.options.consumerSecret)
+			.update(parts[0] + '.' + parts[1])
+			.digest();
+		const signature = base64UrlDecode(parts[2]);
+		if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+			throw invalid('bad signature');
+		}
+		if (payload.iss !== new URL(this.options.apiUrl).origin) {
+			throw invalid(`unexpected issuer ${payload.iss}`);
+		}
+		if (payload.aud !== this.options.consumerToken) {
+			throw invalid('unexpected audience');
+		}
+		const now = Date.now() / 1000;
+		if (payload.iat > now + JWT_LEEWAY || payload.exp < now - JWT_LEEWAY) {
+			throw invalid('expired or issued in the future');
+		}
+		if (payload.nonce !== nonce) {
+			throw invalid('nonce mismatch');
+		}
+		return payload;
+	}
+
+	/**
+	 * Get a bot instance authenticated as the user, with the tokens and site
+	 * info already fetched.
+	 * @param {OAuthToken} accessToken
+	 * @param {MwnOptions} [options] - options overriding the botOptions
+	 * @returns {Promise<mwn>}
+	 */
+	createBot(accessToken: OAuthToken, options?: MwnOptions): Promise<mwn> {
+		return mwn.init({
+			apiUrl: this.options.apiUrl,
+			...(this.options.userAgent && { userAgent: this.options.userAgent }),
+			...this.options.botOptions,
+			...options,
+			OAuthCredentials: {
+				consumerToken: this.options.consumerToken,
+				consumerSecret: this.options.consumerSecret,
+				accessToken: accessToken.key,
+				accessSecret: accessToken.secret,
+			},
+		});
+	}
+}
+
+/**
+ * Authorization flow for OAuth 2.0 clients, using the authorization code grant
+ */
+export class OAuth2Flow {
+	options: OAuth2FlowOptions;
+	/** Bot instance used to make the requests */
+	bot: mwn;
+
+	/**
+	 * @param {OAuth2FlowOptions} options
+	 */
+	constructor(options: OAuth2FlowOptions) {
+		this.options = options;
+		this.bot = new mwn({
+			apiUrl: options.apiUrl,
+			...(options.userAgent && { userAgent: options.userAgent }),
+			silent: true,
+		});
+	}
+
+	get restUrl(): string {
+		return this.options.apiUrl.replace(/api\.php$/, 'rest.php');
+	}
+
+	/**
+	 * Get the URL at which the user can authorize the tool. The state should be
+	 * kept till the callback, to be checked against the one given there.
+	 * @param {string} [state] - defaults to a random string
+	 * @returns {{authorizeUrl: string, state: string}}
+	 */
+	getAuthorizeUrl(state = randomString()): { authorizeUrl: string; state: string } {
+		const params: Record<string, string> = {
+			response_type: 'code',
+			client_id: this.options.clientId,
+			state,
+		};
+		if (this.options.redirectUri) {
+			params.redirect_uri = this.options.redirectUri;
+		}
+		return {
+			authorizeUrl: this.restUrl + '/oauth2/authorize?' + new URLSearchParams(params).toString(),
+			state,
+		};
+	}
+
+	/**
+	 * Exchange the authorization code for an access token.
+	 * @param {string} code - the code parameter given to the callback
+	 * @returns {Promise<OAuth2Token>}
+	 */
+	async getAccessToken(code: string): Promise<OAuth2Token> {
+		const params: Record<string, string> = {
+			grant_type: 'authorization_code',
+			code,
+			client_id: this.options.clientId,
+			client_secret: this.options.clientSecret,
+		};
+		if (this.options.redirectUri) {
+			params.redirect_uri = this.options.redirectUri;
+		}
+		let response;
+		try {
+			response = await this.bot.rawRequest({
+				method: 'post',
+				url: this.restUrl + '/oauth2/access_token',
+				data: new URLSearchParams(params).toString(),
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			});
+		} catch (err) {
+			const data = err.response?.data;
+			throw flowError(
+				'mwn_oauthfailed',
+				`Failed to get OAuth 2 access token: ${data?.error_description || data?.message || err.message}`,
+				{ response: err.response }
+			);
+		}
+		const data = response.data;
+		return {
+			accessToken: data.access_token,
+			refreshToken: data.refresh_token,
+			expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : undefined,
+		};
+	}
+
+	/**
+	 * Handle the request to the callback URL.
+	 * @param {Object} query - query parameters of the callback request
+	 * @param {string} state - the state given by getAuthorizeUrl()
+	 * @returns {Promise<OAuth2Token>}
+	 */
+	handleCallback(query: Record<string, any>, state: string): Promise<OAuth2Token> {
+		if (query.error) {
+			// eg. the user declined to authorize the tool
+			return Promise.reject(flowError(query.error, query.error_description || query.message || query.error));
+		}
+		if (!query.state || query.state !== state) {
+			return Promise.reject(flowError('mwn_oauthstatemismatch', 'state in callback does not match'));
+		}
+		if (!query.code) {
+			return Promise.reject(flowError('mwn_oauthnocode', 'No code in callback parameters'));
+		}
+		return this.getAccessToken(query.code);
+	}
+
+	/**
+	 * Get the identity of the user who authorized the tool, from the
+	 * oauth2/resource/profile endpoint. As this is a direct request over HTTPS
+	 * authenticated by the access token, there is no JWT to verify.
+	 * @param {OAuth2Token} token
+	 * @returns {Promise<OAuthIdentity>}
+	 */
+	async identify(token: OAuth2Token): Promise<OAuthIdentity> {
+		try {
+			const response = await this.bot.rawRequest({
+				url: this.restUrl + '/oauth2/resource/profile',
+				headers: { Authorization: `Bearer ${token.accessToken}` },
+			});
+			return response.data;
+		} catch (err) {
+			const data = err.response?.data;
+			throw flowError(
+				'mwn_oauthfailed',
+				`Failed to get user identity: ${data?.error_description || data?.message || err.message}`,
+				{ response: err.response }
+			);
+		}
+	}
+
+	/**
+	 * Get a bot instance authenticated as the user, with the tokens and site
+	 * info already fetched. The access token is refreshed automatically.
+	 * @param {OAuth2Token} token
+	 * @param {MwnOptions} [options] - options overriding the botOptions
+	 * @returns {Promise<mwn>}
+	 */
+	createBot(token: OAuth2Token, options?: MwnOptions): Promise<mwn> {
+		return mwn.init({
+			apiUrl: this.options.apiUrl,
+			...(this.options.userAgent && { userAgent: this.options.userAgent }),
+			...this.options.botOptions,
+			...options,
+			OAuth2Credentials: {
+				accessToken: token.accessToken,
+				refreshToken: token.refreshToken,
+				expiresAt: token.expiresAt,
+				clientId: this.options.clientId,
+				clientSecret: this.options.clientSecret,
+			},
+		});
+	}
+}
@@ -1,6 +1,8 @@
 import { MwnError } from './error';
+import { log } from './log';
+import { htmlToText } from './utils';
 
-import type { mwn, MwnTitle } from './bot';
+import type { mwn, MwnOptions, MwnTitle } from './bot';
 import type {
 	ApiDeleteParams,
 	ApiEditPageParams,
@@ -12,7 +14,8 @@ import type {
 	ApiUndeleteParams,
 	WikibaseClientApiDescriptionParams,
 } from './api_params';
-import { ApiPage, ApiParseResponse, ApiRevision, LogEvent } from './api_response_types';
+import { ApiEditResponse, ApiPage, ApiParseResponse, ApiRevision, LogEvent } from './api_response_types';
+import type { CompareResult } from './compare';
 
 export interface MwnPageStatic {
 	new (title: MwnTitle | string, namespace?: number): MwnPage;
@@ -155,7 +158,58 @@ export interface MwnPage extends MwnTitle {
 	 * @see https://api.wikiwho.net/
 	 */
 	queryAuthors(): Promise<AuthorshipData>;
+	/**
+	 * Get the changes between two revisions of the page. See {@link mwn.compare}.
+	 * @param {number} oldRevid
+	 * @param {number} [newRevid] - defaults to the latest revision of the page
+	 */
+	diff(oldRevid: number, newRevid?: number): Promise<CompareResult>;
 	edit(transform: (rev: { content: string; timestamp: string }) => string | ApiEditPageParams): Promise<any>;
+	/**
+	 * Edit a section of the page, without loading or saving the rest of the page.
+	 * The section is looked up in the latest revision, and only the content of that
+	 * section is fetched. If the page is edited in between so that the section
+	 * numbering may have changed, the section is looked up again (as for edit
+	 * conflicts, up to `conflictRetries` times).
+	 * @param {SectionSelector} section - index of the section (0 for the lead), or its header
+	 * @param {Function} transform - called with the section content and the revision
+	 * timestamp, see {@link mwn.edit}
+	 * @param {Object} [editConfig] - see {@link mwn.edit}. exclusionRegex is tested
+	 * against the section content only.
+	 * @returns {Promise<Object>} Edit API response
+	 */
+	editSection(
+		section: SectionSelector,
+		transform: (rev: { content: string; timestamp: string }) => string | ApiEditPageParams,
+		editConfig?: MwnOptions['editConfig']
+	): Promise<ApiEditResponse>;
+	/**
+	 * Add text to the end of a section. As the section includes its subsections,
+	 * the text goes after the last subsection, if any.
+	 * @param {SectionSelector} section
+	 * @param {string} text
+	 * @param {string} [summary]
+	 * @param {Object} [options]
+	 */
+	appendToSection(
+		section: SectionSelector,
+		text: string,
+		summary?: string,
+		options?: ApiEditPageParams
+	): Promise<ApiEditResponse>;
+	/**
+	 * Add text to the beginning of a section, right below its header.
+	 * @param {SectionSelector} section
+	 * @param {string} text
+	 * @param {string} [summary]
+	 * @param {Object} [options]
+	 */
+	prependToSection(
+		section: SectionSelector,
+		text: string,
+		summary?: string,
+		options?: ApiEditPageParams
+	): Promise<ApiEditResponse>;
 	save(text: string, summary?: string, options?: ApiEditPageParams): Promise<any>;
 	newSection(header: string, message: string, additionalParams?: ApiEditPageParams): Promise<any>;
 	move(target: string, summary: string, options?: ApiMoveParams): Promise<any>;
@@ -196,13 +250,9 @@ export default function (bot: mwn): MwnPageStatic {
 
 		/** @inheritDoc */
 		exists(): Promise<boolean> {
-			return bot
-				.query({
-					titles: this.toString(),
-				})
-				.then((data) => {
-					return data.query.pages[0].missing !== true;
-				});
+			return bot.queryBatcher.load({}, this.toString()).then((page) => {
+				return page.missing !== true;
+			});
 		}
 
 		/** @inheritDoc */
@@ -346,19 +396,12 @@ export default function (bot: mwn): MwnPageStatic {
 				}
 				return Promise.resolve(new bot.title(target[1]).toText());
 			}
-			return bot
-				.request({
-					action: 'query',
-					titles: this.toString(),
-					redirects: '1',
-				})
-				.then((data) => {
-					let page = data.query.pages[0];
-					if (page.missing) {
-						return Promise.reject(new MwnError.MissingPage());
-					}
-					return page.title;
-				});
+			return bot.queryBatcher.load({ redirects: '1' }, this.toString()).then((page) => {
+				if (page.missing) {
+					return Promise.reject(new MwnError.MissingPage());
+				}
+				return page.title;
+			});
 		}
 
 		/** @inheritDoc */
@@ -640,6 +683,13 @@ export default function (bot: mwn): MwnPageStatic {
 			return data;
 		}
 
+		diff(oldRevid: number, newRevid?: number): Promise<CompareResult> {
+			return bot.compare({
+				fromrev: oldRevid,
+				...(newRevid ? { torev: newRevid } : { totitle: this.toText() }),
+			});
+		}
+
 		/**** Post operations *****/
 		// Defined in bot.js
 
@@ -647,6 +697,187 @@ export default function (bot: mwn): MwnPageStatic {
 			return bot.edit(this.toString(), transform);
 		}
 
+		/**
+		 * Find the index of the section in the latest revision, and fetch its content
+		 * unless withContent is false.
+		 */
+		private async getSection(section: SectionSelector, withContent = true) {
+			let index: number, header: string, level: number, revid: number;
+			if (typeof section === 'number') {
+				index = section;
+			} else {
+				const { header: headerText, occurrence = 1 } =
+					typeof section === 'string' ? { header: section } : section;
+				const data = await bot.request({
+					action: 'parse',
+					page: this.toString(),
+					prop: 'sections|revid',
+					formatversion: '2',
+				});
+				// Sections coming from transcluded templates have indices like "T-1",
+				// and cannot be edited from this page
+				const matches = data.parse.sections.filter(
+					(sec: ApiParseResponse['sections'][number]) =>
+						/^\d+$/.test(sec.index) && normalizeHeader(htmlToText(sec.line)) === normalizeHeader(headerText)
+				);
+				const match = matches[occurrence - 1];
+				if (!match) {
+					return Promise.reject(
+						new MwnError({
+							code: 'nosuchsection',
+							info:
+								`There is no section with header "${headerText}"` +
+								(occurrence > 1 ? ` (occurrence ${occurrence})` : '') +
+								'.',
+						})
+					);
+				}
+				index = Number(match.index);
+				header = headerText;
+				level = Number(match.level);
+				revid = data.parse.revid;
+			}
+
+			const data = await bot.request({
+				action: 'query',
+				titles: this.toString(),
+				prop: 'revisions',
+				...(withContent
+					? { rvprop: ['ids', 'content', 'timestamp'], rvslots: 'main', rvsection: index }
+					: { rvprop: ['ids', 'timestamp'] }),
+				formatversion: '2',
+				curtimestamp: true,
+			});
+			const page = data.query.pages[0];
+			if (page.missing) {
+				return Promise.reject(new MwnError.MissingPage());
+			}
+			const revision = page.revisions[0];
+			const content: string = withContent ? revision.slots.main.content : undefined;
+			if (revid !== undefined && revision.revid !== revid) {
+				// Edited since the section was looked up, so the numbering may have changed
+				return Promise.reject(
+					new MwnError.EditConflict({ info: 'The page was edited while looking up the section.' })
+				);
+			}
+			if (header !== undefined && withContent) {
+				const heading = /^(={1,6})(.+?)\1[ \t]*(?:\n|$)/.exec(content);
+				if (
+					!heading ||
+					heading[1].length !== level ||
+					// Can't tell what templates in the heading expand to
+					(!heading[2].includes('{{') &&
+						normalizeHeader(stripHeadingMarkup(heading[2])) !== normalizeHeader(header))
+				) {
+					return Promise.reject(
+						new MwnError({
+							code: 'mwn_sectionmismatch',
+							info: `Section ${index} of the page doesn't have the header "${header}".`,
+						})
+					);
+				}
+			}
+			return {
+				index,
+				content,
+				timestamp: revision.timestamp as string,
+				curtimestamp: data.curtimestamp as string,
+			};
+		}
+
+		/** @inheritDoc */
+		editSection(
+			section: SectionSelector,
+			transform: (rev: { content: string; timestamp: string }) => string | ApiEditPageParams,
+			editConfig?: MwnOptions['editConfig']
+		): Promise<ApiEditResponse> {
+			return this.saveSection(section, transform, editConfig || bot.options.editConfig, true);
+		}
+
+		/**
+		 * Edit a section, with or without fetching its content first. Without the
+		 * content, the transform function gets only the timestamp, which is enough
+		 * for edits using appendtext.
+		 */
+		private async saveSection(
+			section: SectionSelector,
+			transform: (rev: { content: string; timestamp: string }) => string | ApiEditPageParams,
+			editConfig: MwnOptions['editConfig'],
+			withContent: boolean
+		): Promise<ApiEditResponse> {
+			try {
+				const { index, content, timestamp, curtimestamp } = await this.getSection(section, withContent);
+				if (withContent && editConfig.exclusionRegex && editConfig.exclusionRegex.test(content)) {
+					return Promise.reject(new MwnError.BotDenied());
+				}
+				const returnVal = await transform({ content, timestamp });
+				if (typeof returnVal !== 'string' && !returnVal) {
+					return { result: 'aborted' } as ApiEditResponse;
+				}
+				const editParams = typeof returnVal === 'object' ? returnVal : { text: String(returnVal) };
+				const data = await bot.request(
+					{
+						action: 'edit',
+						title: this.toString(),
+						section: index,
+						formatversion: '2',
+						basetimestamp: timestamp,
+						starttimestamp: curtimestamp,
+						nocreate: true,
+						bot: true,
+						token: bot.csrfToken,
+						...editParams,
+					},
+					{ currentContent: withContent ? { main: content } : undefined }
+				);
+				if (data.edit.nochange && !editConfig.suppressNochangeWarning) {
+					log(`[W] No change from edit to ${data.edit.title}`);
+				}
+				bot.logEditDiff(
+					data.edit,
+					content,
+					typeof editParams.text === 'string' ? editParams.text : undefined,
+					editConfig,
+					`section ${index} of ${data.edit.title}`
+				);
+				return data.edit;
+			} catch (err) {
+				if (err.code === 'editconflict' && editConfig.conflictRetries > 0) {
+					return this.saveSection(
+						section,
+						transform,
+						{ ...editConfig, conflictRetries: editConfig.conflictRetries - 1 },
+						withContent
+					);
+				}
+				throw err;
+			}
+		}
+
+		/** @inheritDoc */
+		appendToSection(section: SectionSelector, text: string, summary?: string, options?: ApiEditPageParams) {
+			// The content of the section isn't needed for this
+			return this.saveSection(
+				section,
+				() => ({ appendtext: text, summary, ...options }),
+				bot.options.editConfig,
+				false
+			);
+		}
+
+		/** @inheritDoc */
+		prependToSection(section: SectionSelector, text: string, summary?: string, options?: ApiEditPageParams) {
+			return this.editSection(section, (rev) => {
+				const heading = /^=.*=[ \t]*(?:\n|$)/.exec(rev.content);
+				const headingText = heading ? heading[0].replace(/\n?$/, '\n') : '';
+				return {
+					text: headingText + text + rev.content.slice(heading ? heading[0].length : 0),
+					summary,
+					...options,
+				};
+			});
+		}
+
 		save(text: string, summary?: string, options?: ApiEditPageParams) {
 			return bot.save(this.toString(), text, summary, options);
 		}
@@ -675,6 +906,26 @@ export default function (bot: mwn): MwnPageStatic {
 	return Page as MwnPageStatic;
 }
 
+/**
+ * A section of a page, given by its index (0 for the lead section) or its header.
+ * For headers occurring more than once on the page, the occurrence (starting
+ * from 1) can be given along with the header.
+ */
+export type SectionSelector = number | string | { header: string; occurrence?: number };
+
+/** Get the displayed text of a heading, ignoring templates */
+function stripHeadingMarkup(wikitext: string): string {
+	return wikitext
+		.replace(/<!--[\s\S]*?-->/g, '')
+		.replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1')
+		.replace(/'{2,}/g, '')
+		.replace(/<[^>]*>/g, '');
+}
+
+function normalizeHeader(header: string): string {
+	return header.replace(/[_\s]+/g, ' ').trim();
+}
+
 export interface PageViewOptions {
 	access?: 'all-access' | 'desktop' | 'mobile-app' | 'mobile-web';
 	agent?: 'all-agents' | 'user' | 'spider' | 'automated';
@@ -0,0 +1,255 @@
+/**
+ * Fetching and caching of API module metadata (action=paraminfo), and checking
+ * of request parameters against it, enabled using the `strictParams` option.
+ *
+ * See https://www.mediawiki.org/wiki/API:Parameter_information
+ */
+
+import type { ApiParams, mwn } from './bot';
+import type { RawRequestParams } from './core';
+import { rejectWithError } from './error';
+import { generateParamTypes, ParamTypesOptions } from './paramtypes';
+import { arrayChunk } from './utils';
+
+/** A parameter of an API module, as described by action=paraminfo */
+export interface ParamInfoParameter {
+	name: string;
+	/** Either the name of a type (string, integer, boolean, timestamp, ...) or the allowed values */
+	type: string | string[];
+	required?: boolean;
+	multi?: boolean;
+	/** Max number of values of multi-value parameters, for users without and with apihighlimits */
+	lowlimit?: number;
+	highlimit?: number;
+	limit?: number;
+	/** Value standing for all allowed values, usually '*' */
+	allspecifier?: string;
+	/** For parameters selecting submodules: value => path of the submodule */
+	submodules?: Record<string, string>;
+	/** Prefix added to the parameter names of the submodules, eg. g for generators */
+	submoduleparamprefix?: string;
+	/** For templated parameters: variable => name of the multi-value parameter giving its values */
+	templatevars?: Record<string, string>;
+	tokentype?: string;
+	default?: any;
+	deprecated?: boolean;
+	[key: string]: any;
+}
+
+/** An API module, as described by action=paraminfo */
+export interface ParamInfoModule {
+	name: string;
+	path: string;
+	/** Prefix of the parameter names, eg. rv for prop=revisions */
+	prefix: string;
+	/** PHP class implementing the module */
+	classname?: string;
+	source?: string;
+	group?: string;
+	parameters: ParamInfoParameter[];
+	templatedparameters?: ParamInfoParameter[];
+	/** Set if the module takes arbitrary parameters, eg. action=clientlogin */
+	dynamicparameters?: string | boolean;
+	[key: string]: any;
+}
+
+/** Max number of modules that can be asked about in one request */
+const MODULES_PER_REQUEST = 50;
+
+export class ParamInfo {
+	bot: mwn;
+	/** Module path => promise for the module info, null for non-existent modules */
+	private cache: Map<string, Promise<ParamInfoModule | null>> = new Map();
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+	}
+
+	/**
+	 * Get info about API modules, from the cache where available
+	 * @param {string[]} paths - module paths, eg. edit, query+revisions
+	 * @returns {Promise<Object>} module infos keyed by path, null for modules which don't exist
+	 */
+	async getModules(paths: string[]): Promise<Record<string, ParamInfoModule | null>> {
+		const missing = [...new Set(paths)].filter((path) => !this.cache.has(path));
+		for (let batch of arrayChunk(missing, MODULES_PER_REQUEST)) {
+			const fetched = this.bot
+				.request({ action: 'paraminfo', modules: batch })
+				.then((response) => response.paraminfo.modules as ParamInfoModule[]);
+			for (let path of batch) {
+				const modulePromise = fetched.then((modules) => modules.find((module) => module.path === path) || null);
+				this.cache.set(path, modulePromise);
+				// Don't cache failures
+				modulePromise.catch(() => this.cache.delete(path));
+			}
+		}
+		const modules = await Promise.all(paths.map((path) => this.cache.get(path)));
+		const result: Record<string, ParamInfoModule | null> = {};
+		paths.forEach((path, idx) => {
+			result[path] = modules[idx];
+		});
+		return result;
+	}
+
+	/**
+	 * Get info about an API module
+	 * @param {string} path - eg. edit, query+revisions
+	 * @returns {Promise<ParamInfoModule|null>} null if the module doesn't exist
+	 */
+	async getModule(path: string): Promise<ParamInfoModule | null> {
+		return (await this.getModules([path]))[path];
+	}
+
+	/**
+	 * Get info about all the API modules of the wiki, including those of
+	 * extensions, by following the submodules of each module from main
+	 * @returns {Promise<ParamInfoModule[]>}
+	 */
+	async getAllModules(): Promise<ParamInfoModule[]> {
+		const result: ParamInfoModule[] = [];
+		const seen = new Set(['main']);
+		let level = ['main'];
+		while (level.length) {
+			const modules = await this.getModules(level);
+			const nextLevel: string[] = [];
+			for (let path of level) {
+				if (!modules[path]) {
+					continue;
+				}
+				result.push(modules[path]);
+				for (let param of modules[path].parameters) {
+					for (let submodule of Object.values(param.submodules || {})) {
+						if (!seen.has(submodule)) {
+							seen.add(submodule);
+							nextLevel.push(submodule);
+						}
+					}
+				}
+			}
+			level = nextLevel;
+		}
+		return result;
+	}
+
+	/**
+	 * Generate TypeScript interfaces for the parameters of all the API modules
+	 * of the wiki. See {@link generateParamTypes}.
+	 * @param {ParamTypesOptions} [options]
+	 * @returns {Promise<string>} source of a TypeScript module
+	 */
+	async generateTypes(options: ParamTypesOptions = {}): Promise<string> {
+		return generateParamTypes(await this.getAllModules(), { source: this.bot.options.apiUrl, ...options });
+	}
+
+	/**
+	 * Forget the cached module info
+	 */
+	clear() {
+		this.cache.clear();
+	}
+
+	/**
+	 * Check the parameters of a request, after they have been stringified as
+	 * done by mwn before sending. Rejects with an mwn_invalidparams error listing
+	 * any unknown parameters, invalid values, multi-value parameters with too
+	 * many values and missing required parameters.
+	 *
+	 * Requests for action=paraminfo, and requests to other wikis (using the
+	 * apiUrl request option) are not checked.
+	 * @param {ApiParams} params
+	 * @param {RawRequestParams} [requestOptions]
+	 */
+	async validate(params: ApiParams, requestOptions: RawRequestParams = {}): Promise<void> {
+		const url = requestOptions.apiUrl || requestOptions.url;
+		if (params.action === 'paraminfo' || (url && url !== this.bot.options.apiUrl)) {
+			return;
+		}
+		const problems: string[] = [];
+		const known = new Set<string>();
+		const templated: RegExp[] = [];
+		let dynamic = false;
+
+		// Go through the modules used, starting from main, level by level
+		let level = [{ path: 'main', prefix: '' }];
+		while (level.length) {
+			const modules = await this.getModules(level.map((item) => item.path));
+			const nextLevel = [];
+			for (let { path, prefix } of level) {
+				const module = modules[path];
+				if (!module) {
+					// already reported as a bad value for the parameter selecting the module
+					continue;
+				}
+				if (module.dynamicparameters) {
+					dynamic = true;
+				}
+				const modulePrefix = prefix + (module.prefix || '');
+				for (let param of module.parameters) {
+					const name = modulePrefix + param.name;
+					known.add(name);
+					const values = this.checkParam(name, param, params[name], problems);
+					for (let value of param.submodules ? values : []) {
+						if (param.submodules[value]) {
+							nextLevel.push({ path: param.submodules[value], prefix: param.submoduleparamprefix || '' });
+						}
+					}
+				}
+				for (let param of module.templatedparameters || []) {
+					// eg. {module}-param becomes a pattern matching anything in place of {module}
+					const pattern = (modulePrefix + param.name)
+						.split(/\{\w+\}/)
+						.map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+						.join('.+');
+					templated.push(new RegExp(`^${pattern}$`));
+				}
+			}
+			level = nextLevel;
+		}
+
+		if (!dynamic) {
+			for (let name of Object.keys(params)) {
+				if (!known.has(name) && !templated.some((pattern) => pattern.test(name))) {
+					problems.push(`Unrecognized parameter: ${name}`);
+				}
+			}
+		}
+
+		if (problems.length) {
+			return rejectWithError({
+				code: 'mwn_invalidparams',
+				info: `Invalid API parameters: ${problems.join('; ')}`,
+				disableRetry: true,
+			});
+		}
+	}
+
+	/**
+	 * Check the value of a parameter
+	 * @returns {string[]} the values given for the parameter
+	 */
+	private checkParam(name: string, param: ParamInfoParameter, value: any, problems: string[]): string[] {
+		if (value === undefined) {
+			if (param.required) {
+				problems.push(`The "${name}" parameter must be set`);
+			}
+			return [];
+		}
+		const strValue = String(value);
+		let values = [strValue];
+		if (param.multi) {
+			values = strValue.startsWith('\x1f') ? strValue.slice(1).split('\x1f') : strValue.split('|');
+			const limit = (this.bot.hasApiHighLimit ? param.highlimit : param.lowlimit) ?? param.limit;
+			if (limit && values.length > limit) {
+				problems.push(`Too many values for "${name}": ${values.length} given, the limit is ${limit}`);
+			}
+		}
+		if (Array.isArray(param.type)) {
+			for (let val of values) {
+				if (!param.type.includes(val) && !(param.allspecifier && val === param.allspecifier)) {
+					problems.push(`Unrecognized value for "${name}": ${val}`);
+				}
+			}
+		}
+		return values;
+	}
+}
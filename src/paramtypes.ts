@@ -0,0 +1,187 @@
+/**
+ * Generation of TypeScript types for API request parameters from the output
+ * of action=paraminfo, so that the types can match the API modules, including
+ * those of extensions, installed on a particular wiki.
+ *
+ * The generated interfaces are named after the PHP classes of the modules in
+ * the same way as in the types-mediawiki package (eg. ApiEditPageParams,
+ * ApiQueryRevisionsParams). With types-mediawiki as the fallback for modules
+ * not installed on the wiki, a generated file can stand in for
+ * src/api_params.ts, so that mwn's own methods use the generated types. See
+ * scripts/generate-api-params.js.
+ */
+
+import type { ParamInfoModule, ParamInfoParameter } from './paraminfo';
+
+export interface ParamTypesOptions {
+	/** Where the module info came from, eg. the API URL, noted at the top of the output */
+	source?: string;
+	/**
+	 * Module to re-export the types of modules not installed on the wiki from, eg.
+	 * types-mediawiki/api_params. The generated types take precedence over those
+	 * of this module.
+	 */
+	fallback?: string;
+}
+
+/** Aliases used for the types of parameters, same as in types-mediawiki */
+const PRELUDE = `type timestamp = string;
+type expiry = string;
+type namespace = number;
+type limit = number | 'max';
+type password = string;
+type upload = File | { stream: ReadableStream; name: string };
+type OneOrMore<T> = T | T[];
+`;
+
+/** TypeScript types of the paraminfo parameter types, anything else is taken as a string */
+const TYPES: Record<string, string> = {
+	integer: 'number',
+	boolean: 'boolean',
+	limit: 'limit',
+	timestamp: 'timestamp',
+	expiry: 'expiry',
+	namespace: 'namespace',
+	password: 'password',
+	upload: 'upload',
+};
+
+function quote(value: string): string {
+	return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function propertyName(name: string): string {
+	return /^[A-Za-z_$][\w$]*$/.test(name) ? name : quote(name);
+}
+
+function getParamType(param: ParamInfoParameter): string {
+	let type;
+	if (Array.isArray(param.type)) {
+		type = param.type.length
+			? param.type.map((value) => (typeof value === 'number' ? String(value) : quote(value))).join(' | ')
+			: 'never';
+	} else {
+		type = TYPES[param.type] || 'string';
+	}
+	return param.multi ? `OneOrMore<${type}>` : type;
+}
+
+/**
+ * eg. ApiEditPage => ApiEditPageParams,
+ * MediaWiki\Extension\AbuseFilter\Api\CheckMatch => AbuseFilterApiCheckMatchParams,
+ * MediaWiki\Api\ApiQueryRevisions => ApiQueryRevisionsParams
+ */
+function getClassBasedName(module: ParamInfoModule): string | null {
+	if (typeof module.classname !== 'string') {
+		return null;
+	}
+	const parts = module.classname.split('\\').filter((part) => part && part !== 'MediaWiki' && part !== 'Extension');
+	const name = parts.filter((part, idx) => !(parts[idx + 1] || '').startsWith(part)).join('');
+	return /^[A-Za-z_$][\w$]*$/.test(name) ? name + 'Params' : null;
+}
+
+/** eg. query+revisions => ApiQueryRevisionsParams */
+function getPathBasedName(module: ParamInfoModule): string {
+	const parts = module.path.split(/[^A-Za-z0-9]+/).filter(Boolean);
+	return 'Api' + parts.map((part) => part[0].toUpperCase() + part.slice(1)).join('') + 'Params';
+}
+
+/** eg. query+revisions => query, edit => main */
+function getParentPath(module: ParamInfoModule): string {
+	return module.path.includes('+') ? module.path.slice(0, module.path.lastIndexOf('+')) : 'main';
+}
+
+function writeParams(lines: string[], prefix: string, params: ParamInfoParameter[]) {
+	for (let param of params) {
+		if (param.deprecated) {
+			lines.push('\t/** @deprecated */');
+		}
+		lines.push(`\t${propertyName(prefix + param.name)}?: ${getParamType(param)};`);
+	}
+}
+
+/**
+ * Generate TypeScript interfaces for the parameters of API modules.
+ *
+ * The parameters of the main module and the json format module go into the
+ * `ApiParams` interface. Every other module gets an interface extending that
+ * of its parent module, eg. ApiQueryRevisionsParams extends ApiQueryParams.
+ * Modules implemented by the same class under the same parent module (such as
+ * list=backlinks and list=embeddedin) share one interface, which has the
+ * parameters of all of them, as in types-mediawiki. Templated parameters (such
+ * as `fromtext-{slot}` of action=compare) are not included.
+ *
+ * @param {ParamInfoModule[]} modules - as given by bot.paramInfo.getAllModules()
+ * @param {ParamTypesOptions} [options]
+ * @returns {string} source of a TypeScript module
+ */
+export function generateParamTypes(modules: ParamInfoModule[], options: ParamTypesOptions = {}): string {
+	const byPath: Record<string, ParamInfoModule> = {};
+	modules.forEach((module) => {
+		byPath[module.path] = module;
+	});
+	const main = byPath.main || { name: 'main', path: 'main', prefix: '', parameters: [] };
+	const formatParam = main.parameters.find((param) => param.name === 'format');
+	const formatModules = new Set(Object.values(formatParam?.submodules || {}));
+
+	const names: Record<string, string> = { main: 'ApiParams' };
+	const usedNames = new Set(['ApiParams']);
+	// name => class and parent path of the modules using it, for the modules which can share it
+	const sharedNames: Record<string, string> = {};
+	for (let module of modules) {
+		if (module.path === 'main' || formatModules.has(module.path)) {
+			continue;
+		}
+		let name = getClassBasedName(module);
+		const sharedKey = `${module.classname} ${getParentPath(module)}`;
+		if (name && sharedNames[name] === sharedKey) {
+			names[module.path] = name;
+			continue;
+		}
+		if (name && !usedNames.has(name)) {
+			sharedNames[name] = sharedKey;
+		} else {
+			name = getPathBasedName(module);
+		}
+		for (let idx = 2; usedNames.has(name); idx++) {
+			name = getPathBasedName(module).replace(/Params$/, `${idx}Params`);
+		}
+		names[module.path] = name;
+		usedNames.add(name);
+	}
+
+	const lines = [`// Generated using generateParamTypes() of mwn${options.source ? ` from ${options.source}` : ''}.`];
+	lines.push('// Do not edit by hand.', '', PRELUDE, 'export interface ApiParams {');
+	writeParams(lines, main.prefix || '', main.parameters);
+	if (byPath.json) {
+		lines.push('', '\t// format=json');
+		writeParams(lines, byPath.json.prefix || '', byPath.json.parameters);
+	}
+	lines.push('}');
+
+	for (let module of modules) {
+		const name = names[module.path];
+		if (!name || name === 'ApiParams') {
+			continue;
+		}
+		const parentPath = getParentPath(module);
+		const docs = [];
+		if (module.group) {
+			docs.push(`${module.group}=${module.name}`);
+		}
+		if (module.deprecated) {
+			docs.push('@deprecated');
+		}
+		lines.push('');
+		if (docs.length) {
+			lines.push(`/** ${docs.join(' ')} */`);
+		}
+		lines.push(`export interface ${name} extends ${names[parentPath] || 'ApiParams'} {`);
+		writeParams(lines, module.prefix || '', module.parameters);
+		lines.push('}');
+	}
+	if (options.fallback) {
+		lines.push('', `export * from ${quote(options.fallback)};`);
+	}
+	return lines.join('\n') + '\n';
+}
@@ -0,0 +1,164 @@
+/**
+ * Client-side rate limiting of API requests, so that bots slow down before
+ * the server starts throwing ratelimited errors.
+ */
+
+import type { ApiParams, mwn } from './bot';
+import { sleep } from './utils';
+
+export interface RateLimit {
+	hits: number;
+	seconds: number;
+}
+
+/** Rate limits of the account, as given by meta=userinfo&uiprop=ratelimits */
+export type ApiRateLimits = {
+	[action: string]: {
+		[group: string]: RateLimit;
+	};
+};
+
+/**
+ * Map of API actions to the names of the rate limits applicable to them.
+ */
+const writeActionLimits: Record<string, string> = {
+	edit: 'edit',
+	move: 'move',
+	upload: 'upload',
+	rollback: 'rollback',
+	emailuser: 'emailuser',
+};
+
+/**
+ * API actions which only read data. Requests for these count against the read
+ * budget however they are sent: queries are sent via POST too at times, eg. by
+ * massQuery() and read() of multiple pages.
+ */
+const readActions = ['query', 'parse', 'compare', 'expandtemplates', 'opensearch', 'paraminfo', 'help'];
+
+/**
+ * Limits which apply on top of the user and group limits, as they are keyed by
+ * the IP address or apply to new accounts. Any other key is a user group (or
+ * "user"), of which MediaWiki applies the most permissive.
+ */
+const otherLimitTypes = ['anon', 'newbie', 'ip', 'subnet', 'ip-all', 'subnet-all'];
+
+const rate = (limit: RateLimit) => limit.hits / limit.seconds;
+
+export class TokenBucket {
+	/** Max number of tokens the bucket can hold */
+	capacity: number;
+	/** Tokens replenished per millisecond */
+	refillRate: number;
+	tokens: number;
+	lastRefill: number;
+
+	// Consumers waiting for tokens are chained one after another, so that
+	// concurrent requests are spaced out rather than being released together
+	private queue: Promise<void> = Promise.resolve();
+
+	constructor(limit: RateLimit, capacity = 1) {
+		this.capacity = capacity;
+		this.refillRate = limit.hits / (limit.seconds * 1000);
+		this.tokens = capacity;
+		this.lastRefill = Date.now();
+	}
+
+	refill() {
+		const now = Date.now();
+		this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+		this.lastRefill = now;
+	}
+
+	/**
+	 * Resolved when a token has been taken from the bucket
+	 */
+	consume(): Promise<void> {
+		const next = this.queue.then(async () => {
+			this.refill();
+			if (this.tokens < 1) {
+				await sleep(Math.ceil((1 - this.tokens) / this.refillRate));
+				this.refill();
+			}
+			this.tokens -= 1;
+		});
+		this.queue = next;
+		return next;
+	}
+
+	/**
+	 * Empty the bucket, so that the next consumer has to wait for a refill.
+	 */
+	drain() {
+		this.refill();
+		this.tokens = 0;
+	}
+}
+
+export class RateLimiter {
+	bot: mwn;
+	writeBuckets: Record<string, TokenBucket> = {};
+	readBucket: TokenBucket = null;
+	private readLimit: RateLimit = null;
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+	}
+
+	/**
+	 * Set up the buckets for write actions from the account's rate limits. As in
+	 * MediaWiki, the most permissive of the limits of the user's groups is used,
+	 * unless a limit by IP address or for new accounts is more restrictive.
+	 * @param {ApiRateLimits} ratelimits
+	 */
+	setLimits(ratelimits: ApiRateLimits) {
+		this.writeBuckets = {};
+		for (let [action, limitName] of Object.entries(writeActionLimits)) {
+			let entries = Object.entries(ratelimits?.[limitName] || {});
+			let groupLimits = entries.filter(([type]) => !otherLimitTypes.includes(type)).map(([, limit]) => limit);
+			let limits = entries.filter(([type]) => otherLimitTypes.includes(type)).map(([, limit]) => limit);
+			if (groupLimits.length) {
+				limits.push(groupLimits.reduce((a, b) => (rate(a) > rate(b) ? a : b)));
+			}
+			if (!limits.length) {
+				continue;
+			}
+			let strictest = limits.reduce((a, b) => (rate(a) < rate(b) ? a : b));
+			this.writeBuckets[action] = new TokenBucket(strictest, this.bot.options.rateLimit.burst);
+		}
+	}
+
+	getBucket(params: ApiParams): TokenBucket | null {
+		if (readActions.includes((params.action as string) || 'query')) {
+			// Bucket is (re-)created when the option is first seen or has been changed
+			let readLimit = this.bot.options.rateLimit.reads;
+			if (readLimit !== this.readLimit) {
+				this.readLimit = readLimit;
+				this.readBucket = readLimit ? new TokenBucket(readLimit, this.bot.options.rateLimit.burst) : null;
+			}
+			return this.readBucket;
+		}
+		if (this.bot.options.rateLimit.writes) {
+			return this.writeBuckets[params.action as string] || null;
+		}
+		return null;
+	}
+
+	/**
+	 * Resolved when the request is okay to be sent.
+	 */
+	async wait(params: ApiParams): Promise<void> {
+		const bucket = this.getBucket(params);
+		if (bucket) {
+			await bucket.consume();
+		}
+	}
+
+	/**
+	 * Called when the server reports that the rate limit has been hit
+	 * anyway, so that requests queued up behind this one are held back.
+	 */
+	drain(params: ApiParams) {
+		this.getBucket(params)?.drain();
+	}
+}
@@ -0,0 +1,299 @@
+/**
+ * Client for the MediaWiki REST API (rest.php), available as bot.rest. Requests
+ * are authenticated in the same way as Action API requests made by the bot
+ * (cookies, OAuth or OAuth 2), and are sent with the same user agent.
+ *
+ * See https://www.mediawiki.org/wiki/API:REST_API
+ */
+
+import type { mwn, MwnTitle } from './bot';
+import { Request } from './core';
+import { MwnError, rejectWithError } from './error';
+
+export interface RestRequestOptions {
+	/** HTTP method, defaults to get */
+	method?: 'get' | 'post' | 'put' | 'delete';
+	/** Query string parameters */
+	query?: Record<string, string | number | boolean>;
+	/** Request body, sent as JSON */
+	body?: any;
+	/**
+	 * ETag of a response received earlier. If the resource hasn't changed since,
+	 * the response has `notModified` set and no data.
+	 */
+	ifNoneMatch?: string;
+	headers?: Record<string, string>;
+	/** Set to 'text' for endpoints not giving JSON */
+	responseType?: 'json' | 'text';
+}
+
+export interface RestResponse<T> {
+	status: number;
+	/** Parsed response body, null if not modified */
+	data: T | null;
+	/** ETag header of the response, for use with the ifNoneMatch option */
+	etag: string | null;
+	/** Whether a conditional request found the resource unchanged (HTTP 304) */
+	notModified: boolean;
+	headers: Record<string, string>;
+}
+
+export interface RestPage {
+	id: number;
+	key: string;
+	title: string;
+	latest: { id: number; timestamp: string };
+	content_model: string;
+	license: { url: string; title: string };
+	/** Wikitext of the latest revision */
+	source: string;
+}
+
+export interface RestRevisionSummary {
+	id: number;
+	timestamp: string;
+	minor: boolean;
+	size: number;
+	/** null if hidden */
+	comment: string | null;
+	/** null if hidden */
+	user: { id: number | null; name: string } | null;
+	/** Change in size from the previous revision, null if that is not known */
+	delta: number | null;
+}
+
+export interface RestHistory {
+	revisions: RestRevisionSummary[];
+	/** URL of the latest revisions */
+	latest: string;
+	/** URL of the next set of older revisions, absent if there are no more */
+	older?: string;
+	/** URL of the next set of newer revisions, absent if there are no more */
+	newer?: string;
+}
+
+export interface RestHistoryOptions {
+	/** Get the revisions older than this revision ID */
+	olderThan?: number;
+	/** Get the revisions newer than this revision ID */
+	newerThan?: number;
+	/** Only get revisions with the given tag */
+	filter?: 'reverted' | 'anonymous' | 'bot' | 'minor';
+}
+
+export interface RestDiffLine {
+	/**
+	 * 0: unchanged context, 1: added, 2: removed, 3: changed, 4: moved
+	 * paragraph (source), 5: moved paragraph (destination)
+	 */
+	type: 0 | 1 | 2 | 3 | 4 | 5;
+	/** Line number in the newer revision, absent for removed lines */
+	lineNumber?: number;
+	text: string;
+	/** Byte offsets of the line in the older and newer revisions */
+	offset: { from: number | null; to: number | null };
+	/** Changed ranges within the text, for type 3 */
+	highlightRanges?: { start: number; length: number; type: 0 | 1 }[];
+	moveInfo?: { id: string; linkId: string; linkDirection: 0 | 1 };
+}
+
+export interface RestCompare {
+	from: { id: number; slot_role: string; sections: { level: number; heading: string; offset: number }[] };
+	to: { id: number; slot_role: string; sections: { level: number; heading: string; offset: number }[] };
+	diff: RestDiffLine[];
+}
+
+export interface RestSearchResult {
+	id: number;
+	key: string;
+	title: string;
+	/** Matching part of the page, with matches highlighted using <span class="searchmatch"> */
+	excerpt: string;
+	/** Title of the redirect matched, if any */
+	matched_title: string | null;
+	description: string | null;
+	thumbnail: {
+		mimetype: string;
+		size: number | null;
+		width: number;
+		height: number;
+		duration: number | null;
+		url: string;
+	} | null;
+}
+
+export class RestClient {
+	bot: mwn;
+	/**
+	 * URL of rest.php, eg. https://en.wikipedia.org/w/rest.php. Found from the
+	 * siteinfo of the wiki on the first request, unless set beforehand.
+	 */
+	url: string = null;
+	private urlPromise: Promise<string> = null;
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+	}
+
+	/**
+	 * Get the URL of rest.php, using the server and script path in the
+	 * siteinfo of the wiki.
+	 * @returns {Promise<string>}
+	 */
+	async getUrl(): Promise<string> {
+		if (this.url) {
+			return this.url;
+		}
+		if (!this.urlPromise) {
+			this.urlPromise = this.bot
+				.request({ action: 'query', meta: 'siteinfo', siprop: 'general' })
+				.then((response) => {
+					const { server, scriptpath } = response.query.general;
+					// server can be protocol-relative, eg. //en.wikipedia.org
+					this.url = new URL(`${scriptpath}/rest.php`, new URL(server, this.bot.options.apiUrl)).href;
+					return this.url;
+				})
+				.finally(() => {
+					this.urlPromise = null;
+				});
+		}
+		return this.urlPromise;
+	}
+
+	/**
+	 * Make a request to a REST API endpoint.
+	 * @param {string} path - path of the endpoint, eg. /v1/page/Main_Page
+	 * @param {RestRequestOptions} [options]
+	 * @returns {Promise<RestResponse>} rejected with an MwnError if the API returns an error
+	 */
+	async request<T = any>(path: string, options: RestRequestOptions = {}): Promise<RestResponse<T>> {
+		const url = (await this.getUrl()) + path;
+		const method = options.method || 'get';
+		const headers: Record<string, string> = { Accept: 'application/json', ...options.headers };
+		if (options.ifNoneMatch) {
+			headers['If-None-Match'] = options.ifNoneMatch;
+		}
+		if (options.body !== undefined) {
+			headers['Content-Type'] = 'application/json';
+		}
+		// Authenticate in the same way as Action API requests, with the query
+		// parameters used for OAuth signatures
+		const req = new Request(this.bot, options.query || {}, {
+			url,
+			method,
+			params: options.query,
+			data: options.body === undefined ? undefined : JSON.stringify(options.body),
+			headers,
+			responseType: options.responseType || 'json',
+			validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+		});
+		await req.applyAuthentication();
+
+		return this.bot.rawRequest(req.requestParams).then(
+			(response) => ({
+				status: response.status,
+				data: response.status === 304 ? null : response.data,
+				etag: response.headers?.etag || null,
+				notModified: response.status === 304,
+				headers: response.headers || {},
+			}),
+			(error) => this.handleError(error, req)
+		);
+	}
+
+	private handleError(error: any, req: Request): Promise<never> {
+		if (error instanceof MwnError) {
+			// eg. circuit breaker errors
+			return rejectWithError(error);
+		}
+		const data = error.response?.data;
+		if (!data || typeof data !== 'object') {
+			return rejectWithError(MwnError.NetworkError.wrap(error, req.requestParams));
+		}
+		// eg. { errorKey: 'rest-nonexistent-title', messageTranslations: { en: '...' }, httpCode: 404, httpReason: 'Not Found' }
+		const err = MwnError.fromConfig({
+			code: data.errorKey || `rest-http-${error.response.status}`,
+			info: Object.values(data.messageTranslations || {})[0] || data.message || data.httpReason || error.message,
+			response: data,
+			request: req.requestParams,
+		});
+		err.httpCode = error.response.status;
+		return rejectWithError(err);
+	}
+
+	/**
+	 * Get a page along with its wikitext
+	 * @param {string|MwnTitle} title
+	 * @returns {Promise<RestPage>}
+	 */
+	getPage(title: string | MwnTitle): Promise<RestPage> {
+		return this.request<RestPage>(`/v1/page/${RestClient.encodeTitle(title)}`).then((response) => response.data);
+	}
+
+	/**
+	 * Get the latest HTML of a page
+	 * @param {string|MwnTitle} title
+	 * @returns {Promise<string>}
+	 */
+	getHtml(title: string | MwnTitle): Promise<string> {
+		return this.request<string>(`/v1/page/${RestClient.encodeTitle(title)}/html`, {
+			headers: { Accept: 'text/html' },
+			responseType: 'text',
+		}).then((response) => response.data);
+	}
+
+	/**
+	 * Get the revision history of a page, 20 revisions at a time, latest first
+	 * @param {string|MwnTitle} title
+	 * @param {RestHistoryOptions} [options]
+	 * @returns {Promise<RestHistory>}
+	 */
+	getHistory(title: string | MwnTitle, options: RestHistoryOptions = {}): Promise<RestHistory> {
+		const query: Record<string, string | number> = {};
+		if (options.olderThan) {
+			query.older_than = options.olderThan;
+		}
+		if (options.newerThan) {
+			query.newer_than = options.newerThan;
+		}
+		if (options.filter) {
+			query.filter = options.filter;
+		}
+		return this.request<RestHistory>(`/v1/page/${RestClient.encodeTitle(title)}/history`, { query }).then(
+			(response) => response.data
+		);
+	}
+
+	/**
+	 * Get the differences between two revisions
+	 * @param {number} fromRevid
+	 * @param {number} toRevid
+	 * @returns {Promise<RestCompare>}
+	 */
+	compare(fromRevid: number, toRevid: number): Promise<RestCompare> {
+		return this.request<RestCompare>(`/v1/revision/${fromRevid}/compare/${toRevid}`).then(
+			(response) => response.data
+		);
+	}
+
+	/**
+	 * Search the titles and contents of pages
+	 * @param {string} query - search terms
+	 * @param {number} [limit=50] - max number of results, up to 100
+	 * @returns {Promise<RestSearchResult[]>}
+	 */
+	search(query: string, limit = 50): Promise<RestSearchResult[]> {
+		return this.request<{ pages: RestSearchResult[] }>('/v1/search/page', { query: { q: query, limit } }).then(
+			(response) => response.data.pages
+		);
+	}
+
+	/**
+	 * Encode a title for use in a REST API path, eg. "AC/DC" => AC%2FDC
+	 * @param {string|MwnTitle} title
+	 */
+	static encodeTitle(title: string | MwnTitle): string {
+		const text = typeof title === 'string' ? title : title.toText();
+		return encodeURIComponent(text.replace(/ /g, '_'));
+	}
+}
@@ -0,0 +1,150 @@
+/**
+ * Timing of retries of failed requests, and the circuit breaker which stops
+ * requests from being sent to a host which keeps failing.
+ */
+
+import type { mwn } from './bot';
+import { rejectWithError } from './error';
+
+export interface RetryPolicy {
+	/**
+	 * 'fixed' waits for retryPause milliseconds before every retry. 'exponential'
+	 * doubles the wait after every failed retry.
+	 */
+	strategy?: 'fixed' | 'exponential';
+	/** Max number of milliseconds to wait before a retry, including waits asked by Retry-After */
+	maxDelay?: number;
+	/** Randomise the waits so that multiple clients don't retry at the same moment */
+	jitter?: boolean;
+	/** Wait for as long as asked by the Retry-After header in HTTP 429 and 503 responses */
+	respectRetryAfter?: boolean;
+}
+
+export interface CircuitBreakerOptions {
+	/** Number of consecutive failures after which requests to a host are stopped. Use 0 to disable. */
+	threshold?: number;
+	/** Number of milliseconds for which no requests are made to the host */
+	cooldown?: number;
+}
+
+/** HTTP status codes that indicate possibly transient failures */
+export const retriableStatusCodes = [408, 409, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Whether a request failure at the network level may go away on a retry
+ * @param {Object} error
+ */
+export function isTransientFailure(error: any): boolean {
+	return (
+		// ENOTFOUND usually means bad apiUrl is provided, retrying is pointless and annoying
+		error.code !== 'ENOTFOUND' && (!error.response?.status || retriableStatusCodes.includes(error.response.status))
+	);
+}
+
+/**
+ * Parse the value of a Retry-After header, which can either be a number of
+ * seconds or an HTTP date.
+ * @param {string} header
+ * @returns {number|null} number of milliseconds to wait
+ */
+export function parseRetryAfter(header: string): number | null {
+	if (!header) {
+		return null;
+	}
+	if (/^\s*\d+\s*$/.test(header)) {
+		return parseInt(header) * 1000;
+	}
+	let date = Date.parse(header);
+	if (isNaN(date)) {
+		return null;
+	}
+	return Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the number of milliseconds to wait before retrying a request.
+ * @param {mwn} bot
+ * @param {number} retryNumber - number of retries already made
+ * @param {Object} [config]
+ * @param {boolean} [config.exponential] - back off exponentially irrespective of the retry strategy
+ * @param {Object} [config.response] - HTTP response of the failed request
+ */
+export function getRetryDelay(
+	bot: mwn,
+	retryNumber: number,
+	config: { exponential?: boolean; response?: { status: number; headers: Record<string, string> } } = {}
+): number {
+	const policy = bot.options.retryPolicy;
+	const { response } = config;
+	if (policy.respectRetryAfter && [429, 503].includes(response?.status)) {
+		// axios uses lowercase headers
+		let retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+		if (retryAfter !== null) {
+			return policy.maxDelay ? Math.min(retryAfter, policy.maxDelay) : retryAfter;
+		}
+	}
+	let delay = bot.options.retryPause;
+	if (policy.strategy === 'exponential' || config.exponential) {
+		delay *= 2 ** retryNumber;
+	}
+	if (policy.maxDelay) {
+		delay = Math.min(delay, policy.maxDelay);
+	}
+	if (policy.jitter) {
+		delay = Math.round(delay * (0.5 + Math.random() / 2));
+	}
+	return delay;
+}
+
+export class CircuitBreaker {
+	bot: mwn;
+	hosts: Record<string, { failures: number; openUntil: number }> = {};
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+	}
+
+	static getHost(url: string): string {
+		try {
+			return new URL(url).host;
+		} catch (e) {
+			return url;
+		}
+	}
+
+	/**
+	 * Resolved if requests can be sent to the host, and rejected if the circuit is open.
+	 * @param {string} url
+	 */
+	check(url: string): Promise<void> {
+		let state = this.hosts[CircuitBreaker.getHost(url)];
+		if (state && state.openUntil > Date.now()) {
+			return rejectWithError({
+				code: 'mwn_circuitopen',
+				info: `Not sending requests to ${CircuitBreaker.getHost(url)} for ${Math.ceil(
+					(state.openUntil - Date.now()) / 1000
+				)} seconds due to repeated failures`,
+				disableRetry: true,
+			});
+		}
+		return Promise.resolve();
+	}
+
+	recordSuccess(url: string) {
+		delete this.hosts[CircuitBreaker.getHost(url)];
+	}
+
+	recordFailure(url: string) {
+		const { threshold, cooldown } = this.bot.options.circuitBreaker;
+		if (!threshold) {
+			return;
+		}
+		let host = CircuitBreaker.getHost(url);
+		let state = (this.hosts[host] = this.hosts[host] || { failures: 0, openUntil: 0 });
+		state.failures++;
+		// Once the cooldown is over, a single failure is enough to open the circuit again
+		if (state.failures >= threshold) {
+			state.openUntil = Date.now() + cooldown;
+		}
+	}
+}
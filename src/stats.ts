@@ -0,0 +1,278 @@
+/**
+ * Statistics of the API requests made by a bot instance: number of requests
+ * and their latencies per API module, retries, errors, bytes transferred and
+ * edits made. Available via bot.stats().
+ */
+
+import type { AxiosResponse } from 'axios';
+
+import type { ApiParams, mwn } from './bot';
+import type { RawRequestParams } from './core';
+import type { ApiResponse } from './api_response_types';
+
+/** Upper bounds (in milliseconds) of the latency histogram buckets */
+export const latencyBuckets = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+export interface LatencyHistogram {
+	/** Number of requests measured */
+	count: number;
+	/** Total of the latencies, in milliseconds */
+	sum: number;
+	/**
+	 * Cumulative counts of requests which took at most the given number of
+	 * milliseconds, keyed by the bucket bounds, plus "+Inf"
+	 */
+	buckets: Record<string, number>;
+}
+
+export interface ModuleStats {
+	requests: number;
+	/** Requests which failed at the network level or returned an API error */
+	errors: number;
+	latency: LatencyHistogram;
+}
+
+export interface MwnStats {
+	/** Time at which collection started, or the stats were last reset */
+	since: string;
+	requests: number;
+	errors: number;
+	/**
+	 * Stats per API module. A query request is counted under "query" as well
+	 * as its submodules, eg. "query+revisions" or "query+categorymembers".
+	 */
+	modules: Record<string, ModuleStats>;
+	/** Counts of the API error codes received */
+	errorCodes: Record<string, number>;
+	retries: {
+		total: number;
+		/** eg. maxlag, badtoken, network, ratelimited, readonly, session */
+		byReason: Record<string, number>;
+	};
+	bytesSent: number;
+	bytesReceived: number;
+	edits: number;
+}
+
+function newHistogram(): LatencyHistogram {
+	const buckets: Record<string, number> = {};
+	for (let bound of latencyBuckets) {
+		buckets[bound] = 0;
+	}
+	buckets['+Inf'] = 0;
+	return { count: 0, sum: 0, buckets };
+}
+
+export class RequestStats {
+	bot: mwn;
+	private data: MwnStats;
+
+	constructor(bot: mwn) {
+		this.bot = bot;
+		this.reset();
+	}
+
+	reset() {
+		this.data = {
+			since: new Date().toISOString(),
+			requests: 0,
+			errors: 0,
+			modules: {},
+			errorCodes: {},
+			retries: { total: 0, byReason: {} },
+			bytesSent: 0,
+			bytesReceived: 0,
+			edits: 0,
+		};
+	}
+
+	/**
+	 * Get the names of the API modules used by a request
+	 * @param {Object} params
+	 */
+	static getModules(params: ApiParams): string[] {
+		const action = String(params.action);
+		const modules = [action];
+		if (action === 'query') {
+			for (let param of ['prop', 'list', 'meta', 'generator']) {
+				let value = params[param];
+				if (typeof value === 'string' && value) {
+					// multi-values are either pipe-separated or \x1f-separated with a leading \x1f
+					let names = value.startsWith('\x1f') ? value.slice(1).split('\x1f') : value.split('|');
+					modules.push(...names.map((name) => 'query+' + name));
+				}
+			}
+		}
+		return modules;
+	}
+
+	private getModuleStats(module: string): ModuleStats {
+		if (!this.data.modules[module]) {
+			this.data.modules[module] = { requests: 0, errors: 0, latency: newHistogram() };
+		}
+		return this.data.modules[module];
+	}
+
+	/**
+	 * Get the size of the request's query string and body
+	 */
+	static getRequestSize(requestOptions: RawRequestParams): number {
+		let size = 0;
+		if (requestOptions.params) {
+			size += Buffer.byteLength(new URLSearchParams(requestOptions.params).toString());
+		}
+		if (typeof requestOptions.data === 'string') {
+			size += Buffer.byteLength(requestOptions.data);
+		} else if (requestOptions.headers?.['Content-Length']) {
+			// multipart/form-data
+			size += Number(requestOptions.headers['Content-Length']);
+		}
+		return size;
+	}
+
+	/**
+	 * Record an HTTP request made to the API, once it has completed
+	 * @param {Object} params - API parameters
+	 * @param {Object} requestOptions
+	 * @param {number} duration - in milliseconds
+	 * @param {boolean} failed - whether it failed at the network level
+	 */
+	recordRequest(params: ApiParams, requestOptions: RawRequestParams, duration: number, failed: boolean) {
+		this.data.requests++;
+		this.data.bytesSent += RequestStats.getRequestSize(requestOptions);
+		if (failed) {
+			this.data.errors++;
+		}
+		for (let module of RequestStats.getModules(params)) {
+			let stats = this.getModuleStats(module);
+			stats.requests++;
+			if (failed) {
+				stats.errors++;
+			}
+			stats.latency.count++;
+			stats.latency.sum += duration;
+			for (let key of Object.keys(stats.latency.buckets)) {
+				if (key === '+Inf' || duration <= Number(key)) {
+					stats.latency.buckets[key]++;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Record the API response received
+	 * @param {Object} params - API parameters
+	 * @param {AxiosResponse} rawResponse
+	 */
+	recordResponse(params: ApiParams, rawResponse: AxiosResponse<ApiResponse>) {
+		const data = rawResponse.data;
+		const contentLength = Number(rawResponse.headers?.['content-length']);
+		if (contentLength) {
+			this.data.bytesReceived += contentLength;
+		} else if (data !== undefined) {
+			// axios has already parsed the body, so this is only an estimate
+			this.data.bytesReceived += Buffer.byteLength(typeof data === 'string' ? data : JSON.stringify(data));
+		}
+		if (!data || typeof data !== 'object') {
+			return;
+		}
+		const error = data.error || data.errors?.[0];
+		if (error) {
+			this.data.errors++;
+			this.data.errorCodes[error.code] = (this.data.errorCodes[error.code] || 0) + 1;
+			for (let module of RequestStats.getModules(params)) {
+				this.getModuleStats(module).errors++;
+			}
+		} else if (params.action === 'edit' && data.edit?.result === 'Success' && !data.edit.nochange) {
+			this.data.edits++;
+		}
+	}
+
+	/**
+	 * Record a retry of a failed request
+	 * @param {string} reason
+	 */
+	recordRetry(reason: string) {
+		this.data.retries.total++;
+		this.data.retries.byReason[reason] = (this.data.retries.byReason[reason] || 0) + 1;
+	}
+
+	/**
+	 * Get a copy of the stats collected so far
+	 */
+	snapshot(): MwnStats {
+		return JSON.parse(JSON.stringify(this.data));
+	}
+
+	/**
+	 * Get the stats in the Prometheus text exposition format. The metrics are
+	 * labelled with the host name of the wiki, so that those from multiple bot
+	 * instances can be combined.
+	 * @param {string} [prefix=mwn] - prefix for the metric names
+	 */
+	toPrometheus(prefix = 'mwn'): string {
+		let host: string;
+		try {
+			host = new URL(this.bot.options.apiUrl).host;
+		} catch (e) {
+			host = String(this.bot.options.apiUrl);
+		}
+		const escape = (value: string) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+		const labels = (extra: Record<string, string> = {}) =>
+			'{' +
+			Object.entries({ host, ...extra })
+				.map(([key, val]) => `${key}="${escape(val)}"`)
+				.join(',') +
+			'}';
+
+		const stats = this.data;
+		const lines: string[] = [];
+		const metric = (name: string, type: string, help: string, samples: [string, number][]) => {
+			lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+			for (let [suffix, value] of samples) {
+				lines.push(`${prefix}_${name}${suffix} ${value}`);
+			}
+		};
+		const modules = Object.entries(stats.modules);
+
+		metric(
+			'requests_total',
+			'counter',
+			'API requests made, by module',
+			modules.map(([module, s]) => [labels({ module }), s.requests])
+		);
+		metric(
+			'request_errors_total',
+			'counter',
+			'API requests which failed, by module',
+			modules.map(([module, s]) => [labels({ module }), s.errors])
+		);
+		metric(
+			'api_errors_total',
+			'counter',
+			'API errors received, by error code',
+			Object.entries(stats.errorCodes).map(([code, count]) => [labels({ code }), count])
+		);
+		metric(
+			'retries_total',
+			'counter',
+			'Retries of failed requests, by reason',
+			Object.entries(stats.retries.byReason).map(([reason, count]) => [labels({ reason }), count])
+		);
+		metric('sent_bytes_total', 'counter', 'Bytes sent in API requests', [[labels(), stats.bytesSent]]);
+		metric('received_bytes_total', 'counter', 'Bytes received in API responses', [[labels(), stats.bytesReceived]]);
+		metric('edits_total', 'counter', 'Edits made', [[labels(), stats.edits]]);
+		const latencySamples: [string, number][] = [];
+		for (let [module, s] of modules) {
+			for (let [le, count] of Object.entries(s.latency.buckets)) {
+				// Prometheus convention is to use seconds
+				let bound = le === '+Inf' ? le : String(Number(le) / 1000);
+				latencySamples.push(['_bucket' + labels({ module, le: bound }), count]);
+			}
+			latencySamples.push(['_sum' + labels({ module }), s.latency.sum / 1000]);
+			latencySamples.push(['_count' + labels({ module }), s.latency.count]);
+		}
+		metric('request_duration_seconds', 'histogram', 'Latency of API requests, by module', latencySamples);
+		return lines.join('\n') + '\n';
+	}
+}
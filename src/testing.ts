@@ -0,0 +1,1191 @@
+/**
+ * An in-memory fake of the MediaWiki action API, for testing bot code
+ * without a real wiki. It is a transport (see transport.ts), so the requests
+ * go through all of mwn - retries, middleware, stats and so on - and only the
+ * HTTP layer is replaced. Available as `mwn/testing`:
+ *
+ *     const { FakeWiki } = require('mwn/testing');
+ *     const wiki = new FakeWiki({ pages: { Sandbox: 'Hello' } });
+ *     const bot = await wiki.createBot({ username: 'Example', password: 'password' });
+ *
+ * Only the commonly used subset of the API is implemented: action=query with
+ * prop=revisions|info, list=categorymembers|allpages (also as generators) and
+ * meta=siteinfo|tokens|userinfo, along with action=edit, parse, move, delete,
+ * login, logout and paraminfo (for token types). Anything else is rejected
+ * with a badvalue error, rather than being silently ignored. There is no
+ * parser: action=parse gives the wikitext itself as the text.
+ *
+ * Errors can be injected using injectError(), to test how the bot deals with
+ * edit conflicts, maxlag, bad tokens, etc.
+ */
+
+import * as crypto from 'crypto';
+
+import type { AxiosResponse } from 'axios';
+import type * as tough from 'tough-cookie';
+
+import { mwn, MwnOptions } from './bot';
+import type { RawRequestParams } from './core';
+import MwnTitleFactory, { MwnTitle, MwnTitleStatic, siteinfoqueryResponse } from './title';
+import { FetchTransport, Transport, transportError } from './transport';
+
+export interface FakeRevision {
+	revid: number;
+	parentid: number;
+	timestamp: string;
+	user: string;
+	comment: string;
+	minor: boolean;
+	content: string;
+}
+
+export interface FakePage {
+	pageid: number;
+	ns: number;
+	title: string;
+	contentmodel: string;
+	/** Oldest first */
+	revisions: FakeRevision[];
+}
+
+/** Page to seed the wiki with: either just the text, or the text with revision details */
+export type FakePageSeed =
+	| string
+	| {
+			text: string;
+			contentmodel?: string;
+			user?: string;
+			comment?: string;
+			timestamp?: string;
+	  };
+
+export interface FakeWikiOptions {
+	/** Defaults to https://wiki.test/w/api.php */
+	apiUrl?: string;
+	/** Pages to start with, keyed by title */
+	pages?: Record<string, FakePageSeed>;
+	/**
+	 * Accounts that can log in, as username => password. BotPassword usernames
+	 * (User@BotName) work as well. Defaults to { Example: 'password' }.
+	 */
+	users?: Record<string, string>;
+	/** Time of the wiki's clock at the start. Defaults to 2021-01-01T00:00:00Z */
+	startTime?: string;
+}
+
+export interface InjectedErrorOptions {
+	/**
+	 * Only fail requests with this action. Defaults to edit for editconflict,
+	 * and to any request for other errors. Errors are injected only into requests
+	 * carrying a token for badtoken, and only into requests with the maxlag
+	 * parameter for maxlag.
+	 */
+	action?: string;
+	/** Number of requests to fail. Defaults to 1. */
+	times?: number;
+	/** Error message */
+	info?: string;
+	/** Lag in seconds, for maxlag errors. Defaults to 5. */
+	lag?: number;
+	/** Value of the Retry-After header, for maxlag errors. Defaults to the lag. */
+	retryAfter?: number;
+}
+
+interface InjectedError extends InjectedErrorOptions {
+	code: string;
+	times: number;
+}
+
+type Params = Record<string, string>;
+
+/** Error response, thrown by the request handlers */
+class ApiError {
+	constructor(public code: string, public info: string, public data: Record<string, any> = {}) {}
+}
+
+const defaultErrorInfo: Record<string, string> = {
+	editconflict: 'Edit conflict.',
+	badtoken: 'Invalid CSRF token.',
+	readonly: 'The wiki is currently in read-only mode.',
+	ratelimited:
+		'As an anti-abuse measure, you are limited from performing this action too many times in a short space of time, and you have exceeded this limit. Please try again in a few minutes.',
+};
+
+const tokenTypes: Record<string, string> = {
+	edit: 'csrf',
+	move: 'csrf',
+	delete: 'csrf',
+	logout: 'csrf',
+	login: 'login',
+};
+
+const MAX_LIMIT = 500;
+const DEFAULT_LIMIT = 10;
+const SESSION_COOKIE = 'fakewiki_session';
+
+const namespaceNames: Record<number, string> = {
+	[-2]: 'Media',
+	[-1]: 'Special',
+	0: '',
+	1: 'Talk',
+	2: 'User',
+	3: 'User talk',
+	4: 'Project',
+	5: 'Project talk',
+	6: 'File',
+	7: 'File talk',
+	8: 'MediaWiki',
+	9: 'MediaWiki talk',
+	10: 'Template',
+	11: 'Template talk',
+	12: 'Help',
+	13: 'Help talk',
+	14: 'Category',
+	15: 'Category talk',
+	828: 'Module',
+	829: 'Module talk',
+};
+
+const siteinfo = {
+	general: {
+		mainpage: 'Main Page',
+		sitename: 'Fake Wiki',
+		generator: 'MediaWiki 1.40.0',
+		lang: 'en',
+		case: 'first-letter',
+		legaltitlechars: ' %!"$&\'()*,\\-.\\/0-9:;=?@A-Z\\\\^_`a-z~\\x80-\\xFF+',
+		maxarticlesize: 2097152,
+	},
+	namespaces: {} as siteinfoqueryResponse['query']['namespaces'],
+	namespacealiases: [
+		{ id: 4, alias: 'WP' },
+		{ id: 6, alias: 'Image' },
+	],
+};
+for (let [id, name] of Object.entries(namespaceNames)) {
+	siteinfo.namespaces[id] = { id: Number(id), name, canonical: name, case: 'first-letter' };
+}
+
+/**
+ * Split a multi-value parameter
+ */
+function multi(value: string | undefined): string[] {
+	if (value === undefined || value === '') {
+		return [];
+	}
+	return value.startsWith('\x1f') ? value.slice(1).split('\x1f') : value.split('|');
+}
+
+function isTrue(value: string | undefined): boolean {
+	return value !== undefined && value !== 'false';
+}
+
+function getLimit(value: string | undefined): number {
+	if (value === 'max') {
+		return MAX_LIMIT;
+	}
+	return Math.min(parseInt(value) || DEFAULT_LIMIT, MAX_LIMIT);
+}
+
+function formatTimestamp(time: number): string {
+	return new Date(time).toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Sections of the wikitext, as delimited by headings. Headings inside
+ * comments, nowiki, etc are not recognised.
+ */
+function getSections(text: string): Array<{ level: number; line: string; offset: number }> {
+	const sections = [];
+	const headingRgx = /^(={1,6})(.+?)\1[ \t]*$/gm;
+	let match;
+	while ((match = headingRgx.exec(text))) {
+		sections.push({ level: match[1].length, line: match[2].trim(), offset: match.index });
+	}
+	return sections;
+}
+
+/**
+ * Get the boundaries of a section, including its subsections. Section 0 is
+ * the text before the first heading.
+ * @returns {[number, number]|null} start and end offsets
+ */
+function getSectionBounds(text: string, section: number): [number, number] | null {
+	const sections = getSections(text);
+	if (section === 0) {
+		return [0, sections.length ? sections[0].offset : text.length];
+	}
+	const current = sections[section - 1];
+	if (!current) {
+		return null;
+	}
+	const next = sections.slice(section).find((s) => s.level <= current.level);
+	return [current.offset, next ? next.offset : text.length];
+}
+
+export class FakeWiki implements Transport {
+	apiUrl: string;
+	users: Record<string, string>;
+	/** Pages, keyed by prefixed title */
+	pages: Map<string, FakePage> = new Map();
+	/** Parameters of all requests received, in order */
+	requests: Params[] = [];
+	/** Current time on the wiki, advanced by a second on every revision */
+	time: number;
+	Title: MwnTitleStatic;
+
+	private injectedErrors: InjectedError[] = [];
+	/** Session id => username */
+	private sessions: Map<string, string> = new Map();
+	/** Prefixed title => time of deletion */
+	private deletions: Map<string, string> = new Map();
+	private lastPageId = 0;
+	private lastRevId = 0;
+	private lastLogId = 0;
+
+	constructor(options: FakeWikiOptions = {}) {
+		this.apiUrl = options.apiUrl || 'https://wiki.test/w/api.php';
+		this.users = options.users || { Example: 'password' };
+		this.time = Date.parse(options.startTime || '2021-01-01T00:00:00Z');
+		this.Title = MwnTitleFactory();
+		this.Title.processNamespaceData({ query: siteinfo });
+		this.seed(options.pages || {});
+	}
+
+	/**
+	 * Create pages, or add revisions to existing ones
+	 * @param {Object} pages - page text or revision details, keyed by title
+	 */
+	seed(pages: Record<string, FakePageSeed>): void {
+		for (let [title, seed] of Object.entries(pages)) {
+			const details = typeof seed === 'string' ? { text: seed } : seed;
+			const target = this.Title.newFromText(title);
+			if (!target) {
+				throw new Error(`[mwn] Invalid title for FakeWiki page: ${title}`);
+			}
+			this.addRevision(target, details.text, {
+				user: details.user || 'Example',
+				comment: details.comment || '',
+				timestamp: details.timestamp,
+				contentmodel: details.contentmodel,
+			});
+		}
+	}
+
+	/**
+	 * Get a page from the store
+	 * @param {string} title
+	 * @returns {FakePage|undefined}
+	 */
+	getPage(title: string): FakePage | undefined {
+		const target = this.Title.newFromText(title);
+		return target ? this.pages.get(target.getPrefixedText()) : undefined;
+	}
+
+	/**
+	 * Get the current text of a page
+	 * @param {string} title
+	 * @returns {string|undefined} undefined if the page doesn't exist
+	 */
+	getText(title: string): string | undefined {
+		const page = this.getPage(title);
+		return page && page.revisions[page.revisions.length - 1].content;
+	}
+
+	/**
+	 * Make upcoming requests fail with an API error
+	 * @param {string} code - eg. editconflict, maxlag, badtoken, readonly, ratelimited
+	 * @param {InjectedErrorOptions} [options]
+	 */
+	injectError(code: string, options: InjectedErrorOptions = {}): void {
+		this.injectedErrors.push({
+			action: code === 'editconflict' ? 'edit' : undefined,
+			...options,
+			code,
+			times: options.times ?? 1,
+		});
+	}
+
+	/**
+	 * Create a bot instance working against this wiki. If a username is given
+	 * the bot is logged in, else the tokens and site info are fetched.
+	 * @param {MwnOptions} [options]
+	 * @returns {Promise<mwn>}
+	 */
+	async createBot(options: MwnOptions = {}): Promise<mwn> {
+		const bot = new mwn({
+			apiUrl: this.apiUrl,
+			silent: true,
+			...options,
+			transport: this,
+		});
+		if (bot.options.username) {
+			await bot.login();
+		} else {
+			await bot.getTokensAndSiteInfo();
+		}
+		return bot;
+	}
+
+	async request(config: RawRequestParams): Promise<AxiosResponse> {
+		const url = new URL(config.url);
+		if (!url.pathname.endsWith('/api.php') || url.origin !== new URL(this.apiUrl).origin) {
+			const response = this.makeResponse(config, 'Not Found', 404);
+			throw transportError('Request failed with status code 404', config, undefined, response);
+		}
+		const params = await this.getParams(config);
+		this.requests.push(params);
+
+		const jar: tough.CookieJar = config.jar && typeof config.jar === 'object' ? config.jar : null;
+		const sessionId = jar ? this.getSessionId(await jar.getCookieString(config.url)) : null;
+		// Any request with an Authorization header (OAuth) is taken to be from the first
+		// user, or to be anonymous if there are no users
+		const user = config.headers?.Authorization
+			? Object.keys(this.users).map((name) => name.split('@')[0])[0] || null
+			: this.sessions.get(sessionId) || null;
+
+		const headers: Record<string, string> = {};
+		let data;
+		try {
+			this.checkInjectedErrors(params, headers);
+			this.checkAssert(params, user);
+			data = await this.handleAction(params, user, sessionId, jar, config.url);
+			if (params.curtimestamp !== undefined) {
+				data.curtimestamp = formatTimestamp(this.time);
+			}
+		} catch (err) {
+			if (!(err instanceof ApiError)) {
+				throw err;
+			}
+			data = this.makeError(params, err);
+		}
+		return this.makeResponse(config, data, 200, headers);
+	}
+
+	private makeResponse(config: RawRequestParams, data: any, status = 200, headers = {}): AxiosResponse {
+		return {
+			data,
+			status,
+			statusText: status === 200 ? 'OK' : 'Not Found',
+			headers: { 'content-type': 'application/json; charset=utf-8', ...headers },
+			config,
+		};
+	}
+
+	private makeError(params: Params, err: ApiError) {
+		if (params.errorformat && params.errorformat !== 'bc') {
+			return { errors: [{ code: err.code, text: err.info, module: params.action, data: err.data }] };
+		}
+		return { error: { code: err.code, info: err.info, ...err.data } };
+	}
+
+	/**
+	 * Read the API parameters from the query string and the body
+	 */
+	private async getParams(config: RawRequestParams): Promise<Params> {
+		const params: Params = {};
+		const addParams = (entries: Iterable<[string, any]>) => {
+			for (let [key, value] of entries) {
+				if (value !== undefined && value !== null) {
+					params[key] = value instanceof Date ? value.toISOString() : String(value);
+				}
+			}
+		};
+		addParams(new URL(config.url).searchParams);
+		addParams(Object.entries(config.params || {}));
+		if (config.data !== undefined && config.data !== null) {
+			const headers: Record<string, string> = {};
+			const body = await FetchTransport.getBody(config.data, headers);
+			if (typeof body === 'string' || body instanceof URLSearchParams) {
+				addParams(new URLSearchParams(body));
+			} else if (Buffer.isBuffer(body) && headers['content-type']) {
+				addParams(this.parseMultipart(body.toString(), headers['content-type']));
+			}
+		}
+		return params;
+	}
+
+	private parseMultipart(body: string, contentType: string): Array<[string, string]> {
+		const boundary = contentType.match(/boundary=(.*)$/)[1];
+		return body
+			.split('--' + boundary)
+			.map((part) => part.match(/^\r\nContent-Disposition: form-data; name="([^"]*)"[^]*?\r\n\r\n([^]*)\r\n$/))
+			.filter(Boolean)
+			.map((match) => [match[1], match[2]]);
+	}
+
+	private getSessionId(cookies: string): string | null {
+		const match = cookies.match(new RegExp(`(?:^|; )${SESSION_COOKIE}=([^;]*)`));
+		return match ? match[1] : null;
+	}
+
+	private checkInjectedErrors(params: Params, headers: Record<string, string>) {
+		const injected = this.injectedErrors.find((err) => {
+			if (err.action && err.action !== params.action) {
+				return false;
+			}
+			if (err.code === 'badtoken' && params.token === undefined) {
+				return false;
+			}
+			if (err.code === 'maxlag' && params.maxlag === undefined) {
+				return false;
+			}
+			return true;
+		});
+		if (!injected) {
+			return;
+		}
+		if (--injected.times <= 0) {
+			this.injectedErrors.splice(this.injectedErrors.indexOf(injected), 1);
+		}
+		if (injected.code === 'maxlag') {
+			const lag = injected.lag ?? 5;
+			headers['retry-after'] = String(injected.retryAfter ?? lag);
+			headers['x-database-lag'] = String(lag);
+			throw new ApiError('maxlag', injected.info || `Waiting for 10.0.0.1: ${lag} seconds lagged.`, {
+				host: '10.0.0.1',
+				lag,
+				type: 'db',
+			});
+		}
+		throw new ApiError(injected.code, injected.info || defaultErrorInfo[injected.code] || injected.code);
+	}
+
+	private checkAssert(params: Params, user: string | null) {
+		if (params.assert === 'user' && !user) {
+			throw new ApiError(
+				'assertuserfailed',
+				'You are no longer logged in, so the action could not be completed.'
+			);
+		}
+		if (params.assert === 'bot' && !user) {
+			throw new ApiError(
+				'assertbotfailed',
+				'You do not have the "bot" right, so the action could not be completed.'
+			);
+		}
+		if (params.assertuser !== undefined && params.assertuser !== user) {
+			throw new ApiError('assertnameduserfailed', `You are no longer logged in as "${params.assertuser}".`);
+		}
+	}
+
+	private csrfToken(sessionId: string | null, user: string | null): string {
+		return user ? crypto.createHash('md5').update(`csrf|${sessionId}|${user}`).digest('hex') + '+\\' : '+\\';
+	}
+
+	private loginToken(): string {
+		return crypto.createHash('md5').update(`login|${this.apiUrl}`).digest('hex') + '+\\';
+	}
+
+	private checkToken(params: Params, sessionId: string | null, user: string | null) {
+		const type = tokenTypes[params.action];
+		const token = params.token;
+		if (token === undefined) {
+			throw new ApiError('missingparam', 'The "token" parameter must be set.');
+		}
+		if (token !== (type === 'login' ? this.loginToken() : this.csrfToken(sessionId, user))) {
+			throw new ApiError('badtoken', 'Invalid CSRF token.');
+		}
+	}
+
+	private async handleAction(
+		params: Params,
+		user: string | null,
+		sessionId: string | null,
+		jar: tough.CookieJar,
+		url: string
+	): Promise<Record<string, any>> {
+		if (tokenTypes[params.action] && params.action !== 'login') {
+			this.checkToken(params, sessionId, user);
+		}
+		switch (params.action) {
+			case 'query':
+				return this.query(params, user, sessionId);
+			case 'edit':
+				return this.edit(params, user);
+			case 'parse':
+				return this.parse(params);
+			case 'move':
+				return this.move(params, user);
+			case 'delete':
+				return this.delete(params);
+			case 'login':
+				return this.login(params, sessionId, jar, url);
+			case 'logout':
+				this.sessions.delete(sessionId);
+				return {};
+			case 'paraminfo':
+				return this.paraminfo(params);
+			default:
+				throw new ApiError('badvalue', `Unrecognized value for parameter "action": ${params.action}.`);
+		}
+	}
+
+	private async startSession(jar: tough.CookieJar, url: string, user: string): Promise<string> {
+		const sessionId = crypto.randomBytes(16).toString('hex');
+		this.sessions.set(sessionId, user);
+		await jar.setCookie(`${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly`, url);
+		return sessionId;
+	}
+
+	private async login(params: Params, sessionId: string | null, jar: tough.CookieJar, url: string) {
+		if (params.lgtoken !== this.loginToken()) {
+			return {
+				login: {
+					result: 'Failed',
+					reason: 'Unable to continue login. Your session most likely timed out.',
+				},
+			};
+		}
+		if (!params.lgname || this.users[params.lgname] !== params.lgpassword) {
+			return {
+				login: {
+					result: 'Failed',
+					reason: 'Incorrect username or password entered. Please try again.',
+				},
+			};
+		}
+		const username = params.lgname.split('@')[0];
+		// Fresh session on login
+		this.sessions.delete(sessionId);
+		if (jar) {
+			await this.startSession(jar, url, username);
+		}
+		return {
+			login: {
+				result: 'Success',
+				lguserid: this.getUserId(username),
+				lgusername: username,
+			},
+		};
+	}
+
+	private getUserId(username: string): number {
+		return Object.keys(this.users).findIndex((name) => name.split('@')[0] === username) + 1;
+	}
+
+	private paraminfo(params: Params) {
+		return {
+			paraminfo: {
+				modules: multi(params.modules).map((name) => ({
+					name,
+					path: name,
+					parameters: tokenTypes[name]
+						? [
+								{
+									name: name === 'login' ? 'lgtoken' : 'token',
+									type: 'string',
+									tokentype: tokenTypes[name],
+								},
+						  ]
+						: [],
+				})),
+			},
+		};
+	}
+
+	/* Query */
+
+	private query(params: Params, user: string | null, sessionId: string | null) {
+		const query: Record<string, any> = {};
+		const continuation: Record<string, string> = {};
+
+		for (let meta of multi(params.meta)) {
+			if (meta === 'tokens') {
+				query.tokens = {};
+				for (let type of multi(params.type || 'csrf')) {
+					query.tokens[type + 'token'] =
+						type === 'login' ? this.loginToken() : this.csrfToken(sessionId, user);
+				}
+			} else if (meta === 'siteinfo') {
+				for (let prop of multi(params.siprop || 'general')) {
+					if (!(prop in siteinfo)) {
+						throw new ApiError('badvalue', `Unrecognized value for parameter "siprop": ${prop}.`);
+					}
+					query[prop] = siteinfo[prop as keyof typeof siteinfo];
+				}
+			} else if (meta === 'userinfo') {
+				query.userinfo = user
+					? {
+							id: this.getUserId(user),
+							name: user,
+							rights: ['read', 'edit', 'createpage', 'move', 'delete', 'bot'],
+							ratelimits: {},
+					  }
+					: { id: 0, name: '127.0.0.1', anon: true, rights: ['read', 'edit', 'createpage'], ratelimits: {} };
+			} else {
+				throw new ApiError('badvalue', `Unrecognized value for parameter "meta": ${meta}.`);
+			}
+		}
+
+		for (let list of multi(params.list)) {
+			const result = this.runList(list, params, '');
+			query[list] = result.items.map((page) => ({ pageid: page.pageid, ns: page.ns, title: page.title }));
+			Object.assign(continuation, result.continue);
+		}
+
+		let pages: Array<FakePage | Record<string, any>>;
+		if (params.generator) {
+			const result = this.runList(params.generator, params, 'g');
+			pages = result.items;
+			Object.assign(continuation, result.continue);
+		} else if (params.titles !== undefined || params.pageids !== undefined) {
+			pages = this.resolveTitles(params, query);
+		}
+		if (pages) {
+			query.pages = pages.map((page) => this.getPageProps(page, params, continuation));
+		} else if (params.prop) {
+			throw new ApiError('badvalue', `No titles, pageids or generator given for "prop": ${params.prop}.`);
+		}
+
+		const response: Record<string, any> = { batchcomplete: true };
+		if (Object.keys(continuation).length) {
+			const genContinue = Object.keys(continuation).filter((key) => key.startsWith('g'));
+			response.continue = { ...continuation, continue: genContinue.length ? `${genContinue[0]}||` : '-||' };
+			delete response.batchcomplete;
+		}
+		if (Object.keys(query).length) {
+			response.query = query;
+		}
+		return response;
+	}
+
+	/**
+	 * Run a list module, with the parameters having the given prefix (g for generators)
+	 */
+	private runList(list: string, params: Params, prefix: string): { items: FakePage[]; continue: Params } {
+		const get = (name: string) => params[prefix + name];
+		let items: FakePage[];
+		let continueParam: string;
+		if (list === 'categorymembers') {
+			continueParam = 'cmcontinue';
+			let category = get('cmtitle') ? this.Title.newFromText(get('cmtitle')) : null;
+			if (get('cmpageid')) {
+				const page = this.getPageById(Number(get('cmpageid')));
+				category = page ? this.Title.newFromText(page.title) : null;
+			}
+			if (!category || category.getNamespaceId() !== 14) {
+				throw new ApiError('invalidcategory', 'The category name you entered is not valid.');
+			}
+			const namespaces = multi(get('cmnamespace')).map(Number);
+			const types = multi(get('cmtype') || 'page|subcat|file');
+			items = [...this.pages.values()]
+				.filter((page) => this.getCategories(page).includes(category.getMainText()))
+				.filter((page) => !namespaces.length || namespaces.includes(page.ns))
+				.filter((page) => types.includes(page.ns === 14 ? 'subcat' : page.ns === 6 ? 'file' : 'page'));
+		} else if (list === 'allpages') {
+			continueParam = 'apcontinue';
+			const ns = Number(get('apnamespace') || 0);
+			const prefix = get('apprefix') ? this.Title.makeTitle(ns, get('apprefix')).getMainText() : '';
+			const filter = get('apfilterredir') || 'all';
+			items = [...this.pages.values()].filter((page) => {
+				const text = this.Title.newFromText(page.title).getMainText();
+				return (
+					page.ns === ns &&
+					text.startsWith(prefix) &&
+					(!get('apfrom') || text >= get('apfrom').replace(/_/g, ' ')) &&
+					(!get('apto') || text <= get('apto').replace(/_/g, ' ')) &&
+					(filter === 'all' || (filter === 'redirects') === !!this.getRedirectTarget(page))
+				);
+			});
+		} else {
+			throw new ApiError(
+				'badvalue',
+				`Unrecognized value for parameter "${prefix ? 'generator' : 'list'}": ${list}.`
+			);
+		}
+
+		// Sort by main text, continuing from the title given in the continue parameter
+		const sortKey = (page: FakePage) => this.Title.newFromText(page.title).getMainText() + '|' + page.ns;
+		items.sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : 1));
+		if (get(continueParam)) {
+			items = items.filter((page) => sortKey(page) >= get(continueParam));
+		}
+		const limit = getLimit(get(list === 'allpages' ? 'aplimit' : 'cmlimit'));
+		const result = { items: items.slice(0, limit), continue: {} as Params };
+		if (items.length > limit) {
+			result.continue[prefix + continueParam] = sortKey(items[limit]);
+		}
+		return result;
+	}
+
+	/**
+	 * Get the pages given as titles or pageids, adding the normalized and redirects
+	 * info to the query.
+	 */
+	private resolveTitles(params: Params, query: Record<string, any>): Array<FakePage | Record<string, any>> {
+		const pages: Array<FakePage | Record<string, any>> = [];
+		for (let pageid of multi(params.pageids)) {
+			pages.push(this.getPageById(Number(pageid)) || { pageid: Number(pageid), missing: true });
+		}
+		for (let title of multi(params.titles)) {
+			const target = this.Title.newFromText(title);
+			if (!target) {
+				pages.push({ title, invalidreason: 'The requested page title is invalid.', invalid: true });
+				continue;
+			}
+			if (target.getPrefixedText() !== title) {
+				query.normalized = query.normalized || [];
+				query.normalized.push({ fromencoded: false, from: title, to: target.getPrefixedText() });
+			}
+			let page = this.pages.get(target.getPrefixedText());
+			if (page && isTrue(params.redirects) && this.getRedirectTarget(page)) {
+				const redirectTarget = this.getRedirectTarget(page);
+				query.redirects = query.redirects || [];
+				query.redirects.push({ from: page.title, to: redirectTarget.getPrefixedText() });
+				page = this.pages.get(redirectTarget.getPrefixedText());
+				if (!page) {
+					pages.push({
+						ns: redirectTarget.getNamespaceId(),
+						title: redirectTarget.getPrefixedText(),
+						missing: true,
+					});
+					continue;
+				}
+			}
+			pages.push(page || { ns: target.getNamespaceId(), title: target.getPrefixedText(), missing: true });
+		}
+		return pages;
+	}
+
+	private getPageProps(page: FakePage | Record<string, any>, params: Params, continuation: Params) {
+		if (!(page as FakePage).revisions) {
+			return page;
+		}
+		const fakePage = page as FakePage;
+		const result: Record<string, any> = { pageid: fakePage.pageid, ns: fakePage.ns, title: fakePage.title };
+		const latest = fakePage.revisions[fakePage.revisions.length - 1];
+		for (let prop of multi(params.prop)) {
+			if (prop === 'info') {
+				Object.assign(result, {
+					contentmodel: fakePage.contentmodel,
+					pagelanguage: 'en',
+					pagelanguagehtmlcode: 'en',
+					pagelanguagedir: 'ltr',
+					touched: latest.timestamp,
+					lastrevid: latest.revid,
+					length: Buffer.byteLength(latest.content),
+				});
+				if (this.getRedirectTarget(fakePage)) {
+					result.redirect = true;
+				}
+				if (fakePage.revisions.length === 1) {
+					result.new = true;
+				}
+				if (multi(params.inprop).includes('protection')) {
+					result.protection = [];
+					result.restrictiontypes = ['edit', 'move'];
+				}
+			} else if (prop === 'revisions') {
+				result.revisions = this.getRevisions(fakePage, params, continuation);
+			} else {
+				throw new ApiError('badvalue', `Unrecognized value for parameter "prop": ${prop}.`);
+			}
+		}
+		return result;
+	}
+
+	private getRevisions(page: FakePage, params: Params, continuation: Params) {
+		const props = multi(params.rvprop || 'ids|timestamp|flags|comment|user');
+		// Newest first, unless rvdir=newer
+		let revisions = params.rvdir === 'newer' ? page.revisions.slice() : page.revisions.slice().reverse();
+		if (params.rvcontinue) {
+			const revid = Number(params.rvcontinue.split('|').pop());
+			revisions = revisions.filter((rev) => (params.rvdir === 'newer' ? rev.revid >= revid : rev.revid <= revid));
+		}
+		// Without rvlimit, only the latest revision is given
+		const limit = params.rvlimit ? getLimit(params.rvlimit) : 1;
+		if (params.rvlimit && revisions.length > limit) {
+			continuation.rvcontinue = `${revisions[limit].timestamp.replace(/\D/g, '')}|${revisions[limit].revid}`;
+		}
+		return revisions.slice(0, limit).map((rev) => {
+			const result: Record<string, any> = {};
+			let content = rev.content;
+			if (params.rvsection !== undefined) {
+				const bounds = getSectionBounds(content, Number(params.rvsection));
+				if (!bounds) {
+					throw new ApiError('nosuchsection', `There is no section ${params.rvsection}.`);
+				}
+				content = content.slice(bounds[0], bounds[1]).replace(/\n+$/, '');
+			}
+			if (props.includes('ids')) {
+				result.revid = rev.revid;
+				result.parentid = rev.parentid;
+			}
+			if (props.includes('flags')) {
+				result.minor = rev.minor;
+			}
+			if (props.includes('user')) {
+				result.user = rev.user;
+			}
+			if (props.includes('timestamp')) {
+				result.timestamp = rev.timestamp;
+			}
+			if (props.includes('size')) {
+				result.size = Buffer.byteLength(rev.content);
+			}
+			if (props.includes('sha1')) {
+				result.sha1 = crypto.createHash('sha1').update(rev.content).digest('hex');
+			}
+			if (props.includes('comment')) {
+				result.comment = rev.comment;
+			}
+			if (props.includes('content')) {
+				const slot = { contentmodel: page.contentmodel, contentformat: this.getContentFormat(page), content };
+				if (params.rvslots) {
+					result.slots = { main: slot };
+				} else {
+					Object.assign(result, slot);
+				}
+			}
+			return result;
+		});
+	}
+
+	/* Page store helpers */
+
+	private getPageById(pageid: number): FakePage | undefined {
+		return [...this.pages.values()].find((page) => page.pageid === pageid);
+	}
+
+	private getContentFormat(page: FakePage): string {
+		const formats: Record<string, string> = {
+			javascript: 'text/javascript',
+			css: 'text/css',
+			json: 'application/json',
+		};
+		return formats[page.contentmodel] || 'text/x-wiki';
+	}
+
+	private getRedirectTarget(page: FakePage): MwnTitle | null {
+		const match = page.revisions[page.revisions.length - 1].content.match(/^\s*#redirect\s*:?\s*\[\[([^\]|#]+)/i);
+		return match ? this.Title.newFromText(match[1]) : null;
+	}
+
+	private getCategories(page: FakePage): string[] {
+		const text = page.revisions[page.revisions.length - 1].content;
+		const categories = [];
+		const linkRgx = /\[\[\s*([^\]|:]+:[^\]|]+)(?:\|[^\]]*)?\]\]/g;
+		let match;
+		while ((match = linkRgx.exec(text))) {
+			const title = this.Title.newFromText(match[1]);
+			if (title && title.getNamespaceId() === 14) {
+				categories.push(title.getMainText());
+			}
+		}
+		return categories;
+	}
+
+	private getContentModel(title: MwnTitle): string {
+		const text = title.getMainText();
+		if (title.getNamespaceId() === 828 && !text.endsWith('/doc')) {
+			return 'Scribunto';
+		}
+		if ([2, 8].includes(title.getNamespaceId())) {
+			if (text.endsWith('.js')) return 'javascript';
+			if (text.endsWith('.css')) return 'css';
+			if (text.endsWith('.json')) return 'json';
+		}
+		return 'wikitext';
+	}
+
+	private addRevision(
+		title: MwnTitle,
+		content: string,
+		options: { user: string; comment: string; minor?: boolean; timestamp?: string; contentmodel?: string }
+	): { page: FakePage; revision: FakeRevision; parentid: number } {
+		const key = title.getPrefixedText();
+		let page = this.pages.get(key);
+		if (!page) {
+			page = {
+				pageid: ++this.lastPageId,
+				ns: title.getNamespaceId(),
+				title: key,
+				contentmodel: options.contentmodel || this.getContentModel(title),
+				revisions: [],
+			};
+			this.pages.set(key, page);
+		}
+		const parentid = page.revisions.length ? page.revisions[page.revisions.length - 1].revid : 0;
+		const revision = {
+			revid: ++this.lastRevId,
+			parentid,
+			timestamp: options.timestamp || this.tick(),
+			user: options.user,
+			comment: options.comment,
+			minor: !!options.minor,
+			content,
+		};
+		page.revisions.push(revision);
+		return { page, revision, parentid };
+	}
+
+	private tick(): string {
+		this.time += 1000;
+		return formatTimestamp(this.time);
+	}
+
+	/**
+	 * Get the page targeted by the title or pageid parameters
+	 */
+	private getTarget(params: Params, titleParam = 'title', idParam = 'pageid'): MwnTitle {
+		if (params[idParam] !== undefined) {
+			const page = this.getPageById(Number(params[idParam]));
+			if (!page) {
+				throw new ApiError('nosuchpageid', `There is no page with ID ${params[idParam]}.`);
+			}
+			return this.Title.newFromText(page.title);
+		}
+		if (params[titleParam] === undefined) {
+			throw new ApiError('missingparam', `One of the parameters "${titleParam}" and "${idParam}" is required.`);
+		}
+		const title = this.Title.newFromText(params[titleParam]);
+		if (!title) {
+			throw new ApiError('invalidtitle', `Bad title "${params[titleParam]}".`);
+		}
+		return title;
+	}
+
+	/* Write actions */
+
+	private edit(params: Params, user: string | null) {
+		const title = this.getTarget(params);
+		const page = this.pages.get(title.getPrefixedText());
+		if (page && isTrue(params.createonly)) {
+			throw new ApiError('articleexists', 'The article you tried to create has been created already.');
+		}
+		if (!page && isTrue(params.nocreate)) {
+			throw new ApiError('missingtitle', "The page you specified doesn't exist.");
+		}
+		const current = page ? page.revisions[page.revisions.length - 1] : null;
+		if (current && params.basetimestamp && current.timestamp > params.basetimestamp) {
+			throw new ApiError('editconflict', 'Edit conflict.');
+		}
+		const deletedAt = this.deletions.get(title.getPrefixedText());
+		if (!page && params.starttimestamp && deletedAt && deletedAt > params.starttimestamp) {
+			throw new ApiError('pagedeleted', 'The page has been deleted since you fetched its timestamp.');
+		}
+
+		const oldText = current ? current.content : '';
+		let newText;
+		if (params.section === 'new') {
+			const text = params.text ?? params.appendtext ?? '';
+			const heading = params.sectiontitle ? `== ${params.sectiontitle} ==\n\n` : '';
+			newText = (oldText ? oldText + '\n\n' : '') + heading + text;
+		} else {
+			let [start, end] = [0, oldText.length];
+			if (params.section !== undefined) {
+				const bounds = getSectionBounds(oldText, Number(params.section));
+				if (!bounds) {
+					throw new ApiError('nosuchsection', `There is no section ${params.section}.`);
+				}
+				[start, end] = bounds;
+			}
+			let section = oldText.slice(start, end).replace(/\n+$/, '');
+			const trailing = oldText.slice(start, end).slice(section.length);
+			if (params.text !== undefined) {
+				section = params.text;
+			} else if (params.appendtext !== undefined || params.prependtext !== undefined) {
+				section = (params.prependtext ?? '') + section + (params.appendtext ?? '');
+			} else {
+				throw new ApiError('missingparam', 'The "text" parameter must be set.');
+			}
+			newText = oldText.slice(0, start) + section + trailing + oldText.slice(end);
+		}
+
+		if (current && newText === oldText) {
+			return {
+				edit: {
+					result: 'Success',
+					pageid: page.pageid,
+					title: page.title,
+					contentmodel: page.contentmodel,
+					nochange: true,
+				},
+			};
+		}
+		const { page: newPage, revision } = this.addRevision(title, newText, {
+			user: user || '127.0.0.1',
+			comment: params.summary || '',
+			minor: isTrue(params.minor),
+			contentmodel: params.contentmodel,
+		});
+		const result: Record<string, any> = {
+			result: 'Success',
+			pageid: newPage.pageid,
+			title: newPage.title,
+			contentmodel: newPage.contentmodel,
+		};
+		if (current) {
+			result.oldrevid = current.revid;
+		} else {
+			result.new = true;
+		}
+		result.newrevid = revision.revid;
+		result.newtimestamp = revision.timestamp;
+		return { edit: result };
+	}
+
+	private parse(params: Params) {
+		let text: string, title: string, pageid: number, revid: number;
+		if (params.text !== undefined) {
+			text = params.text;
+			title = params.title || 'API';
+		} else if (params.oldid !== undefined) {
+			let revision: FakeRevision;
+			const page = [...this.pages.values()].find((page) => {
+				revision = page.revisions.find((rev) => rev.revid === Number(params.oldid));
+				return revision;
+			});
+			if (!page) {
+				throw new ApiError('nosuchrevid', `There is no revision with ID ${params.oldid}.`);
+			}
+			({ title, pageid } = page);
+			({ content: text, revid } = revision);
+		} else {
+			let target = this.getTarget(params, 'page', 'pageid');
+			let page = this.pages.get(target.getPrefixedText());
+			if (page && isTrue(params.redirects) && this.getRedirectTarget(page)) {
+				page = this.pages.get(this.getRedirectTarget(page).getPrefixedText());
+			}
+			if (!page) {
+				throw new ApiError('missingtitle', "The page you specified doesn't exist.");
+			}
+			({ title, pageid } = page);
+			({ content: text, revid } = page.revisions[page.revisions.length - 1]);
+		}
+		if (params.section !== undefined) {
+			const bounds = getSectionBounds(text, Number(params.section));
+			if (!bounds) {
+				throw new ApiError('nosuchsection', `There is no section ${params.section}.`);
+			}
+			text = text.slice(bounds[0], bounds[1]).replace(/\n+$/, '');
+		}
+
+		const result: Record<string, any> = { title, pageid: pageid ?? 0 };
+		if (revid) {
+			result.revid = revid;
+		}
+		for (let prop of multi(params.prop || 'text|sections|categories|displaytitle')) {
+			switch (prop) {
+				case 'text':
+				case 'wikitext':
+					// No parser here, so the text is the wikitext itself
+					result[prop] = text;
+					break;
+				case 'displaytitle':
+					result.displaytitle = title;
+					break;
+				case 'categories':
+					result.categories = this.getCategories({
+						revisions: [{ content: text }],
+					} as FakePage).map((category) => ({ sortkey: '', category: category.replace(/ /g, '_') }));
+					break;
+				case 'sections':
+					result.sections = this.getParsedSections(text, title);
+					break;
+				case 'revid':
+					break;
+				default:
+					throw new ApiError('badvalue', `Unrecognized value for parameter "prop": ${prop}.`);
+			}
+		}
+		return { parse: result };
+	}
+
+	private getParsedSections(text: string, title: string) {
+		const numbering: number[] = [];
+		const levels: number[] = [];
+		return getSections(text).map((section, idx) => {
+			// TOC levels are based on the nesting of the headings, not their absolute levels
+			while (levels.length && levels[levels.length - 1] >= section.level) {
+				levels.pop();
+			}
+			levels.push(section.level);
+			const toclevel = levels.length;
+			numbering.length = toclevel;
+			numbering[toclevel - 1] = (numbering[toclevel - 1] || 0) + 1;
+			const anchor = section.line.replace(/ /g, '_');
+			return {
+				toclevel,
+				level: String(section.level),
+				line: section.line,
+				number: numbering.join('.'),
+				index: String(idx + 1),
+				fromtitle: title.replace(/ /g, '_'),
+				byteoffset: Buffer.byteLength(text.slice(0, section.offset)),
+				anchor,
+				linkAnchor: anchor,
+			};
+		});
+	}
+
+	private move(params: Params, user: string | null) {
+		const from = this.getTarget(params, 'from', 'fromid');
+		if (params.to === undefined) {
+			throw new ApiError('missingparam', 'The "to" parameter must be set.');
+		}
+		const to = this.Title.newFromText(params.to);
+		if (!to) {
+			throw new ApiError('invalidtitle', `Bad title "${params.to}".`);
+		}
+		const result: Record<string, any> = {
+			from: from.getPrefixedText(),
+			to: to.getPrefixedText(),
+			reason: params.reason || '',
+		};
+		Object.assign(result, this.movePage(from, to, params, user));
+		if (isTrue(params.movetalk) && !from.isTalkPage() && !to.isTalkPage()) {
+			const fromTalk = from.getTalkPage();
+			const toTalk = to.getTalkPage();
+			if (this.pages.has(fromTalk.getPrefixedText())) {
+				this.movePage(fromTalk, toTalk, params, user);
+				result.talkfrom = fromTalk.getPrefixedText();
+				result.talkto = toTalk.getPrefixedText();
+			}
+		}
+		return { move: result };
+	}
+
+	private movePage(from: MwnTitle, to: MwnTitle, params: Params, user: string | null) {
+		const page = this.pages.get(from.getPrefixedText());
+		if (!page) {
+			throw new ApiError('missingtitle', "The page you specified doesn't exist.");
+		}
+		if (from.getPrefixedText() === to.getPrefixedText()) {
+			throw new ApiError('selfmove', 'The title is the same; cannot move a page over itself.');
+		}
+		if (this.pages.has(to.getPrefixedText())) {
+			throw new ApiError(
+				'articleexists',
+				'A page of that name already exists, or the name you have chosen is not valid. Please choose another name.'
+			);
+		}
+		this.pages.delete(from.getPrefixedText());
+		page.title = to.getPrefixedText();
+		page.ns = to.getNamespaceId();
+		this.pages.set(page.title, page);
+
+		const mover = user || '127.0.0.1';
+		const comment = `${mover} moved page [[${from.getPrefixedText()}]] to [[${to.getPrefixedText()}]]${
+			params.reason ? ': ' + params.reason : ''
+		}`;
+		const content = page.revisions[page.revisions.length - 1].content;
+		this.addRevision(to, content, { user: mover, comment, minor: true });
+		const redirectcreated = !isTrue(params.noredirect);
+		if (redirectcreated) {
+			this.addRevision(from, `#REDIRECT [[${to.getPrefixedText()}]]`, { user: mover, comment });
+		}
+		return { redirectcreated, moveoverredirect: false };
+	}
+
+	private delete(params: Params) {
+		const title = this.getTarget(params);
+		if (!this.pages.has(title.getPrefixedText())) {
+			throw new ApiError('missingtitle', "The page you specified doesn't exist.");
+		}
+		this.pages.delete(title.getPrefixedText());
+		this.deletions.set(title.getPrefixedText(), this.tick());
+		return { delete: { title: title.getPrefixedText(), reason: params.reason || '', logid: ++this.lastLogId } };
+	}
+}
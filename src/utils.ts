@@ -93,3 +93,20 @@ export function makeTitle(page: string | number | MwnTitle): { title: string } |
 		return { title: String(page) };
 	}
 }
+
+/**
+ * Get the plain text of a snippet of HTML, such as an error message received
+ * with errorformat=html, or a line of a diff
+ * @param {string} html
+ */
+export function htmlToText(html: string): string {
+	return html
+		.replace(/<[^>]*>/g, '')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&nbsp;/g, ' ')
+		.replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+		.replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+		.replace(/&amp;/g, '&');
+}
@@ -15,6 +15,8 @@
 
 import type { mwn, MwnTitle } from './bot';
 import type { ApiParseParams } from './api_params';
+import type { DiffBlock, DiffLine } from './compare';
+import { colorizeDiff } from './log';
 
 export interface MwnWikitextStatic {
 	new (text: string): MwnWikitext;
@@ -46,6 +48,20 @@ export interface MwnWikitextStatic {
 
 	/** Static version of {@link MwnWikitext.parseSections} */
 	parseSections(text: string): Section[];
+
+	/**
+	 * Get the differences between two texts, computed locally without any API call.
+	 * ```js
+	 * const { unified, colored, blocks } = bot.wikitext.diff(oldText, newText, { granularity: 'word' });
+	 * console.log(colored);
+	 * ```
+	 * @param {string} oldText
+	 * @param {string} newText
+	 * @param {DiffOptions} [options]
+	 * @returns {WikitextDiff} the diff in the unified format, with colors for the
+	 * terminal, and as blocks of added, removed and changed lines
+	 */
+	diff(oldText: string, newText: string, options?: DiffOptions): WikitextDiff;
 }
 export interface MwnWikitext extends Unbinder {
 	links: Array<PageLink>;
@@ -624,6 +640,7 @@ export default function (bot: mwn) {
 		static parseTemplates = parseTemplates;
 		static parseTable = parseTable;
 		static parseSections = parseSections;
+		static diff = diff;
 	}
 
 	/**** Private members *****/
@@ -676,3 +693,345 @@ class Stack extends Array {
 function strReplaceAt(string: string, index: number, char: string): string {
 	return string.slice(0, index) + char + string.slice(index + 1);
 }
+
+/**
+ * Compute the difference between two sequences, as a list of operations
+ * turning the first sequence into the second. Uses the Myers algorithm
+ * (http://www.xmailserver.org/diff2.pdf), after stripping the common
+ * prefix and suffix.
+ */
+function diffSequences<T>(a: T[], b: T[]): DiffOp<T>[] {
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) {
+		start++;
+	}
+	let endA = a.length,
+		endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+	return [
+		...a.slice(0, start).map((value): DiffOp<T> => ({ type: 'equal', value })),
+		...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+		...a.slice(endA).map((value): DiffOp<T> => ({ type: 'equal', value })),
+	];
+}
+
+/**
+ * Max number of edits that the Myers algorithm is run for. Memory use grows
+ * quadratically with it. Beyond this, the sequences are considered to be
+ * entirely different.
+ */
+const MAX_DIFF_EDITS = 2000;
+
+interface DiffOp<T> {
+	type: 'equal' | 'insert' | 'delete';
+	value: T;
+}
+
+function myersDiff<T>(a: T[], b: T[]): DiffOp<T>[] {
+	const n = a.length,
+		m = b.length;
+	const replaceAll = (): DiffOp<T>[] => [
+		...a.map((value): DiffOp<T> => ({ type: 'delete', value })),
+		...b.map((value): DiffOp<T> => ({ type: 'insert', value })),
+	];
+	if (n === 0 || m === 0) {
+		return replaceAll();
+	}
+
+	// trace[d][k + d] is the furthest x reached on diagonal k with d edits
+	const trace: Int32Array[] = [];
+	let found = false;
+	for (let d = 0; d <= Math.min(n + m, MAX_DIFF_EDITS) && !found; d++) {
+		const prev = trace[d - 1];
+		const v = new Int32Array(2 * d + 1);
+		for (let k = -d; k <= d; k += 2) {
+			let x;
+			if (d === 0) {
+				x = 0;
+			} else if (k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1])) {
+				x = prev[k + 1 + d - 1]; // insertion
+			} else {
+				x = prev[k - 1 + d - 1] + 1; // deletion
+			}
+			let y = x - k;
+			while (x < n && y < m && a[x] === b[y]) {
+				x++;
+				y++;
+			}
+			v[k + d] = x;
+			if (x >= n && y >= m) {
+				found = true;
+				break;
+			}
+		}
+		trace.push(v);
+	}
+	if (!found) {
+		return replaceAll();
+	}
+
+	// Backtrack from the end to find the path taken
+	const ops: DiffOp<T>[] = [];
+	let x = n,
+		y = m;
+	for (let d = trace.length - 1; d > 0; d--) {
+		const prev = trace[d - 1];
+		const k = x - y;
+		const prevK = k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1]) ? k + 1 : k - 1;
+		const prevX = prev[prevK + d - 1];
+		const prevY = prevX - prevK;
+		while (x > prevX && y > prevY) {
+			ops.push({ type: 'equal', value: a[--x] });
+			y--;
+		}
+		if (prevK === k + 1) {
+			ops.push({ type: 'insert', value: b[--y] });
+		} else {
+			ops.push({ type: 'delete', value: a[--x] });
+		}
+	}
+	while (x > 0 && y > 0) {
+		ops.push({ type: 'equal', value: a[--x] });
+		y--;
+	}
+	return ops.reverse();
+}
+
+export interface DiffOptions {
+	/**
+	 * line (default): lines are shown as removed and added. word: modified lines
+	 * are shown once, with the words removed and added in them.
+	 */
+	granularity?: 'line' | 'word';
+	/** Number of unchanged lines shown around changes in the unified and colored output, default 3 */
+	context?: number;
+}
+
+export interface WikitextDiff {
+	/**
+	 * In the unified diff format, empty if there are no changes. With word
+	 * granularity, lines aren't prefixed and changes are marked as [-removed-]
+	 * and {+added+} (as in `git diff --word-diff=plain`).
+	 */
+	unified: string;
+	/** Same as unified, but with colors rather than markers, for showing in the terminal */
+	colored: string;
+	/** Blocks of added, removed and changed lines, same as given by bot.compare() */
+	blocks: DiffBlock[];
+}
+
+/** A line of the diff output */
+interface DiffRow {
+	type: 'equal' | 'added' | 'removed' | 'changed';
+	from: string | null;
+	to: string | null;
+	/** Numbers of the line in the old and new texts, or of the next line if not in that text */
+	oldLine: number;
+	newLine: number;
+	/** For changed lines, the text broken up into unchanged, removed and added parts */
+	parts?: DiffOp<string>[];
+}
+
+/**
+ * Diff of two lines by words. Consecutive parts of the same type are merged.
+ */
+function diffWords(oldLine: string, newLine: string): DiffOp<string>[] {
+	// words, runs of whitespace and individual punctuation characters
+	const tokenize = (text: string) => text.match(/[\p{L}\p{N}\p{M}_]+|\s+|[^\p{L}\p{N}\p{M}_\s]/gu) || [];
+	const parts: DiffOp<string>[] = [];
+	for (let op of diffSequences(tokenize(oldLine), tokenize(newLine))) {
+		const last = parts[parts.length - 1];
+		if (last && last.type === op.type) {
+			last.value += op.value;
+		} else {
+			parts.push({ ...op });
+		}
+	}
+	return parts;
+}
+
+function getDiffRows(oldText: string, newText: string, granularity: 'line' | 'word'): DiffRow[] {
+	// An empty text has no lines, rather than a single empty line
+	const splitLines = (text: string) => (text === '' ? [] : text.split('\n'));
+	const ops = diffSequences(splitLines(oldText), splitLines(newText));
+	const rows: DiffRow[] = [];
+	let oldLine = 1,
+		newLine = 1;
+	const addRow = (type: DiffRow['type'], from: string | null, to: string | null) => {
+		const row: DiffRow = { type, from, to, oldLine, newLine };
+		if (type === 'changed') {
+			row.parts = diffWords(from, to);
+		}
+		rows.push(row);
+		if (from !== null) {
+			oldLine++;
+		}
+		if (to !== null) {
+			newLine++;
+		}
+	};
+	for (let i = 0; i < ops.length; ) {
+		if (ops[i].type === 'equal') {
+			addRow('equal', ops[i].value, ops[i].value);
+			i++;
+			continue;
+		}
+		let j = i;
+		while (j < ops.length && ops[j].type !== 'equal') {
+			j++;
+		}
+		const run = ops.slice(i, j);
+		i = j;
+		if (granularity === 'line') {
+			for (let op of run) {
+				if (op.type === 'delete') {
+					addRow('removed', op.value, null);
+				} else {
+					addRow('added', null, op.value);
+				}
+			}
+		} else {
+			// Pair up the removed and added lines in the run as modified lines
+			const removed = run.filter((op) => op.type === 'delete').map((op) => op.value);
+			const added = run.filter((op) => op.type === 'insert').map((op) => op.value);
+			const pairs = Math.min(removed.length, added.length);
+			for (let k = 0; k < pairs; k++) {
+				addRow('changed', removed[k], added[k]);
+			}
+			removed.slice(pairs).forEach((line) => addRow('removed', line, null));
+			added.slice(pairs).forEach((line) => addRow('added', null, line));
+		}
+	}
+	return rows;
+}
+
+function getDiffBlocks(rows: DiffRow[]): DiffBlock[] {
+	const blocks: DiffBlock[] = [];
+	let current: DiffBlock = null;
+	for (let row of rows) {
+		if (row.type === 'equal') {
+			current = null;
+			continue;
+		}
+		if (!current || current.type !== row.type) {
+			current = { type: row.type, fromLine: row.oldLine, toLine: row.newLine, lines: [] };
+			blocks.push(current);
+		}
+		const line: DiffLine = { type: row.type, from: row.from, to: row.to, removed: [], added: [] };
+		if (row.type === 'changed') {
+			line.removed = row.parts.filter((part) => part.type === 'delete').map((part) => part.value);
+			line.added = row.parts.filter((part) => part.type === 'insert').map((part) => part.value);
+		} else if (row.type === 'removed') {
+			line.removed = row.from ? [row.from] : [];
+		} else {
+			line.added = row.to ? [row.to] : [];
+		}
+		current.lines.push(line);
+	}
+	return blocks;
+}
+
+/**
+ * Format the changed rows along with context rows in the unified diff format
+ * @param rows
+ * @param context
+ * @param formatRow - gives the output for a row
+ * @param formatHeader - gives the output for a hunk header
+ */
+function formatHunks(
+	rows: DiffRow[],
+	context: number,
+	formatRow: (row: DiffRow) => string,
+	formatHeader: (header: string) => string
+): string {
+	const changeIndices = rows.map((row, idx) => (row.type === 'equal' ? -1 : idx)).filter((idx) => idx !== -1);
+
+	// Group changes which are close enough to share context lines into hunks, ie.
+	// those with no more than 2 * context unchanged rows in between
+	const hunks: [number, number][] = [];
+	for (let idx of changeIndices) {
+		const last = hunks[hunks.length - 1];
+		if (last && idx - last[1] - 1 <= 2 * context) {
+			last[1] = idx;
+		} else {
+			hunks.push([idx, idx]);
+		}
+	}
+
+	return hunks
+		.map(([first, last]) => {
+			const start = Math.max(0, first - context),
+				end = Math.min(rows.length - 1, last + context);
+			const hunkRows = rows.slice(start, end + 1);
+			const oldCount = hunkRows.filter((row) => row.from !== null).length,
+				newCount = hunkRows.filter((row) => row.to !== null).length;
+			return [
+				formatHeader(`@@ -${rows[start].oldLine},${oldCount} +${rows[start].newLine},${newCount} @@`),
+				...hunkRows.map(formatRow),
+			].join('\n');
+		})
+		.join('\n');
+}
+
+/**
+ * Get the differences between two texts, computed locally.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {DiffOptions} [options]
+ * @returns {WikitextDiff}
+ */
+export function diff(oldText: string, newText: string, options: DiffOptions = {}): WikitextDiff {
+	const granularity = options.granularity || 'line';
+	const context = options.context ?? 3;
+	const rows = getDiffRows(oldText, newText, granularity);
+
+	let formatRow: (row: DiffRow) => string, formatColoredRow: (row: DiffRow) => string;
+	if (granularity === 'line') {
+		const prefixes = { equal: ' ', removed: '-', added: '+' };
+		formatRow = (row) => prefixes[row.type as 'equal' | 'removed' | 'added'] + (row.from ?? row.to);
+		formatColoredRow = (row) =>
+			row.type === 'equal' ? formatRow(row) : colorizeDiff(formatRow(row), row.type as 'added' | 'removed');
+	} else {
+		const markers = { equal: ['', ''], delete: ['[-', '-]'], insert: ['{+', '+}'] };
+		const formatParts = (parts: DiffOp<string>[], colored: boolean) =>
+			parts
+				.map(({ type, value }) => {
+					if (type === 'equal') {
+						return value;
+					}
+					return colored
+						? colorizeDiff(value, type === 'delete' ? 'removed' : 'added')
+						: markers[type][0] + value + markers[type][1];
+				})
+				.join('');
+		const getParts = (row: DiffRow): DiffOp<string>[] => {
+			if (row.type === 'changed') {
+				return row.parts;
+			}
+			const type = row.type === 'equal' ? 'equal' : row.type === 'removed' ? 'delete' : 'insert';
+			return [{ type, value: row.from ?? row.to }];
+		};
+		formatRow = (row) => formatParts(getParts(row), false);
+		formatColoredRow = (row) => formatParts(getParts(row), true);
+	}
+
+	return {
+		unified: formatHunks(rows, context, formatRow, (header) => header),
+		colored: formatHunks(rows, context, formatColoredRow, (header) => colorizeDiff(header, 'header')),
+		blocks: getDiffBlocks(rows),
+	};
+}
+
+/**
+ * Get a line-by-line diff of two texts in the unified diff format.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {number} [context=3] - number of unchanged lines to show around changes
+ * @returns {string} - empty string if the texts are the same
+ */
+export function unifiedDiff(oldText: string, newText: string, context = 3): string {
+	return diff(oldText, newText, { context }).unified;
+}
@@ -0,0 +1,137 @@
+'use strict';
+
+const { mwn, expect } = require('./test_base');
+const nock = require('nock');
+
+describe('query batching', function () {
+	const apiUrl = 'https://batcher.test/w/api.php';
+
+	let bot;
+	beforeEach(function () {
+		bot = new mwn({ apiUrl, silent: true, batchQueries: true });
+		bot.title.processNamespaceData({
+			query: {
+				general: { legaltitlechars: ' %!"$&\'()*,\\-./0-9:;=?@A-Z\\\\^_`a-z~\\x80-\\xFF+' },
+				namespaces: { 0: { id: 0, name: '', canonical: '' } },
+				namespacealiases: [],
+			},
+		});
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+	});
+
+	/**
+	 * Mock batched queries, answering with a page object for each title
+	 * @param {Function} makePage
+	 * @param {Object} [extra] - additional fields in the query response
+	 * @param {number} [times] - number of requests to answer
+	 * @returns {string[][]} titles in each request, filled in as requests come in
+	 */
+	function mockQuery(makePage, extra = {}, times = 1) {
+		const requestedTitles = [];
+		nock('https://batcher.test')
+			.post('/w/api.php')
+			.query(true)
+			.times(times)
+			.reply(200, (uri) => {
+				const titles = new URL(uri, apiUrl).searchParams.get('titles').split('|');
+				requestedTitles.push(titles);
+				return { query: { pages: titles.map(makePage), ...extra } };
+			});
+		return requestedTitles;
+	}
+
+	it('combines concurrent exists() calls into one request', async function () {
+		const requestedTitles = mockQuery((title) =>
+			title === 'Missing' ? { title, missing: true } : { title, pageid: 1 }
+		);
+		const results = await Promise.all(['Foo', 'Missing', 'Bar'].map((title) => new bot.page(title).exists()));
+		expect(results).to.deep.equal([true, false, true]);
+		expect(requestedTitles).to.deep.equal([['Foo', 'Missing', 'Bar']]);
+	});
+
+	it('follows normalisations and redirects when splitting results', async function () {
+		mockQuery((title) => ({ title: title === 'Redir' ? 'Target' : title.replace('foo', 'Foo') }), {
+			normalized: [{ from: 'foo', to: 'Foo' }],
+			redirects: [{ from: 'Redir', to: 'Target' }],
+		});
+		const [foo, redir] = await Promise.all([
+			new bot.page('foo').getRedirectTarget(),
+			new bot.page('Redir').getRedirectTarget(),
+		]);
+		expect(foo).to.equal('Foo');
+		expect(redir).to.equal('Target');
+	});
+
+	it('batches read() of single titles, including duplicates', async function () {
+		const requestedTitles = mockQuery((title) => ({
+			title,
+			revisions: [{ timestamp: '2021-01-01T00:00:00Z', slots: { main: { content: `text of ${title}` } } }],
+		}));
+		const pages = await Promise.all(['A', 'B', 'A'].map((title) => bot.read(title)));
+		expect(requestedTitles).to.deep.equal([['A', 'B']]);
+		expect(pages.map((pg) => pg.revisions[0].content)).to.deep.equal(['text of A', 'text of B', 'text of A']);
+		expect(pages[0]).to.not.equal(pages[2]);
+	});
+
+	it('splits batches at the limit', async function () {
+		const requestedTitles = mockQuery((title) => ({ title }), {}, 2);
+		const titles = Array.from({ length: 70 }, (_, i) => `Page ${i}`);
+		await Promise.all(titles.map((title) => new bot.page(title).exists()));
+		expect(requestedTitles.map((batch) => batch.length)).to.deep.equal([50, 20]);
+	});
+
+	it('rejects all loads in a failed batch', async function () {
+		nock('https://batcher.test')
+			.post('/w/api.php')
+			.query(true)
+			.reply(200, { error: { code: 'readapidenied', info: 'No read access' } });
+		// Promise.allSettled() needs Node.js 12.9
+		const results = await Promise.all(
+			['A', 'B'].map((title) =>
+				new bot.page(title).exists().then(
+					(value) => ({ status: 'fulfilled', value }),
+					(reason) => ({ status: 'rejected', reason })
+				)
+			)
+		);
+		expect(results.map((r) => r.status)).to.deep.equal(['rejected', 'rejected']);
+		expect(results[0].reason.code).to.equal('readapidenied');
+	});
+
+	it('continues batched queries till all pages are fetched', async function () {
+		const revision = (title) => ({
+			timestamp: '2021-01-01T00:00:00Z',
+			slots: { main: { content: `text of ${title}` } },
+		});
+		nock('https://batcher.test')
+			.post('/w/api.php')
+			.query((query) => !query.rvcontinue)
+			.reply(200, {
+				continue: { rvcontinue: '2|20', continue: '||' },
+				query: { pages: [{ title: 'A', revisions: [revision('A')] }, { title: 'B' }] },
+			});
+		nock('https://batcher.test')
+			.post('/w/api.php')
+			.query((query) => query.rvcontinue === '2|20' && query.titles === 'A|B')
+			.reply(200, { query: { pages: [{ title: 'A' }, { title: 'B', revisions: [revision('B')] }] } });
+		const pages = await Promise.all(['A', 'B'].map((title) => bot.read(title)));
+		expect(pages.map((pg) => pg.revisions[0].content)).to.deep.equal(['text of A', 'text of B']);
+	});
+
+	it('is off by default', function () {
+		expect(new mwn({ apiUrl }).options.batchQueries).to.equal(false);
+	});
+
+	it('sends separate requests when disabled', async function () {
+		bot.setOptions({ batchQueries: false });
+		nock('https://batcher.test')
+			.get('/w/api.php')
+			.query(true)
+			.times(2)
+			.reply(200, (uri) => ({ query: { pages: [{ title: new URL(uri, apiUrl).searchParams.get('titles') }] } }));
+		expect(await Promise.all(['A', 'B'].map((title) => new bot.page(title).exists()))).to.deep.equal([true, true]);
+	});
+});
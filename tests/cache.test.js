@@ -0,0 +1,175 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryCacheStore } = require('../build/cache');
+
+describe('response cache', function () {
+	const apiUrl = 'https://cache.test/w/api.php';
+	let bot;
+
+	beforeEach(function () {
+		bot = new mwn({ apiUrl, silent: true, cache: { enabled: true } });
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	function mockRead(times, content) {
+		return nock('https://cache.test')
+			.get('/w/api.php')
+			.query((query) => query.prop === 'revisions')
+			.times(times)
+			.reply(200, {
+				query: { pages: [{ title: 'Foo bar', revisions: [{ slots: { main: { content } } }] }] },
+			});
+	}
+
+	it('serves repeated queries from the cache', async function () {
+		const scope = mockRead(1, 'lorem');
+		let page = await bot.read('Foo bar');
+		expect(page.revisions[0].content).to.equal('lorem');
+		// the cached copy isn't affected by mutations of the earlier response
+		page.revisions[0].content = 'changed';
+		let page2 = await bot.read('Foo bar');
+		expect(page2.revisions[0].content).to.equal('lorem');
+		expect(scope.isDone()).to.equal(true);
+	});
+
+	it('does not cache when disabled or for token queries', async function () {
+		bot.setOptions({ cache: { enabled: false } });
+		const scope = mockRead(2, 'lorem');
+		await bot.read('Foo bar');
+		await bot.read('Foo bar');
+		expect(scope.isDone()).to.equal(true);
+
+		bot.setOptions({ cache: { enabled: true } });
+		nock('https://cache.test')
+			.get('/w/api.php')
+			.query(true)
+			.times(2)
+			.reply(200, { query: { tokens: { csrftoken: '+\\' } } });
+		await bot.query({ meta: 'tokens' });
+		await bot.query({ meta: 'tokens' });
+		expect(nock.isDone()).to.equal(true);
+	});
+
+	it('expires entries after the ttl', async function () {
+		bot.setOptions({ cache: { ttl: 0 } });
+		const scope = mockRead(2, 'lorem');
+		await bot.read('Foo bar');
+		await bot.sleep(2);
+		await bot.read('Foo bar');
+		expect(scope.isDone()).to.equal(true);
+	});
+
+	it('invalidates entries for pages edited', async function () {
+		mockRead(1, 'lorem');
+		await bot.read('Foo bar');
+		nock('https://cache.test')
+			.post('/w/api.php')
+			.reply(200, { edit: { result: 'Success', title: 'Foo bar', pageid: 12 } });
+		await bot.save('Foo_bar', 'ipsum');
+		mockRead(1, 'ipsum');
+		let page = await bot.read('Foo bar');
+		expect(page.revisions[0].content).to.equal('ipsum');
+	});
+
+	it('invalidates entries for files uploaded', async function () {
+		const scope = nock('https://cache.test')
+			.get('/w/api.php')
+			.query((query) => query.prop === 'imageinfo' && query.titles === 'File:Foo bar.jpg')
+			.times(2)
+			.reply(200, { query: { pages: [{ title: 'File:Foo bar.jpg', imageinfo: [] }] } });
+		const query = { prop: 'imageinfo', titles: 'File:Foo bar.jpg' };
+		await bot.query(query);
+		await bot.query(query);
+		expect(scope.isDone()).to.equal(false);
+
+		nock('https://cache.test')
+			.post('/w/api.php', (body) => body.action === 'upload')
+			.reply(200, { upload: { result: 'Success', filename: 'Foo_bar.jpg' } });
+		await bot.request({ action: 'upload', filename: 'Foo_bar.jpg', url: 'https://example.test/foo.jpg' });
+		await bot.query(query);
+		expect(scope.isDone()).to.equal(true);
+	});
+
+	it('invalidates entries without reading through the cache', async function () {
+		const store = new MemoryCacheStore();
+		bot.setOptions({ cache: { store } });
+		const get = sinon.spy(store, 'get');
+		mockRead(1, 'lorem');
+		await bot.read('Foo bar');
+		nock('https://cache.test')
+			.get('/w/api.php')
+			.query((query) => query.meta === 'siteinfo')
+			.reply(200, { query: { general: { sitename: 'Test' } } });
+		await bot.query({ meta: 'siteinfo' });
+		expect(store.keys()).to.have.length(2);
+		const keys = store.keys();
+
+		nock('https://cache.test')
+			.post('/w/api.php')
+			.reply(200, { edit: { result: 'Success', title: 'Other' } });
+		await bot.save('Other', 'text');
+		// only the lookups done for the two queries
+		expect(get).to.have.been.calledTwice;
+		// and the recently used order is kept
+		expect(store.keys()).to.deep.equal(keys);
+	});
+
+	it('invalidates entries for pages given by generators', async function () {
+		const scope = nock('https://cache.test')
+			.get('/w/api.php')
+			.query((query) => query.generator === 'categorymembers')
+			.times(2)
+			.reply(200, { query: { pages: [{ pageid: 12, title: 'Foo bar', revisions: [] }] } });
+		const query = { generator: 'categorymembers', gcmtitle: 'Category:Foo', prop: 'revisions' };
+		await bot.query(query);
+		await bot.query(query);
+		expect(scope.isDone()).to.equal(false);
+
+		nock('https://cache.test')
+			.post('/w/api.php')
+			.reply(200, { edit: { result: 'Success', pageid: 12 } });
+		await bot.save(12, 'ipsum');
+		await bot.query(query);
+		expect(scope.isDone()).to.equal(true);
+	});
+
+	it('memory store evicts least recently used entries', function () {
+		const store = new MemoryCacheStore(2);
+		store.set('a', 1);
+		store.set('b', 2);
+		store.get('a');
+		store.set('c', 3);
+		expect(store.keys()).to.deep.equal(['a', 'c']);
+	});
+
+	it('file store persists entries', async function () {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mwn-cache-'));
+		try {
+			bot.setOptions({ cache: { store: new mwn.FileCacheStore(dir) } });
+			mockRead(1, 'lorem');
+			await bot.read('Foo bar');
+
+			const bot2 = new mwn({
+				apiUrl,
+				silent: true,
+				cache: { enabled: true, store: new mwn.FileCacheStore(dir) },
+			});
+			let page = await bot2.read('Foo bar');
+			expect(page.revisions[0].content).to.equal('lorem');
+			await bot2.cache.invalidate(['Foo bar']);
+			expect(fs.readdirSync(dir)).to.have.length(0);
+		} finally {
+			fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+			fs.rmdirSync(dir);
+		}
+	});
+});
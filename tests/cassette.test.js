@@ -0,0 +1,112 @@
+'use strict';
+
+const { mwn, expect } = require('./test_base');
+const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('record and replay', function () {
+	const apiUrl = 'https://cassette.test/w/api.php';
+	const cassettePath = path.join(os.tmpdir(), `mwn-cassette-${process.pid}.json`);
+
+	afterEach(function () {
+		nock.cleanAll();
+	});
+
+	after(function () {
+		fs.unlinkSync(cassettePath);
+	});
+
+	it('records requests and responses', async function () {
+		const bot = new mwn({ apiUrl, silent: true, recordTo: cassettePath });
+		nock('https://cassette.test')
+			.get('/w/api.php')
+			.query((query) => query.meta === 'siteinfo')
+			.reply(200, { query: { general: { sitename: 'Cassette' } } })
+			.post('/w/api.php')
+			.reply(200, { edit: { result: 'Success', title: 'Foo' } })
+			.get('/w/api.php')
+			.query((query) => query.meta === 'userinfo')
+			.reply(404, 'Not found');
+
+		await bot.query({ meta: 'siteinfo' });
+		await bot.save('Foo', 'bar', 'summary');
+		await expect(bot.query({ meta: 'userinfo' })).to.be.rejected;
+
+		const { interactions } = JSON.parse(fs.readFileSync(cassettePath).toString());
+		expect(interactions).to.have.length(3);
+		expect(interactions[0].request).to.include({ method: 'get', url: apiUrl });
+		expect(interactions[0].request.params).to.include({ meta: 'siteinfo' });
+		expect(interactions[0].response).to.include({ status: 200 });
+		expect(interactions[1].request.data).to.include('title=Foo');
+		expect(interactions[2].response).to.include({ status: 404 });
+		expect(interactions[2].error).to.have.property('message');
+	});
+
+	it('replays the recorded interactions without network access', async function () {
+		nock.disableNetConnect();
+		try {
+			const bot = new mwn({ apiUrl, silent: true, replayFrom: cassettePath });
+			expect(await bot.query({ meta: 'siteinfo' })).to.deep.equal({
+				query: { general: { sitename: 'Cassette' } },
+			});
+			expect(await bot.save('Foo', 'bar', 'summary')).to.deep.equal({ result: 'Success', title: 'Foo' });
+			await expect(bot.query({ meta: 'userinfo' })).to.be.rejected.then((err) => {
+				expect(err.response.status).to.equal(404);
+			});
+		} finally {
+			nock.enableNetConnect();
+		}
+	});
+
+	it('does not record passwords, tokens or session cookies', async function () {
+		const loginPath = path.join(os.tmpdir(), `mwn-cassette-login-${process.pid}.json`);
+		const login = async (bot) => {
+			const tokens = await bot.query({ meta: 'tokens', type: 'login' });
+			return bot.request({
+				action: 'login',
+				lgname: 'Example',
+				lgpassword: 'hunter2',
+				lgtoken: tokens.query.tokens.logintoken,
+			});
+		};
+		try {
+			nock('https://cassette.test')
+				.get('/w/api.php')
+				.query((query) => query.meta === 'tokens')
+				.reply(
+					200,
+					{ query: { tokens: { logintoken: 'logintoken123+\\' } } },
+					{ 'Set-Cookie': 'session=sessionsecret; path=/; HttpOnly' }
+				)
+				.post('/w/api.php', (body) => body.lgpassword === 'hunter2' && body.lgtoken === 'logintoken123+\\')
+				.reply(200, { login: { result: 'Success', lgusername: 'Example' } });
+			await login(new mwn({ apiUrl, silent: true, recordTo: loginPath }));
+
+			const recorded = fs.readFileSync(loginPath).toString();
+			expect(recorded).to.not.include('hunter2');
+			expect(recorded).to.not.include('logintoken123');
+			expect(recorded).to.not.include('sessionsecret');
+			expect(recorded).to.include('session=REDACTED; path=/; HttpOnly');
+
+			// the requests still match when replaying
+			nock.disableNetConnect();
+			const response = await login(new mwn({ apiUrl, silent: true, replayFrom: loginPath }));
+			expect(response.login).to.include({ result: 'Success' });
+		} finally {
+			nock.enableNetConnect();
+			fs.unlinkSync(loginPath);
+		}
+	});
+
+	it('rejects requests not in the cassette', async function () {
+		const bot = new mwn({ apiUrl, silent: true, replayFrom: cassettePath });
+		await bot.query({ meta: 'siteinfo' });
+		// already used up
+		await expect(bot.query({ meta: 'siteinfo' })).to.be.rejected.then((err) => {
+			expect(err.code).to.equal('mwn_cassettemismatch');
+		});
+		await expect(bot.query({ list: 'allpages' })).to.be.rejectedWith(/No recorded interaction/);
+	});
+});
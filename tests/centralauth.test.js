@@ -0,0 +1,117 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const utils = require('../build/utils');
+
+describe('CentralAuth cross-wiki requests', function () {
+	const apiUrl = 'https://home.centralauth.test/w/api.php';
+	const otherApiUrl = 'https://other.centralauth.test/w/api.php';
+
+	/** Mock the home wiki's centralauthtoken API, giving out the tokens in order */
+	function mockTokens(...tokens) {
+		let scope = nock('https://home.centralauth.test');
+		for (let token of tokens) {
+			scope = scope
+				.post('/w/api.php', /action=centralauthtoken/)
+				.reply(200, { centralauthtoken: { centralauthtoken: token } });
+		}
+		return scope;
+	}
+
+	beforeEach(function () {
+		sinon.stub(console, 'log');
+		sinon.stub(utils, 'sleep').resolves();
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('sends the request to the other wiki with a CentralAuth token and without cookies', async function () {
+		const bot = new mwn({ apiUrl, silent: true });
+		await bot.cookieJar.setCookie('otherwikiSession=abc; Path=/', otherApiUrl);
+		mockTokens('token1');
+		nock('https://other.centralauth.test', { badheaders: ['cookie'] })
+			.get('/w/api.php')
+			.query((query) => query.centralauthtoken === 'token1' && query.meta === 'userinfo')
+			.reply(200, { query: { userinfo: { id: 5, name: 'Example' } } });
+
+		const response = await bot.request(
+			{ action: 'query', meta: 'userinfo' },
+			{ apiUrl: otherApiUrl, centralAuth: true }
+		);
+		expect(response.query.userinfo.name).to.equal('Example');
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it('uses a fresh token for each request, including retries', async function () {
+		const bot = new mwn({ apiUrl, silent: true, retryPause: 0 });
+		mockTokens('token1', 'token2', 'token3');
+		const tokensUsed = [];
+		nock('https://other.centralauth.test')
+			.get('/w/api.php')
+			.query((query) => tokensUsed.push(query.centralauthtoken))
+			.reply(200, { error: { code: 'maxlag', info: 'Waiting for a database server: 6 seconds lagged', lag: 6 } })
+			.get('/w/api.php')
+			.query((query) => tokensUsed.push(query.centralauthtoken))
+			.times(2)
+			.reply(200, { query: { userinfo: { id: 5, name: 'Example' } } });
+
+		const options = { url: otherApiUrl, centralAuth: true };
+		await bot.request({ action: 'query', meta: 'userinfo' }, options);
+		await bot.request({ action: 'query', meta: 'userinfo' }, options);
+		expect(tokensUsed).to.deep.equal(['token1', 'token2', 'token3']);
+	});
+
+	it('fetches a token for the other wiki on badtoken errors', async function () {
+		const bot = new mwn({ apiUrl, silent: true });
+		bot.csrfToken = 'hometoken+\\';
+		mockTokens('token1', 'token2', 'token3')
+			.post('/w/api.php', /action=paraminfo/)
+			.reply(200, {
+				paraminfo: { modules: [{ name: 'edit', parameters: [{ name: 'token', tokentype: 'csrf' }] }] },
+			});
+		nock('https://other.centralauth.test')
+			.post('/w/api.php', (body) => body.action === 'edit' && body.token === 'hometoken+\\')
+			.reply(200, { error: { code: 'badtoken', info: 'Invalid CSRF token.' } })
+			.get('/w/api.php')
+			.query((query) => query.meta === 'tokens' && query.type === 'csrf' && query.centralauthtoken === 'token2')
+			.reply(200, { query: { tokens: { csrftoken: 'othertoken+\\' } } })
+			.post(
+				'/w/api.php',
+				(body) => body.action === 'edit' && body.token === 'othertoken+\\' && body.centralauthtoken === 'token3'
+			)
+			.reply(200, { edit: { result: 'Success', title: 'Sandbox' } });
+
+		const response = await bot.request(
+			{ action: 'edit', title: 'Sandbox', text: 'Hello', token: bot.csrfToken },
+			{ apiUrl: otherApiUrl, centralAuth: true }
+		);
+		expect(response.edit.result).to.equal('Success');
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it('does not use CentralAuth tokens with OAuth', async function () {
+		const bot = new mwn({ apiUrl, silent: true, OAuth2Credentials: { accessToken: 'access' } });
+		bot.initOAuth2();
+		nock('https://other.centralauth.test', { reqheaders: { authorization: 'Bearer access' } })
+			.get('/w/api.php')
+			.query((query) => query.centralauthtoken === undefined)
+			.reply(200, { query: { userinfo: { id: 5, name: 'Example' } } });
+
+		await bot.request({ action: 'query', meta: 'userinfo' }, { apiUrl: otherApiUrl, centralAuth: true });
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it('rejects if no token can be had', async function () {
+		const bot = new mwn({ apiUrl, silent: true, maxRetries: 0 });
+		nock('https://home.centralauth.test')
+			.post('/w/api.php', /action=centralauthtoken/)
+			.reply(200, { error: { code: 'notloggedin', info: 'Anonymous users cannot obtain a centralauthtoken.' } });
+		await expect(
+			bot.request({ action: 'query', meta: 'userinfo' }, { apiUrl: otherApiUrl, centralAuth: true })
+		).to.be.rejectedWith('notloggedin');
+	});
+});
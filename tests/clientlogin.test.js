@@ -0,0 +1,189 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+
+describe('clientLogin', function () {
+	const apiUrl = 'https://clientlogin.test/w/api.php';
+	const config = { apiUrl, username: 'Example', password: 'secret', silent: true, maxRetries: 0 };
+
+	/** Mock the token and authmanagerinfo request, with the given login fields */
+	function mockStart(fields = {}) {
+		return nock('https://clientlogin.test')
+			.get('/w/api.php')
+			.query((query) => query.meta === 'tokens|authmanagerinfo' && query.amirequestsfor === 'login')
+			.reply(200, {
+				query: {
+					tokens: { logintoken: 'logintoken+\\' },
+					authmanagerinfo: {
+						canauthenticatenow: true,
+						fields: {
+							username: { type: 'string', label: 'Username', help: 'Username for authentication.' },
+							password: { type: 'password', label: 'Password', help: 'Password for authentication.' },
+							rememberMe: { type: 'checkbox', label: 'Keep me logged in', help: '', optional: true },
+							...fields,
+						},
+					},
+				},
+			});
+	}
+
+	/** Mock a clientlogin request, recording its parameters */
+	function mockClientLogin(response, requests) {
+		return nock('https://clientlogin.test')
+			.post('/w/api.php', (body) => {
+				if (body.action !== 'clientlogin') {
+					return false;
+				}
+				requests.push(body);
+				return true;
+			})
+			.reply(200, { clientlogin: response });
+	}
+
+	function mockSiteInfo() {
+		return nock('https://clientlogin.test')
+			.get('/w/api.php')
+			.query((query) => query.meta === 'tokens|siteinfo|userinfo')
+			.reply(200, {
+				query: {
+					tokens: { csrftoken: 'csrf+\\' },
+					general: { legaltitlechars: ' %!"$&\'()*,\\-./0-9:;=?@A-Z\\\\^_`a-z~\\x80-\\xFF+' },
+					namespaces: { 0: { id: 0, name: '', canonical: '' } },
+					namespacealiases: [],
+					userinfo: { id: 1, name: 'Example', rights: ['edit'], ratelimits: {} },
+				},
+			});
+	}
+
+	beforeEach(function () {
+		sinon.stub(console, 'log');
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('logs in and fetches tokens', async function () {
+		const requests = [];
+		mockStart();
+		mockClientLogin({ status: 'PASS', username: 'Example' }, requests);
+		mockSiteInfo();
+		const bot = new mwn(config);
+		const response = await bot.clientLogin();
+		expect(response.status).to.equal('PASS');
+		expect(requests[0]).to.deep.equal({
+			action: 'clientlogin',
+			username: 'Example',
+			password: 'secret',
+			loginreturnurl: apiUrl,
+			loginmergerequestfields: '1',
+			logintoken: 'logintoken+\\',
+			format: 'json',
+			formatversion: '2',
+			maxlag: '5',
+		});
+		expect(bot.loggedIn).to.be.true;
+		expect(bot.csrfToken).to.equal('csrf+\\');
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it('asks for the two-factor authentication code, and continues the login', async function () {
+		const requests = [];
+		mockStart();
+		mockClientLogin(
+			{
+				status: 'UI',
+				message: 'Enter a verification code from your authenticator app.',
+				fields: {
+					OATHToken: { type: 'string', label: 'Token', help: 'Two-factor authentication token' },
+				},
+			},
+			requests
+		);
+		mockClientLogin({ status: 'PASS', username: 'Example' }, requests);
+		mockSiteInfo();
+		const callback = sinon.stub().resolves({ OATHToken: '123456' });
+		const bot = new mwn(config);
+		await bot.clientLogin({ onFieldsRequested: callback });
+
+		expect(callback).to.have.been.calledOnce;
+		expect(callback.firstCall.args[0]).to.have.keys('OATHToken');
+		expect(callback.firstCall.args[1]).to.equal('Enter a verification code from your authenticator app.');
+		expect(requests[1]).to.include({ logincontinue: '1', OATHToken: '123456', logintoken: 'logintoken+\\' });
+		expect(requests[1]).to.not.have.property('password');
+		expect(bot.loggedIn).to.be.true;
+	});
+
+	it('asks for the captcha answer up front, sending back the captcha ID', async function () {
+		const requests = [];
+		mockStart({
+			captchaId: { type: 'hidden', value: '1234', label: 'CAPTCHA ID', help: '' },
+			captchaInfo: { type: 'null', value: 'https://clientlogin.test/captcha.png', label: 'Info', help: '' },
+			captchaWord: { type: 'string', label: 'CAPTCHA', help: 'Solve the CAPTCHA' },
+		});
+		mockClientLogin({ status: 'PASS', username: 'Example' }, requests);
+		mockSiteInfo();
+		const callback = sinon.stub().returns({ captchaWord: 'answer' });
+		const bot = new mwn(config);
+		await bot.clientLogin({ onFieldsRequested: callback });
+
+		expect(callback.firstCall.args[0]).to.have.keys('captchaInfo', 'captchaWord');
+		expect(callback.firstCall.args[0].captchaInfo.value).to.equal('https://clientlogin.test/captcha.png');
+		expect(requests[0]).to.include({ captchaId: '1234', captchaWord: 'answer' });
+		expect(requests[0]).to.not.have.property('captchaInfo');
+	});
+
+	it('rejects if more fields are needed but there is no callback', async function () {
+		mockStart();
+		mockClientLogin(
+			{
+				status: 'UI',
+				message: 'Enter code',
+				fields: { OATHToken: { type: 'string', label: 'Token', help: '' } },
+			},
+			[]
+		);
+		const err = await new mwn(config).clientLogin().catch((err) => err);
+		expect(err).to.be.instanceOf(mwn.Error);
+		expect(err.code).to.equal('mwn_clientloginui');
+		expect(err.info).to.include('OATHToken');
+	});
+
+	it('gives up after repeated prompts', async function () {
+		mockStart();
+		nock('https://clientlogin.test')
+			.post('/w/api.php', /action=clientlogin/)
+			.times(3)
+			.reply(200, {
+				clientlogin: {
+					status: 'UI',
+					message: 'Verification failed.',
+					fields: { OATHToken: { type: 'string', label: 'Token', help: '' } },
+				},
+			});
+		const callback = sinon.stub().returns({ OATHToken: '000000' });
+		const err = await new mwn(config)
+			.clientLogin({ onFieldsRequested: callback, maxPrompts: 2 })
+			.catch((err) => err);
+		expect(callback).to.have.been.calledTwice;
+		expect(err.code).to.equal('mwn_failedlogin');
+	});
+
+	it('rejects on FAIL and RESTART', async function () {
+		mockStart();
+		mockClientLogin({ status: 'FAIL', message: 'Incorrect username or password entered.' }, []);
+		await expect(new mwn(config).clientLogin()).to.be.rejectedWith('FAIL: Incorrect username or password entered.');
+
+		mockStart();
+		mockClientLogin({ status: 'RESTART', message: 'No local user is linked to this account.' }, []);
+		const err = await new mwn(config).clientLogin().catch((err) => err);
+		expect(err.code).to.equal('mwn_failedlogin');
+		expect(err.info).to.equal('RESTART: No local user is linked to this account.');
+	});
+
+	it('rejects without credentials', async function () {
+		await expect(new mwn({ apiUrl }).clientLogin()).to.be.rejectedWith('Incomplete login credentials!');
+	});
+});
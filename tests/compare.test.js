@@ -0,0 +1,94 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const { FakeWiki } = require('../testing');
+
+// Diff table as given by action=compare: a changed line, two added lines, and a removed line further down
+const diffHtml = `<tr><td colspan="2" class="diff-lineno">Line 1:</td>
+<td colspan="2" class="diff-lineno">Line 1:</td></tr>
+<tr><td class="diff-marker"></td><td class="diff-context diff-side-deleted"><div>Intro</div></td><td class="diff-marker"></td><td class="diff-context diff-side-added"><div>Intro</div></td></tr>
+<tr><td class="diff-marker" data-marker="−"></td><td class="diff-deletedline diff-side-deleted"><div>Some text here.</div></td><td class="diff-marker" data-marker="+"></td><td class="diff-addedline diff-side-added"><div>Some <ins class="diffchange diffchange-inline">new </ins>text here.<ins class="diffchange diffchange-inline">&lt;ref&gt;Source&lt;/ref&gt;</ins></div></td></tr>
+<tr><td class="diff-marker"></td><td class="diff-context diff-side-deleted"><div>More.</div></td><td class="diff-marker"></td><td class="diff-context diff-side-added"><div>More.</div></td></tr>
+<tr><td class="diff-marker"></td><td class="diff-context diff-side-deleted"><br></td><td class="diff-marker"></td><td class="diff-context diff-side-added"><br></td></tr>
+<tr><td class="diff-marker"></td><td class="diff-context diff-side-deleted"><div>Last line</div></td><td class="diff-marker"></td><td class="diff-context diff-side-added"><div>Last line</div></td></tr>
+<tr><td colspan="2" class="diff-empty diff-side-deleted"></td><td class="diff-marker" data-marker="+"></td><td class="diff-addedline diff-side-added"><div>Added &amp; appended</div></td></tr>
+<tr><td colspan="2" class="diff-empty diff-side-deleted"></td><td class="diff-marker" data-marker="+"></td><td class="diff-addedline diff-side-added"><div>Another</div></td></tr>
+<tr><td colspan="2" class="diff-lineno">Line 20:</td>
+<td colspan="2" class="diff-lineno">Line 22:</td></tr>
+<tr><td class="diff-marker" data-marker="−"></td><td class="diff-deletedline diff-side-deleted"><div>A sentence to go.</div></td><td colspan="2" class="diff-empty diff-side-added"></td></tr>
+`;
+
+describe('compare', function () {
+	const apiUrl = 'https://compare.test/w/api.php';
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('gives the diff html along with the changes in it', async function () {
+		const bot = new mwn({ apiUrl, silent: true });
+		nock('https://compare.test')
+			.post('/w/api.php', (body) => body.action === 'compare' && body.fromrev === '10' && body.totext === 'new')
+			.reply(200, { compare: { fromrevid: 10, fromtitle: 'Foo', body: diffHtml } });
+
+		const result = await bot.compare({ fromrev: 10, totext: 'new' });
+		expect(result).to.include({ fromrevid: 10, fromtitle: 'Foo', html: diffHtml });
+		expect(result.blocks).to.deep.equal([
+			{
+				type: 'changed',
+				fromLine: 2,
+				toLine: 2,
+				lines: [
+					{
+						type: 'changed',
+						from: 'Some text here.',
+						to: 'Some new text here.<ref>Source</ref>',
+						removed: [],
+						added: ['new ', '<ref>Source</ref>'],
+					},
+				],
+			},
+			{
+				type: 'added',
+				fromLine: 6,
+				toLine: 6,
+				lines: [
+					{ type: 'added', from: null, to: 'Added & appended', removed: [], added: ['Added & appended'] },
+					{ type: 'added', from: null, to: 'Another', removed: [], added: ['Another'] },
+				],
+			},
+			{
+				type: 'removed',
+				fromLine: 20,
+				toLine: 22,
+				lines: [
+					{ type: 'removed', from: 'A sentence to go.', to: null, removed: ['A sentence to go.'], added: [] },
+				],
+			},
+		]);
+	});
+
+	it('gives no blocks for identical revisions', async function () {
+		const bot = new mwn({ apiUrl, silent: true });
+		nock('https://compare.test')
+			.post('/w/api.php')
+			.reply(200, { compare: { fromrevid: 10, torevid: 10, body: '' } });
+		const result = await bot.compare({ fromrev: 10, torev: 10 });
+		expect(result).to.deep.equal({ fromrevid: 10, torevid: 10, html: '', blocks: [] });
+	});
+
+	it('compares revisions of a page', async function () {
+		const bot = await new FakeWiki().createBot();
+		const request = sinon.stub(bot, 'request').resolves({ compare: { body: diffHtml } });
+		const page = new bot.page('foo');
+
+		const result = await page.diff(10, 12);
+		expect(result.blocks).to.have.length(3);
+		expect(request).to.have.been.calledWithMatch({ action: 'compare', fromrev: 10, torev: 12 });
+
+		await page.diff(10);
+		expect(request).to.have.been.calledWithMatch({ action: 'compare', fromrev: 10, totitle: 'Foo' });
+	});
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const { expect, sinon } = require('./test_base');
+const chalk = require('chalk');
+const { FakeWiki } = require('../testing');
+const { diff } = require('../build/wikitext');
+
+describe('wikitext diff', function () {
+	const oldText = 'Intro\n\nThe quick brown fox.\nJumps over.\nThe dog.\n\n[[Category:Foxes]]';
+	const newText = 'Intro\n\nThe quick red fox.<ref>Source</ref>\nThe dog.\nIt sleeps.\n\n[[Category:Foxes]]';
+	let chalkEnabled;
+
+	beforeEach(function () {
+		// colors are off when the output isn't a terminal
+		chalkEnabled = chalk.enabled;
+		chalk.enabled = true;
+	});
+
+	afterEach(function () {
+		chalk.enabled = chalkEnabled;
+		sinon.restore();
+	});
+
+	it('gives line diffs', function () {
+		const result = diff(oldText, newText, { context: 1 });
+		expect(result.unified).to.equal(
+			[
+				'@@ -2,5 +2,5 @@',
+				' ',
+				'-The quick brown fox.',
+				'-Jumps over.',
+				'+The quick red fox.<ref>Source</ref>',
+				' The dog.',
+				'+It sleeps.',
+				' ',
+			].join('\n')
+		);
+		expect(result.colored).to.include(chalk.red('-Jumps over.'));
+		expect(result.colored).to.include(chalk.green('+It sleeps.'));
+		expect(result.colored).to.include(chalk.cyan('@@ -2,5 +2,5 @@'));
+		expect(result.blocks).to.deep.equal([
+			{
+				type: 'removed',
+				fromLine: 3,
+				toLine: 3,
+				lines: [
+					{
+						type: 'removed',
+						from: 'The quick brown fox.',
+						to: null,
+						removed: ['The quick brown fox.'],
+						added: [],
+					},
+					{ type: 'removed', from: 'Jumps over.', to: null, removed: ['Jumps over.'], added: [] },
+				],
+			},
+			{
+				type: 'added',
+				fromLine: 5,
+				toLine: 3,
+				lines: [
+					{
+						type: 'added',
+						from: null,
+						to: 'The quick red fox.<ref>Source</ref>',
+						removed: [],
+						added: ['The quick red fox.<ref>Source</ref>'],
+					},
+				],
+			},
+			{
+				type: 'added',
+				fromLine: 6,
+				toLine: 5,
+				lines: [{ type: 'added', from: null, to: 'It sleeps.', removed: [], added: ['It sleeps.'] }],
+			},
+		]);
+	});
+
+	it('gives word diffs', function () {
+		const result = diff(oldText, newText, { granularity: 'word', context: 0 });
+		expect(result.unified).to.equal(
+			[
+				'@@ -3,2 +3,1 @@',
+				'The quick [-brown-]{+red+} fox.{+<ref>Source</ref>+}',
+				'[-Jumps over.-]',
+				'@@ -6,0 +5,1 @@',
+				'{+It sleeps.+}',
+			].join('\n')
+		);
+		expect(result.colored).to.include(`The quick ${chalk.red('brown')}${chalk.green('red')} fox.`);
+		expect(result.blocks.map((block) => block.type)).to.deep.equal(['changed', 'removed', 'added']);
+		expect(result.blocks[0].lines[0]).to.deep.equal({
+			type: 'changed',
+			from: 'The quick brown fox.',
+			to: 'The quick red fox.<ref>Source</ref>',
+			removed: ['brown'],
+			added: ['red', '<ref>Source</ref>'],
+		});
+	});
+
+	it('gives nothing for identical texts', function () {
+		expect(diff('a\nb', 'a\nb', { granularity: 'word' })).to.deep.equal({ unified: '', colored: '', blocks: [] });
+	});
+
+	it('is logged on edits if enabled', async function () {
+		const consoleLog = sinon.stub(console, 'log');
+		const wiki = new FakeWiki({ pages: { Foo: 'Hello world' } });
+		const bot = await wiki.createBot({ silent: false });
+		expect(bot.wikitext.diff).to.equal(diff);
+
+		consoleLog.resetHistory();
+		await bot.edit('Foo', () => 'Hello there', { logDiff: 'word' });
+		expect(consoleLog).to.have.been.calledOnce;
+		const [output] = consoleLog.firstCall.args;
+		expect(output).to.include(chalk.blue('[i] Changes made to Foo:'));
+		expect(output).to.have.string(
+			`\n${chalk.cyan('@@ -1,1 +1,1 @@')}\nHello ${chalk.red('world')}${chalk.green('there')}`
+		);
+
+		consoleLog.resetHistory();
+		await bot.edit('Foo', () => 'Hello again', {});
+		bot.setOptions({ silent: true });
+		await bot.edit('Foo', () => 'Bye', { logDiff: true });
+		expect(consoleLog).to.not.have.been.called;
+	});
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { mwn, expect } = require('./test_base');
+const { unifiedDiff } = require('../build/wikitext');
+const nock = require('nock');
+const sinon = require('sinon');
+
+describe('dry-run mode', function () {
+	const apiUrl = 'https://dryrun.test/w/api.php';
+
+	let bot, logs;
+	beforeEach(function () {
+		bot = new mwn({ apiUrl, dryRun: true });
+		logs = [];
+		sinon.stub(console, 'log').callsFake((msg) => logs.push(msg));
+	});
+
+	afterEach(function () {
+		sinon.restore();
+		nock.cleanAll();
+	});
+
+	function mockPageText(title, text) {
+		nock('https://dryrun.test')
+			.get('/w/api.php')
+			.query((query) => query.prop === 'revisions' && query.titles === title)
+			.reply(200, {
+				query: {
+					pages: [
+						text === null
+							? { title, missing: true }
+							: { title, revisions: [{ slots: { main: { content: text } } }] },
+					],
+				},
+			});
+	}
+
+	it('does not send edits, and logs the diff', async function () {
+		mockPageText('Foo', 'line 1\nline 2\nline 3');
+		const response = await bot.save('Foo', 'line 1\nline two\nline 3', 'summary');
+		expect(response).to.deep.equal({ result: 'Success', dryrun: true, title: 'Foo' });
+		expect(nock.isDone()).to.be.true;
+
+		const output = logs.join('\n');
+		expect(output).to.include('Not sending edit request');
+		expect(output).to.include('summary=summary');
+		expect(output).to.include('-line 2\n+line two');
+	});
+
+	it('reports no change for identical text', async function () {
+		mockPageText('Foo', 'same');
+		const response = await bot.save('Foo', 'same');
+		expect(response.nochange).to.be.true;
+	});
+
+	it('diffs against an empty page for page creations', async function () {
+		mockPageText('Bar', null);
+		await bot.create('Bar', 'new text');
+		expect(logs.join('\n')).to.include('+new text');
+	});
+
+	it('reuses the page text fetched by edit()', async function () {
+		// only the read by edit() itself is mocked
+		nock('https://dryrun.test')
+			.get('/w/api.php')
+			.query((query) => query.prop === 'revisions' && query.curtimestamp)
+			.reply(200, {
+				query: {
+					pages: [
+						{
+							title: 'Foo',
+							revisions: [{ timestamp: '2020-01-01T00:00:00Z', slots: { main: { content: 'a' } } }],
+						},
+					],
+				},
+			});
+		await bot.edit('Foo', (rev) => rev.content + '\nb');
+		expect(nock.isDone()).to.be.true;
+		expect(logs.join('\n')).to.include(['@@ -1,1 +1,2 @@', ' a', '+b'].join('\n'));
+	});
+
+	it('logs the diffs of slot edits', async function () {
+		nock('https://dryrun.test')
+			.get('/w/api.php')
+			.query((query) => query.prop === 'revisions' && query.rvslots === 'main|doc')
+			.reply(200, {
+				query: { pages: [{ title: 'Foo', revisions: [{ slots: { main: { content: 'same' } } }] }] },
+			});
+		await bot.request({
+			'action': 'edit',
+			'title': 'Foo',
+			'text-main': 'same',
+			'text-doc': 'docs',
+			'token': 'abc',
+		});
+		expect(nock.isDone()).to.be.true;
+		const output = logs.join('\n');
+		expect(output).to.include(['Slot doc:', '@@ -1,0 +1,1 @@', '+docs'].join('\n'));
+		expect(output).not.to.include('Slot main');
+	});
+
+	it('intercepts other write actions', async function () {
+		// no mocks: any request sent would fail
+		expect(await bot.move('Foo', 'Bar', 'reason')).to.include({ from: 'Foo', to: 'Bar', dryrun: true });
+		expect(await bot.delete('Foo', 'reason')).to.include({ title: 'Foo', dryrun: true });
+		expect(await bot.request({ action: 'block', user: 'Vandal', token: 'abc' })).to.deep.equal({
+			block: { result: 'Success', dryrun: true },
+		});
+	});
+
+	it('lets reads through', async function () {
+		nock('https://dryrun.test')
+			.get('/w/api.php')
+			.query((query) => query.meta === 'siteinfo')
+			.reply(200, { query: { general: { sitename: 'Dry' } } });
+		expect(await bot.query({ meta: 'siteinfo' })).to.deep.equal({ query: { general: { sitename: 'Dry' } } });
+	});
+
+	it('does not log when silent', async function () {
+		bot.setOptions({ silent: true });
+		await bot.move('Foo', 'Bar', 'reason');
+		expect(logs).to.have.length(0);
+	});
+});
+
+describe('unifiedDiff', function () {
+	it('returns an empty string for identical texts', function () {
+		expect(unifiedDiff('a\nb', 'a\nb')).to.equal('');
+	});
+
+	it('produces hunks with context lines', function () {
+		const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'].join('\n');
+		const newText = ['1', '2', '3', 'four', '5', '6', '7', '8', '9', '10', '11', '12', '13'].join('\n');
+		expect(unifiedDiff(oldText, newText)).to.equal(
+			['@@ -1,7 +1,7 @@', ' 1', ' 2', ' 3', '-4', '+four', ' 5', ' 6', ' 7'].join('\n') +
+				'\n' +
+				['@@ -10,3 +10,4 @@', ' 10', ' 11', ' 12', '+13'].join('\n')
+		);
+	});
+
+	it('joins hunks whose context lines meet', function () {
+		// two unchanged lines in between, which are the context of both changes
+		expect(unifiedDiff('a\nb\nc\nd', 'x\nb\nc\ny', 1)).to.equal(
+			['@@ -1,4 +1,4 @@', '-a', '+x', ' b', ' c', '-d', '+y'].join('\n')
+		);
+		expect(unifiedDiff('a\nb\nc\nd\ne', 'x\nb\nc\nd\ny', 1)).to.equal(
+			['@@ -1,2 +1,2 @@', '-a', '+x', ' b', '@@ -4,2 +4,2 @@', ' d', '-e', '+y'].join('\n')
+		);
+	});
+
+	it('handles insertions into and deletions from the middle', function () {
+		expect(unifiedDiff('a\nb\nc\nd', 'a\nx\nc\nd\ne', 2)).to.equal(
+			['@@ -1,4 +1,5 @@', ' a', '-b', '+x', ' c', ' d', '+e'].join('\n')
+		);
+		expect(unifiedDiff('', 'a\nb')).to.equal(['@@ -1,0 +1,2 @@', '+a', '+b'].join('\n'));
+		expect(unifiedDiff('a\nb', '')).to.equal(['@@ -1,2 +1,0 @@', '-a', '-b'].join('\n'));
+	});
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const { mwn, expect } = require('./test_base');
+const { rejectWithErrorCode } = require('../build/error');
+const nock = require('nock');
+
+describe('error classes', function () {
+	const apiUrl = 'https://errors.test/w/api.php';
+	const bot = new mwn({ apiUrl, silent: true, maxRetries: 0 });
+
+	afterEach(function () {
+		nock.cleanAll();
+	});
+
+	function mockError(response, status = 200) {
+		nock('https://errors.test').post('/w/api.php').reply(status, response);
+	}
+
+	it('builds subclasses from API error codes', async function () {
+		mockError({ error: { code: 'editconflict', info: 'Edit conflict.' } });
+		const err = await bot.save('Foo', 'bar').catch((e) => e);
+		expect(err).to.be.instanceOf(mwn.Error.EditConflict);
+		expect(err).to.be.instanceOf(mwn.Error);
+		expect(err.code).to.equal('editconflict');
+		expect(err.message).to.equal('editconflict: Edit conflict.');
+		expect(err.response.status).to.equal(200);
+	});
+
+	it('maps related codes to the same subclass', async function () {
+		mockError({ error: { code: 'cascadeprotected', info: 'Cascade protected' } });
+		expect(await bot.save('Foo', 'bar').catch((e) => e)).to.be.instanceOf(mwn.Error.ProtectedPage);
+
+		mockError({ error: { code: 'autoblocked', info: 'Your IP address is blocked' } });
+		const blockedErr = await bot.save('Foo', 'bar').catch((e) => e);
+		expect(blockedErr).to.be.instanceOf(mwn.Error.Blocked);
+		expect(blockedErr).to.be.instanceOf(mwn.Error.PermissionDenied);
+		expect(blockedErr.code).to.equal('autoblocked');
+	});
+
+	it('uses the plain MwnError for other codes', async function () {
+		mockError({ error: { code: 'someothererror', info: 'Oops' } });
+		const err = await bot.save('Foo', 'bar').catch((e) => e);
+		expect(err.constructor).to.equal(mwn.Error);
+	});
+
+	it('understands errorformat=html and plaintext', async function () {
+		mockError({
+			errors: [
+				{ code: 'protectedpage', html: 'This page has been <b>protected</b> &amp; locked.', module: 'edit' },
+			],
+		});
+		let err = await bot
+			.request({ action: 'edit', title: 'Foo', text: 'bar', token: 'x', errorformat: 'html', errorlang: 'en' })
+			.catch((e) => e);
+		expect(err).to.be.instanceOf(mwn.Error.ProtectedPage);
+		expect(err.info).to.equal('This page has been protected & locked.');
+		expect(err.html).to.equal('This page has been <b>protected</b> &amp; locked.');
+		expect(err.errorlang).to.equal('en');
+
+		mockError({ errors: [{ code: 'ratelimited', text: 'Slow down', module: 'edit' }] });
+		err = await bot
+			.request({ action: 'edit', title: 'Foo', text: 'bar', token: 'x', errorformat: 'plaintext' })
+			.catch((e) => e);
+		expect(err).to.be.instanceOf(mwn.Error.RateLimited);
+		expect(err.info).to.equal('Slow down');
+		expect(err.errorlang).to.be.undefined;
+	});
+
+	it('wraps network failures as NetworkError', async function () {
+		mockError('Server error', 500);
+		const err = await bot.save('Foo', 'bar').catch((e) => e);
+		expect(err).to.be.instanceOf(mwn.Error.NetworkError);
+		expect(err.code).to.equal('mwn_networkerror');
+		expect(err.message).to.equal('Request failed with status code 500');
+		expect(err.response.status).to.equal(500);
+		expect(err.isAxiosError).to.be.true;
+		expect(err.cause).to.be.instanceOf(Error).and.not.be.instanceOf(mwn.Error);
+		expect(err.cause.response).to.equal(err.response);
+		expect(err.stack).to.be.a('string');
+	});
+
+	it('builds subclasses from internal error codes', async function () {
+		expect(await rejectWithErrorCode('bot-denied').catch((e) => e)).to.be.instanceOf(mwn.Error.BotDenied);
+		expect(await rejectWithErrorCode('invalidtitle').catch((e) => e)).to.be.instanceOf(mwn.Error.InvalidTitle);
+
+		const shutoffBot = new mwn({ apiUrl, silent: true });
+		shutoffBot.shutoff.state = true;
+		expect(await shutoffBot.query({}).catch((e) => e)).to.be.instanceOf(mwn.Error.Shutoff);
+	});
+
+	it('sets default codes when constructed directly', function () {
+		expect(new mwn.Error.BadToken().code).to.equal('badtoken');
+		expect(new mwn.Error.MissingPage().code).to.equal('missingtitle');
+	});
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('wiki farm', function () {
+	const options = { userAgent: 'farm-test', silent: true, maxRetries: 0 };
+
+	const siteinfo = {
+		query: {
+			general: { legaltitlechars: ' %!"$&\'()*,\\-./0-9:;=?@A-Z\\\\^_`a-z~\\x80-\\xFF+' },
+			namespaces: { 0: { id: 0, name: '', canonical: '' } },
+			namespacealiases: [],
+		},
+	};
+
+	function mockSiteinfo(host, times = 1) {
+		return nock(`https://${host}`, { reqheaders: { 'user-agent': 'farm-test' } })
+			.get('/w/api.php')
+			.query((query) => query.meta === 'siteinfo')
+			.times(times)
+			.reply(200, siteinfo);
+	}
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('loads sites from the sitematrix', async function () {
+		nock('https://meta.wikimedia.org')
+			.post('/w/api.php', /action=sitematrix/)
+			.reply(200, {
+				sitematrix: {
+					count: 3,
+					0: {
+						code: 'en',
+						site: [
+							{ url: 'https://en.wikipedia.org', dbname: 'enwiki', code: 'wiki', sitename: 'Wikipedia' },
+							{ url: 'https://en.wikinews.org', dbname: 'enwikinews', code: 'wikinews', closed: true },
+						],
+					},
+					specials: [{ url: 'https://meta.wikimedia.org', dbname: 'metawiki', code: 'meta' }],
+				},
+			});
+		const farm = new mwn.Farm(options);
+		const sites = await farm.loadSitematrix();
+		expect(sites.map((site) => site.dbname)).to.deep.equal(['enwiki', 'enwikinews', 'metawiki']);
+		expect(farm.getSite('enwikinews').closed).to.be.true;
+		expect(farm.getSite('en.wikipedia.org')).to.include({
+			dbname: 'enwiki',
+			apiUrl: 'https://en.wikipedia.org/w/api.php',
+		});
+		expect(farm.getSite('https://meta.wikimedia.org/wiki/Main_Page').dbname).to.equal('metawiki');
+		expect(() => farm.getSite('nosuchwiki')).to.throw('Unknown wiki: nosuchwiki');
+	});
+
+	it('loads sites from a JSON list', function () {
+		const listPath = path.join(os.tmpdir(), `mwn-farm-${process.pid}.json`);
+		fs.writeFileSync(
+			listPath,
+			JSON.stringify([
+				{ dbname: 'mywiki', url: 'https://wiki.example.org/', apiUrl: 'https://wiki.example.org/api.php' },
+			])
+		);
+		try {
+			const farm = new mwn.Farm(options);
+			farm.loadSiteList(listPath);
+			expect(farm.getSite('mywiki')).to.include({
+				url: 'https://wiki.example.org',
+				apiUrl: 'https://wiki.example.org/api.php',
+			});
+		} finally {
+			fs.unlinkSync(listPath);
+		}
+	});
+
+	it('creates bot instances lazily and caches them', async function () {
+		const farm = new mwn.Farm(options, [{ dbname: 'awiki', url: 'https://a.farm.test' }]);
+		mockSiteinfo('a.farm.test');
+		const [bot1, bot2] = await Promise.all([farm.getBot('awiki'), farm.getBot('a.farm.test')]);
+		expect(bot1).to.equal(bot2);
+		expect(bot1.options).to.include({ apiUrl: 'https://a.farm.test/w/api.php', userAgent: 'farm-test' });
+		expect(bot1.title.legaltitlechars).to.be.a('string');
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it('runs a task across wikis, collecting results and failures', async function () {
+		const farm = new mwn.Farm(options);
+		mockSiteinfo('a.farm.test');
+		mockSiteinfo('b.farm.test');
+		nock('https://c.farm.test').get('/w/api.php').query(true).reply(500, 'Internal error');
+		const { results, failures } = await farm.forEach(
+			['a.farm.test', 'b.farm.test', 'c.farm.test'],
+			async (bot, wiki) => {
+				if (wiki === 'b.farm.test') {
+					throw new Error('task failed');
+				}
+				return bot.options.apiUrl;
+			},
+			2
+		);
+		expect(results).to.deep.equal({ 'a.farm.test': 'https://a.farm.test/w/api.php' });
+		expect(Object.keys(failures)).to.have.members(['b.farm.test', 'c.farm.test']);
+		expect(failures['b.farm.test'].message).to.equal('task failed');
+		expect(failures['c.farm.test']).to.be.instanceOf(mwn.Error.NetworkError);
+	});
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const utils = require('../build/utils');
+const { FakeWiki } = require('../testing');
+
+describe('lag throttle', function () {
+	let wiki, bot, sleep;
+
+	beforeEach(async function () {
+		sinon.stub(console, 'log');
+		sleep = sinon.stub(utils, 'sleep').resolves();
+		wiki = new FakeWiki({ pages: { A: 'a', B: 'b', C: 'c' } });
+		bot = await wiki.createBot({ username: 'Example', password: 'password' });
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	function recordEvents() {
+		const events = [];
+		for (let name of ['lag', 'pause', 'resume']) {
+			bot.lagThrottle.on(name, (event) => events.push([name, event]));
+		}
+		return events;
+	}
+
+	it('pauses writes once for concurrent maxlag errors', async function () {
+		const events = recordEvents();
+		wiki.injectError('maxlag', { action: 'edit', lag: 6, times: 3 });
+		await Promise.all(['A', 'B', 'C'].map((title) => bot.save(title, 'new')));
+
+		expect(sleep).to.have.been.calledOnceWith(6000);
+		expect(wiki.getText('C')).to.equal('new');
+		// lag is reported by each of the maxlag errors
+		expect(events.map(([name]) => name)).to.deep.equal(['lag', 'lag', 'lag', 'pause', 'resume']);
+		expect(events[0][1]).to.deep.equal({ host: 'wiki.test', lag: 6 });
+		expect(events[3][1]).to.deep.equal({ host: 'wiki.test', lag: 6, duration: 6000 });
+		expect(bot.lagThrottle.isPaused()).to.be.false;
+	});
+
+	it('holds back other writes while paused, but not reads', async function () {
+		let endPause;
+		sleep.callsFake(() => new Promise((resolve) => (endPause = resolve)));
+		wiki.injectError('maxlag', { action: 'edit', lag: 6 });
+		const firstEdit = bot.save('A', 'new');
+		await new Promise((resolve) => bot.lagThrottle.once('pause', resolve));
+		expect(bot.lagThrottle.isPaused()).to.be.true;
+
+		const secondEdit = bot.save('B', 'new');
+		expect((await bot.read('B')).revisions[0].content).to.equal('b');
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(wiki.requests.filter((params) => params.action === 'edit')).to.have.length(1);
+
+		endPause();
+		await Promise.all([firstEdit, secondEdit]);
+		expect(wiki.requests.filter((params) => params.action === 'edit')).to.have.length(3);
+		expect(sleep).to.have.been.calledOnce;
+	});
+
+	it('waits separately for each request when disabled', async function () {
+		bot.setOptions({ lagThrottle: { enabled: false } });
+		const events = recordEvents();
+		wiki.injectError('maxlag', { action: 'edit', lag: 6, retryAfter: 2, times: 2 });
+		await Promise.all(['A', 'B'].map((title) => bot.save(title, 'new')));
+		expect(sleep).to.have.been.calledTwice;
+		expect(sleep).to.have.always.been.calledWith(2000);
+		expect(events.map(([name]) => name)).to.deep.equal(['lag', 'lag']);
+	});
+
+	it('tracks the lag from headers and spaces out writes', async function () {
+		const apiUrl = 'https://lag.test/w/api.php';
+		const lagBot = new mwn({ apiUrl, silent: true });
+		lagBot.csrfToken = 'csrf+\\';
+		const events = [];
+		lagBot.lagThrottle.on('lag', (event) => events.push(event));
+		nock('https://lag.test')
+			.get('/w/api.php')
+			.query(true)
+			.reply(200, { query: { userinfo: { id: 1, name: 'Example' } } }, { 'X-Database-Lag': '3' })
+			.post('/w/api.php', /action=purge/)
+			.twice()
+			.reply(200, { purge: [{ title: 'A', purged: true }] });
+
+		await lagBot.userinfo();
+		expect(lagBot.lagThrottle.getLag()).to.equal(3);
+		expect(events).to.deep.equal([{ host: 'lag.test', lag: 3 }]);
+
+		// 3 seconds is more than half of the default maxlag of 5
+		await lagBot.request({ action: 'purge', titles: 'A', token: lagBot.csrfToken });
+		expect(sleep).to.have.been.calledOnceWith(3000);
+
+		// No header in the last response means the lag is lower than maxlag
+		expect(lagBot.lagThrottle.getLag()).to.equal(0);
+		await lagBot.request({ action: 'purge', titles: 'A', token: lagBot.csrfToken });
+		expect(sleep).to.have.been.calledOnce;
+	});
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const { mwn, expect } = require('./test_base');
+const nock = require('nock');
+
+describe('middleware', function () {
+	const apiUrl = 'https://middleware.test/w/api.php';
+	let bot;
+
+	beforeEach(function () {
+		bot = new mwn({ apiUrl, silent: true });
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+	});
+
+	it('modifies api params and request options', async function () {
+		bot.use({
+			beforeRequest(req) {
+				req.apiParams.meta = 'siteinfo';
+				req.requestParams.headers = { ...req.requestParams.headers, 'X-Audit': 'yes' };
+			},
+		});
+		nock('https://middleware.test', { reqheaders: { 'X-Audit': 'yes' } })
+			.get('/w/api.php')
+			.query((query) => query.meta === 'siteinfo')
+			.reply(200, { batchcomplete: true });
+		await expect(bot.query({ meta: 'userinfo' })).to.eventually.deep.equal({ batchcomplete: true });
+	});
+
+	it('short-circuits with a response', async function () {
+		bot.use({
+			beforeRequest() {
+				return { query: { cached: true } };
+			},
+		});
+		// no http mock set up: sending the request would fail
+		await expect(bot.query({})).to.eventually.deep.equal({ query: { cached: true } });
+	});
+
+	it('transforms responses in order of registration', async function () {
+		bot.use({
+			afterResponse(response) {
+				return { ...response, first: true };
+			},
+		});
+		bot.use({
+			afterResponse(response, req) {
+				expect(response.first).to.equal(true);
+				expect(req.apiParams.action).to.equal('query');
+			},
+		});
+		nock('https://middleware.test').get('/w/api.php').query(true).reply(200, { batchcomplete: true });
+		await expect(bot.query({})).to.eventually.deep.equal({ batchcomplete: true, first: true });
+	});
+
+	it('replaces API errors with custom errors', async function () {
+		class CustomError extends Error {}
+		bot.use({
+			onError(err) {
+				if (err.code === 'permissiondenied') {
+					throw new CustomError(err.info);
+				}
+			},
+		});
+		nock('https://middleware.test')
+			.post('/w/api.php')
+			.reply(200, { error: { code: 'permissiondenied', info: 'Not allowed' } });
+		await expect(bot.request({ action: 'edit' })).to.be.rejectedWith(CustomError, 'Not allowed');
+	});
+
+	it('recovers from errors', async function () {
+		bot.use({
+			onError() {
+				return { recovered: true };
+			},
+		});
+		nock('https://middleware.test')
+			.post('/w/api.php')
+			.reply(200, { error: { code: 'unknownerror' } });
+		await expect(bot.request({ action: 'edit' })).to.eventually.deep.equal({ recovered: true });
+	});
+
+	it('does not run hooks on internal retries', async function () {
+		let count = 0;
+		bot.setOptions({ retryPause: 0 });
+		bot.use({
+			beforeRequest() {
+				count++;
+			},
+		});
+		nock('https://middleware.test')
+			.get('/w/api.php')
+			.query(true)
+			.reply(200, { error: { code: 'readonly' } })
+			.get('/w/api.php')
+			.query(true)
+			.reply(200, { batchcomplete: true });
+		await bot.query({});
+		expect(count).to.equal(1);
+	});
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const utils = require('../build/utils');
+
+describe('OAuth 2', function () {
+	const apiUrl = 'https://oauth2.test/w/api.php';
+	const credentials = { clientId: 'client', clientSecret: 'secret', refreshToken: 'refresh-1' };
+
+	function mockTokenEndpoint(body, accessToken = 'access-2', refreshToken = 'refresh-2') {
+		return nock('https://oauth2.test').post('/w/rest.php/oauth2/access_token', body).reply(200, {
+			token_type: 'Bearer',
+			expires_in: 14400,
+			access_token: accessToken,
+			refresh_token: refreshToken,
+		});
+	}
+
+	function mockUserinfo(token, response = { query: { userinfo: { id: 1, name: 'Bot' } } }, times = 1) {
+		return nock('https://oauth2.test', { reqheaders: { authorization: `Bearer ${token}` } })
+			.get('/w/api.php')
+			.query((query) => query.meta === 'userinfo')
+			.times(times)
+			.reply(200, response);
+	}
+
+	beforeEach(function () {
+		sinon.stub(console, 'log');
+		sinon.stub(utils, 'sleep').resolves();
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('sends the access token as a bearer token', async function () {
+		const bot = new mwn({ apiUrl, OAuth2Credentials: { accessToken: 'owner-only' } });
+		bot.initOAuth2();
+		expect(bot.usingOAuth).to.be.true;
+		mockUserinfo('owner-only');
+		const userinfo = await bot.userinfo();
+		expect(userinfo.name).to.equal('Bot');
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it('throws on invalid config', function () {
+		const bot = new mwn({ apiUrl, OAuth2Credentials: { clientId: 'client' } });
+		expect(() => bot.initOAuth2()).to.throw(/Invalid OAuth 2 config/);
+	});
+
+	it('gets an access token using the refresh token, and keeps the new refresh token', async function () {
+		const bot = new mwn({ apiUrl, OAuth2Credentials: credentials });
+		bot.initOAuth2();
+		mockTokenEndpoint({
+			grant_type: 'refresh_token',
+			refresh_token: 'refresh-1',
+			client_id: 'client',
+			client_secret: 'secret',
+		});
+		mockUserinfo('access-2');
+		await bot.userinfo();
+		expect(nock.isDone()).to.be.true;
+		expect(bot.oauth2.refreshToken).to.equal('refresh-2');
+		expect(bot.oauth2.expiresAt).to.be.closeTo(Date.now() + 14400e3, 1000);
+	});
+
+	it('uses the client credentials grant without a refresh token', async function () {
+		const bot = new mwn({ apiUrl, OAuth2Credentials: { clientId: 'client', clientSecret: 'secret' } });
+		bot.initOAuth2();
+		mockTokenEndpoint({ grant_type: 'client_credentials', client_id: 'client', client_secret: 'secret' });
+		mockUserinfo('access-2');
+		await bot.userinfo();
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it('refreshes an expired token before use, only once for concurrent requests', async function () {
+		const bot = new mwn({
+			apiUrl,
+			OAuth2Credentials: { ...credentials, accessToken: 'access-1', expiresAt: Date.now() - 1000 },
+		});
+		bot.initOAuth2();
+		mockTokenEndpoint(/grant_type=refresh_token/);
+		mockUserinfo('access-2', undefined, 2);
+		await Promise.all([bot.userinfo(), bot.userinfo()]);
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it('refreshes the token and retries on mwoauth-invalid-authorization', async function () {
+		const bot = new mwn({ apiUrl, OAuth2Credentials: { ...credentials, accessToken: 'access-1' } });
+		bot.initOAuth2();
+		mockUserinfo('access-1', {
+			error: {
+				code: 'mwoauth-invalid-authorization',
+				info: 'The authorization headers in your request are not valid',
+			},
+		});
+		mockTokenEndpoint(/grant_type=refresh_token/);
+		mockUserinfo('access-2');
+		const userinfo = await bot.userinfo();
+		expect(userinfo.name).to.equal('Bot');
+		expect(nock.isDone()).to.be.true;
+		expect(bot.stats().retries.byReason).to.deep.equal({ oauth: 1 });
+	});
+
+	it('fails on mwoauth-invalid-authorization if the token cannot be refreshed', async function () {
+		const bot = new mwn({ apiUrl, OAuth2Credentials: { accessToken: 'access-1' } });
+		bot.initOAuth2();
+		mockUserinfo('access-1', {
+			error: {
+				code: 'mwoauth-invalid-authorization',
+				info: 'The authorization headers in your request are not valid',
+			},
+		});
+		await expect(bot.userinfo()).to.be.rejectedWith(/mwoauth-invalid-authorization/);
+	});
+
+	it('rejects with the reason if getting a token fails', async function () {
+		const bot = new mwn({ apiUrl, OAuth2Credentials: credentials });
+		bot.initOAuth2();
+		nock('https://oauth2.test')
+			.post('/w/rest.php/oauth2/access_token')
+			.reply(400, { error: 'invalid_request', error_description: 'The refresh token is invalid.' });
+		const err = await bot.userinfo().catch((err) => err);
+		expect(err).to.be.instanceOf(mwn.Error);
+		expect(err.code).to.equal('mwn_oauth2refreshfailed');
+		expect(err.info).to.include('The refresh token is invalid.');
+	});
+});
@@ -0,0 +1,266 @@
+'use strict';
+
+const { mwn, expect, sinon, fromEntries } = require('./test_base');
+const nock = require('nock');
+const crypto = require('crypto');
+
+/**
+ * A fake OAuth provider, implementing the Special:OAuth and oauth2 endpoints
+ * of Extension:OAuth on https://oauthflow.test
+ */
+function fakeProvider({ consumerKey, consumerSecret, jwtOverrides = {} }) {
+	const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	const makeJwt = (payload) => {
+		const unsigned =
+			base64Url(Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'HS256' }))) +
+			'.' +
+			base64Url(Buffer.from(JSON.stringify(payload)));
+		return unsigned + '.' + base64Url(crypto.createHmac('sha256', consumerSecret).update(unsigned).digest());
+	};
+	const parseHeader = (header) => {
+		const params = {};
+		const regex = /(\w+)="([^"]*)"/g;
+		let match;
+		while ((match = regex.exec(header))) {
+			params[match[1]] = decodeURIComponent(match[2]);
+		}
+		return params;
+	};
+	const identity = { sub: 42, username: 'Example', editcount: 10, groups: ['*', 'user'], grants: ['basic'] };
+
+	return nock('https://oauthflow.test')
+		.get('/w/index.php')
+		.query(true)
+		.reply(function (uri) {
+			const query = fromEntries(new URL(uri, 'https://oauthflow.test').searchParams);
+			const auth = parseHeader(this.req.headers.authorization);
+			if (auth.oauth_consumer_key !== consumerKey) {
+				return [200, { error: 'mwoauth-invalid-authorization-invalid-consumer', message: 'Invalid consumer' }];
+			}
+			switch (query.title) {
+				case 'Special:OAuth/initiate':
+					return [200, { key: 'reqkey', secret: 'reqsecret', oauth_callback_confirmed: 'true' }];
+				case 'Special:OAuth/token':
+					if (auth.oauth_token !== 'reqkey' || query.oauth_verifier !== 'verifier') {
+						return [
+							200,
+							{ error: 'mwoauthdatastore-bad-verifier', message: 'Verification code incorrect' },
+						];
+					}
+					return [200, { key: 'accesskey', secret: 'accesssecret' }];
+				case 'Special:OAuth/identify':
+					return [
+						200,
+						makeJwt({
+							iss: 'https://oauthflow.test',
+							aud: consumerKey,
+							iat: Math.floor(Date.now() / 1000),
+							exp: Math.floor(Date.now() / 1000) + 100,
+							nonce: auth.oauth_nonce,
+							...identity,
+							...jwtOverrides,
+						}),
+					];
+			}
+		})
+		.persist()
+		.post('/w/rest.php/oauth2/access_token')
+		.reply(function (uri, body) {
+			const params = fromEntries(new URLSearchParams(body));
+			if (params.code !== 'authcode' || params.client_secret !== consumerSecret) {
+				return [400, { error: 'invalid_grant', error_description: 'The authorization code is invalid' }];
+			}
+			return [
+				200,
+				{ token_type: 'Bearer', expires_in: 14400, access_token: 'access2', refresh_token: 'refresh2' },
+			];
+		})
+		.get('/w/rest.php/oauth2/resource/profile')
+		.reply(function () {
+			if (this.req.headers.authorization !== 'Bearer access2') {
+				return [
+					401,
+					{
+						error: 'access_denied',
+						message: 'The resource owner or authorization server denied the request.',
+					},
+				];
+			}
+			return [200, identity];
+		});
+}
+
+describe('OAuth authorization flow', function () {
+	const apiUrl = 'https://oauthflow.test/w/api.php';
+
+	function mockSiteInfo(reqheaders) {
+		return nock('https://oauthflow.test', { reqheaders })
+			.get('/w/api.php')
+			.query((query) => query.meta === 'tokens|siteinfo|userinfo')
+			.reply(200, {
+				query: {
+					tokens: { csrftoken: 'csrf+\\' },
+					general: { legaltitlechars: ' %!"$&\'()*,\\-./0-9:;=?@A-Z\\\\^_`a-z~\\x80-\\xFF+' },
+					namespaces: { 0: { id: 0, name: '', canonical: '' } },
+					namespacealiases: [],
+					userinfo: { id: 42, name: 'Example', rights: ['edit'], ratelimits: {} },
+				},
+			});
+	}
+
+	beforeEach(function () {
+		sinon.stub(console, 'log');
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	describe('OAuth 1.0a', function () {
+		const options = { apiUrl, consumerToken: 'consumerkey', consumerSecret: 'consumersecret' };
+
+		beforeEach(function () {
+			fakeProvider({ consumerKey: 'consumerkey', consumerSecret: 'consumersecret' });
+		});
+
+		it('gets a request token and the authorize URL', async function () {
+			const flow = new mwn.OAuthFlow(options);
+			const { requestToken, authorizeUrl } = await flow.initiate();
+			expect(requestToken).to.deep.equal({ key: 'reqkey', secret: 'reqsecret' });
+			const url = new URL(authorizeUrl);
+			expect(url.origin + url.pathname).to.equal('https://oauthflow.test/w/index.php');
+			expect(fromEntries(url.searchParams)).to.deep.equal({
+				title: 'Special:OAuth/authorize',
+				oauth_token: 'reqkey',
+				oauth_consumer_key: 'consumerkey',
+			});
+		});
+
+		it('rejects with the error from the provider', async function () {
+			const flow = new mwn.OAuthFlow({ ...options, consumerToken: 'wrongkey' });
+			const err = await flow.initiate().catch((err) => err);
+			expect(err).to.be.instanceOf(mwn.Error);
+			expect(err.code).to.equal('mwoauth-invalid-authorization-invalid-consumer');
+		});
+
+		it('exchanges the verifier for an access token', async function () {
+			const flow = new mwn.OAuthFlow(options);
+			const requestToken = { key: 'reqkey', secret: 'reqsecret' };
+			const accessToken = await flow.handleCallback(
+				{ oauth_token: 'reqkey', oauth_verifier: 'verifier' },
+				requestToken
+			);
+			expect(accessToken).to.deep.equal({ key: 'accesskey', secret: 'accesssecret' });
+
+			await expect(
+				flow.handleCallback({ oauth_token: 'otherkey', oauth_verifier: 'verifier' }, requestToken)
+			).to.be.rejectedWith(/does not match the request token/);
+			await expect(
+				flow.handleCallback({ oauth_token: 'reqkey', oauth_verifier: 'wrong' }, requestToken)
+			).to.be.rejectedWith(/Verification code incorrect/);
+		});
+
+		it('identifies the user, verifying the JWT', async function () {
+			const flow = new mwn.OAuthFlow(options);
+			const identity = await flow.identify({ key: 'accesskey', secret: 'accesssecret' });
+			expect(identity).to.include({ sub: 42, username: 'Example', aud: 'consumerkey' });
+		});
+
+		it('rejects JWTs with a bad signature, nonce, issuer or audience, or that have expired', async function () {
+			const flow = new mwn.OAuthFlow(options);
+			const accessToken = { key: 'accesskey', secret: 'accesssecret' };
+			const cases = [
+				[{ consumerSecret: 'othersecret' }, /bad signature/],
+				[{ jwtOverrides: { nonce: 'replayed' } }, /nonce mismatch/],
+				[{ jwtOverrides: { iss: 'https://evil.test' } }, /unexpected issuer/],
+				[{ jwtOverrides: { aud: 'otherconsumer' } }, /unexpected audience/],
+				[{ jwtOverrides: { exp: Math.floor(Date.now() / 1000) - 3600 } }, /expired/],
+			];
+			for (let [providerOptions, error] of cases) {
+				nock.cleanAll();
+				fakeProvider({ consumerKey: 'consumerkey', consumerSecret: 'consumersecret', ...providerOptions });
+				const err = await flow.identify(accessToken).catch((err) => err);
+				expect(err).to.be.instanceOf(mwn.Error);
+				expect(err.code).to.equal('mwn_oauthinvalidjwt');
+				expect(err.message).to.match(error);
+			}
+		});
+
+		it('creates a bot instance for the user', async function () {
+			const flow = new mwn.OAuthFlow({ ...options, userAgent: 'flow-test', botOptions: { maxRetries: 0 } });
+			mockSiteInfo({
+				'authorization': /oauth_consumer_key="consumerkey".*oauth_token="accesskey"/,
+				'user-agent': 'flow-test',
+			});
+			const bot = await flow.createBot({ key: 'accesskey', secret: 'accesssecret' });
+			expect(bot.usingOAuth).to.be.true;
+			expect(bot.options.maxRetries).to.equal(0);
+			expect(bot.csrfToken).to.equal('csrf+\\');
+		});
+	});
+
+	describe('OAuth 2.0', function () {
+		const options = { apiUrl, clientId: 'clientid', clientSecret: 'clientsecret' };
+
+		beforeEach(function () {
+			fakeProvider({ consumerKey: 'clientid', consumerSecret: 'clientsecret' });
+		});
+
+		it('gives the authorize URL with a random state', function () {
+			const flow = new mwn.OAuth2Flow({ ...options, redirectUri: 'https://tool.test/callback' });
+			const { authorizeUrl, state } = flow.getAuthorizeUrl();
+			expect(state).to.match(/^[0-9a-f]{32}$/);
+			const url = new URL(authorizeUrl);
+			expect(url.origin + url.pathname).to.equal('https://oauthflow.test/w/rest.php/oauth2/authorize');
+			expect(fromEntries(url.searchParams)).to.deep.equal({
+				response_type: 'code',
+				client_id: 'clientid',
+				state,
+				redirect_uri: 'https://tool.test/callback',
+			});
+			expect(flow.getAuthorizeUrl().state).to.not.equal(state);
+		});
+
+		it('exchanges the code for an access token, checking the state', async function () {
+			const flow = new mwn.OAuth2Flow(options);
+			const token = await flow.handleCallback({ code: 'authcode', state: 'abc' }, 'abc');
+			expect(token).to.include({ accessToken: 'access2', refreshToken: 'refresh2' });
+			expect(token.expiresAt).to.be.closeTo(Date.now() + 14400e3, 1000);
+
+			await expect(flow.handleCallback({ code: 'authcode', state: 'xyz' }, 'abc')).to.be.rejectedWith(
+				/state in callback does not match/
+			);
+			await expect(
+				flow.handleCallback({ error: 'access_denied', error_description: 'The user denied the request' }, 'abc')
+			).to.be.rejectedWith(/The user denied the request/);
+			await expect(flow.handleCallback({ code: 'badcode', state: 'abc' }, 'abc')).to.be.rejectedWith(
+				/The authorization code is invalid/
+			);
+		});
+
+		it('identifies the user', async function () {
+			const flow = new mwn.OAuth2Flow(options);
+			const identity = await flow.identify({ accessToken: 'access2' });
+			expect(identity).to.include({ sub: 42, username: 'Example' });
+			await expect(flow.identify({ accessToken: 'revoked' })).to.be.rejectedWith(/denied the request/);
+		});
+
+		it('creates a bot instance for the user', async function () {
+			const flow = new mwn.OAuth2Flow(options);
+			mockSiteInfo({ authorization: 'Bearer access2' });
+			const bot = await flow.createBot({ accessToken: 'access2', refreshToken: 'refresh2' });
+			expect(bot.usingOAuth2).to.be.true;
+			expect(bot.oauth2.canRefresh).to.be.true;
+			expect(bot.oauth2.refreshToken).to.equal('refresh2');
+		});
+
+		it('keeps the default user agent if none is given', async function () {
+			const flow = new mwn.OAuth2Flow(options);
+			expect(flow.bot.options.userAgent).to.equal('mwn');
+			mockSiteInfo({ 'authorization': 'Bearer access2', 'user-agent': 'mwn' });
+			const bot = await flow.createBot({ accessToken: 'access2' });
+			expect(bot.options.userAgent).to.equal('mwn');
+		});
+	});
+});
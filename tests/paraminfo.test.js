@@ -0,0 +1,367 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ts = require('typescript');
+const { generateParamTypes } = require('../build/paramtypes');
+
+/** Cut-down paraminfo of a few modules */
+const modules = {
+	'main': {
+		prefix: '',
+		parameters: [
+			{
+				name: 'action',
+				type: ['abusefiltercheckmatch', 'compare', 'edit', 'paraminfo', 'query'],
+				submodules: {
+					abusefiltercheckmatch: 'abusefiltercheckmatch',
+					compare: 'compare',
+					edit: 'edit',
+					paraminfo: 'paraminfo',
+					query: 'query',
+				},
+				default: 'help',
+			},
+			{ name: 'format', type: ['json', 'xml'], submodules: { json: 'json', xml: 'xml' }, default: 'jsonfm' },
+			{ name: 'maxlag', type: 'integer' },
+			{ name: 'assert', type: ['anon', 'bot', 'user'] },
+		],
+	},
+	'json': {
+		prefix: '',
+		parameters: [{ name: 'formatversion', type: ['1', '2', 'latest'], default: '1' }],
+	},
+	'query': {
+		prefix: '',
+		parameters: [
+			{
+				name: 'prop',
+				type: ['info', 'revisions'],
+				multi: true,
+				lowlimit: 50,
+				highlimit: 500,
+				submodules: { info: 'query+info', revisions: 'query+revisions' },
+			},
+			{
+				name: 'list',
+				type: ['categorymembers'],
+				multi: true,
+				lowlimit: 50,
+				highlimit: 500,
+				submodules: { categorymembers: 'query+categorymembers' },
+			},
+			{
+				name: 'generator',
+				type: ['categorymembers', 'revisions'],
+				submodules: { categorymembers: 'query+categorymembers', revisions: 'query+revisions' },
+				submoduleparamprefix: 'g',
+			},
+			{ name: 'titles', type: 'string', multi: true, lowlimit: 50, highlimit: 500 },
+		],
+	},
+	'query+info': { prefix: 'in', parameters: [] },
+	'query+revisions': {
+		classname: 'MediaWiki\\Api\\ApiQueryRevisions',
+		prefix: 'rv',
+		parameters: [
+			{
+				name: 'prop',
+				type: ['content', 'ids', 'timestamp'],
+				multi: true,
+				lowlimit: 50,
+				highlimit: 500,
+				default: 'ids|timestamp',
+			},
+			{ name: 'slots', type: ['main'], multi: true, lowlimit: 50, highlimit: 500, allspecifier: '*' },
+			{ name: 'limit', type: 'limit' },
+		],
+	},
+	'query+categorymembers': {
+		prefix: 'cm',
+		parameters: [
+			{ name: 'title', type: 'string' },
+			{ name: 'limit', type: 'limit', default: 10 },
+		],
+	},
+	'edit': {
+		classname: 'ApiEditPage',
+		prefix: '',
+		parameters: [
+			{ name: 'title', type: 'string' },
+			{ name: 'text', type: 'text' },
+			{ name: 'section', type: 'string' },
+			{ name: 'token', type: 'string', tokentype: 'csrf', required: true },
+			{ name: 'watch', type: 'boolean', deprecated: true },
+		],
+	},
+	'abusefiltercheckmatch': {
+		classname: 'MediaWiki\\Extension\\AbuseFilter\\Api\\CheckMatch',
+		prefix: '',
+		parameters: [
+			{ name: 'filter', type: 'string' },
+			{ name: 'rcid', type: 'integer' },
+		],
+	},
+	'compare': {
+		prefix: '',
+		parameters: [
+			{ name: 'fromslots', type: ['main'], multi: true, lowlimit: 50, highlimit: 500 },
+			{ name: 'totitle', type: 'string' },
+		],
+		templatedparameters: [{ name: 'fromtext-{slot}', type: 'text', templatevars: { slot: 'fromslots' } }],
+	},
+};
+
+const apiUrl = 'https://paraminfo.test/w/api.php';
+
+/** Respond to paraminfo requests using the modules above, returns the list of modules asked for in each request */
+function mockParamInfo() {
+	const requests = [];
+	nock('https://paraminfo.test')
+		.persist()
+		.post('/w/api.php', (body) => body.action === 'paraminfo')
+		.reply(200, (uri, body) => {
+			const paths = new URLSearchParams(body).get('modules').split('|');
+			requests.push(paths);
+			return {
+				paraminfo: {
+					modules: paths
+						.filter((path) => modules[path])
+						.map((path) => ({ name: path.split('+').pop(), path, ...modules[path] })),
+				},
+			};
+		});
+	return requests;
+}
+
+describe('strict parameter validation', function () {
+	let bot, paraminfoRequests;
+
+	beforeEach(function () {
+		sinon.stub(console, 'log');
+		bot = new mwn({ apiUrl, silent: true, strictParams: true, maxRetries: 0 });
+		paraminfoRequests = mockParamInfo();
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	function mockQuery(times = 1) {
+		return nock('https://paraminfo.test')
+			.get('/w/api.php')
+			.times(times)
+			.query(true)
+			.reply(200, { batchcomplete: true, query: { pages: [] } });
+	}
+
+	async function getError(params) {
+		const err = await bot.request(params).catch((err) => err);
+		expect(err).to.be.instanceOf(mwn.Error);
+		expect(err.code).to.equal('mwn_invalidparams');
+		return err;
+	}
+
+	it('sends valid requests, fetching the paraminfo of the modules used once', async function () {
+		const scope = mockQuery(2);
+		const params = {
+			action: 'query',
+			prop: 'revisions',
+			titles: ['A', 'B'],
+			rvprop: ['content', 'timestamp'],
+			rvslots: '*',
+		};
+		await bot.request(params);
+		await bot.request(params);
+		expect(scope.isDone()).to.be.true;
+		expect(paraminfoRequests).to.deep.equal([['main'], ['query', 'json'], ['query+revisions']]);
+
+		expect(await bot.paramInfo.getModule('query+revisions')).to.include({ prefix: 'rv' });
+		expect(await bot.paramInfo.getModule('query+nonexistent')).to.be.null;
+	});
+
+	it('rejects unknown parameters and values before sending the request', async function () {
+		const err = await getError({ action: 'query', prop: 'revisions', titles: 'A', rvprops: 'content' });
+		expect(err.info).to.equal('Invalid API parameters: Unrecognized parameter: rvprops');
+
+		const err2 = await getError({ action: 'query', prop: 'revisions|links', titles: 'A', rvprop: 'contnet' });
+		expect(err2.info).to.include('Unrecognized value for "prop": links');
+		expect(err2.info).to.include('Unrecognized value for "rvprop": contnet');
+
+		// parameters of modules that aren't in use
+		const err3 = await getError({ action: 'query', list: 'categorymembers', cmtitle: 'Category:X', rvlimit: 2 });
+		expect(err3.info).to.include('Unrecognized parameter: rvlimit');
+	});
+
+	it('uses the prefix of generator parameters', async function () {
+		mockQuery();
+		await bot.request({
+			action: 'query',
+			generator: 'categorymembers',
+			gcmtitle: 'Category:X',
+			gcmlimit: 'max',
+			prop: 'info',
+		});
+		const err = await getError({ action: 'query', generator: 'categorymembers', cmtitle: 'Category:X' });
+		expect(err.info).to.include('Unrecognized parameter: cmtitle');
+	});
+
+	it('checks the number of values', async function () {
+		const titles = Array.from({ length: 51 }, (_, i) => `Page ${i}`);
+		const err = await getError({ action: 'query', titles });
+		expect(err.info).to.include('Too many values for "titles": 51 given, the limit is 50');
+
+		bot.hasApiHighLimit = true;
+		mockQuery();
+		await bot.request({ action: 'query', titles });
+	});
+
+	it('checks required parameters, and allows templated parameters', async function () {
+		const err = await getError({ action: 'edit', title: 'A', text: 'B' });
+		expect(err.info).to.include('The "token" parameter must be set');
+
+		nock('https://paraminfo.test')
+			.post('/w/api.php', (body) => body.action === 'compare' && body['fromtext-main'] === 'foo')
+			.reply(200, { compare: { body: '' } });
+		await bot.request({ 'action': 'compare', 'fromslots': 'main', 'fromtext-main': 'foo', 'totitle': 'A' });
+	});
+
+	it('is off by default', async function () {
+		bot.setOptions({ strictParams: false });
+		mockQuery();
+		await bot.request({ action: 'query', rvprops: 'content' });
+		expect(paraminfoRequests).to.have.length(0);
+	});
+});
+
+describe('parameter types generation', function () {
+	this.timeout(10000);
+	let bot;
+
+	beforeEach(function () {
+		bot = new mwn({ apiUrl, silent: true });
+		mockParamInfo();
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+	});
+
+	/** Type-check the code using the generated types, returns the error messages */
+	function typeCheck(types, code) {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mwn-paramtypes-'));
+		try {
+			fs.writeFileSync(path.join(dir, 'api_params.ts'), types);
+			fs.writeFileSync(path.join(dir, 'usage.ts'), `import * as api from './api_params';\n${code}`);
+			const options = { noEmit: true, strict: true, types: [], lib: ['lib.es2018.d.ts', 'lib.dom.d.ts'] };
+			const program = ts.createProgram([path.join(dir, 'usage.ts')], options);
+			return ts
+				.getPreEmitDiagnostics(program)
+				.map((diag) => ts.flattenDiagnosticMessageText(diag.messageText, '\n'));
+		} finally {
+			fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+			fs.rmdirSync(dir);
+		}
+	}
+
+	/**
+	 * Type-check the source of mwn, with src/api_params.ts having the given content,
+	 * returns the error messages. Parsed files are kept in the cache across calls.
+	 */
+	function typeCheckSrc(apiParams, cache) {
+		const root = path.join(__dirname, '..');
+		const apiParamsPath = path.join(root, 'src', 'api_params.ts');
+		const config = ts.getParsedCommandLineOfConfigFile(path.join(root, 'tsconfig.json'), {}, ts.sys);
+		const options = { ...config.options, noEmit: true, declaration: false, skipLibCheck: true };
+		const host = ts.createCompilerHost(options);
+		const getSourceFile = host.getSourceFile;
+		host.getSourceFile = (fileName, languageVersion, ...rest) => {
+			if (path.resolve(fileName) === apiParamsPath) {
+				return ts.createSourceFile(fileName, apiParams, languageVersion);
+			}
+			if (!cache.has(fileName)) {
+				cache.set(fileName, getSourceFile.call(host, fileName, languageVersion, ...rest));
+			}
+			return cache.get(fileName);
+		};
+		const program = ts.createProgram(config.fileNames, options, host);
+		return ts
+			.getPreEmitDiagnostics(program)
+			.map(
+				(diag) =>
+					`${diag.file ? path.relative(root, diag.file.fileName) : ''}: ` +
+					ts.flattenDiagnosticMessageText(diag.messageText, '\n')
+			);
+	}
+
+	it('fetches all modules', async function () {
+		const all = await bot.paramInfo.getAllModules();
+		expect(all.map((module) => module.path)).to.have.members([
+			'main',
+			'abusefiltercheckmatch',
+			'compare',
+			'edit',
+			'query',
+			'json',
+			'query+info',
+			'query+revisions',
+			'query+categorymembers',
+		]);
+	});
+
+	it('generates types for all modules', async function () {
+		const types = await bot.paramInfo.generateTypes();
+		expect(types).to.include(`from ${apiUrl}`);
+		expect(types).to.include('export interface ApiParams {');
+		expect(types).to.include("\tformatversion?: '1' | '2' | 'latest';");
+		expect(types).to.include('export interface ApiEditPageParams extends ApiParams {');
+		expect(types).to.include('\t/** @deprecated */\n\twatch?: boolean;');
+		expect(types).to.include('export interface ApiQueryRevisionsParams extends ApiQueryParams {');
+		expect(types).to.include("\trvprop?: OneOrMore<'content' | 'ids' | 'timestamp'>;");
+		expect(types).to.include('\tcmlimit?: limit;');
+		expect(types).to.include('export interface AbuseFilterApiCheckMatchParams extends ApiParams {');
+		expect(types).to.include('\trcid?: number;');
+
+		const errors = typeCheck(
+			types,
+			`const edit: api.ApiEditPageParams = { action: 'edit', title: 'A', text: 'B', formatversion: '2' };
+			const query: api.ApiQueryRevisionsParams = { action: 'query', prop: ['revisions'], rvprop: 'content', rvlimit: 'max' };
+			const bad: api.ApiQueryRevisionsParams = { rvprop: 'contnet' };`
+		);
+		expect(errors).to.have.length(1);
+		expect(errors[0]).to.include('"contnet"');
+	});
+
+	it('gives a single interface for modules of the same class', function () {
+		const backlinks = {
+			classname: 'ApiQueryBacklinks',
+			group: 'list',
+			parameters: [{ name: 'title', type: 'string' }],
+		};
+		const types = generateParamTypes([
+			{ name: 'query', path: 'query', prefix: '', parameters: [] },
+			{ name: 'backlinks', path: 'query+backlinks', prefix: 'bl', ...backlinks },
+			{ name: 'embeddedin', path: 'query+embeddedin', prefix: 'ei', ...backlinks },
+			{ name: 'backlinks', path: 'other+backlinks', prefix: 'ob', ...backlinks },
+		]);
+		expect(types.match(/export interface ApiQueryBacklinksParams extends ApiQueryParams/g)).to.have.length(2);
+		expect(types).to.include('\tbltitle?: string;').and.include('\teititle?: string;');
+		// different parent module
+		expect(types).to.include('export interface ApiOtherBacklinksParams extends ApiParams {');
+		expect(types).to.not.include('export *');
+	});
+
+	it('generates types which can stand in for src/api_params.ts', async function () {
+		this.timeout(120000);
+		const types = await bot.paramInfo.generateTypes({ fallback: 'types-mediawiki/api_params' });
+		expect(types).to.match(/\nexport \* from 'types-mediawiki\/api_params';\n$/);
+		const cache = new Map();
+		// the source may have errors of its own, the generated types shouldn't add any
+		const errors = typeCheckSrc(fs.readFileSync(path.join(__dirname, '../src/api_params.ts'), 'utf8'), cache);
+		expect(typeCheckSrc(types, cache)).to.deep.equal(errors);
+	});
+});
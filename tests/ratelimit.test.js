@@ -0,0 +1,105 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const utils = require('../build/utils');
+const { TokenBucket } = require('../build/ratelimit');
+
+describe('rate limiting', function () {
+	const apiUrl = 'https://ratelimit.test/w/api.php';
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('token bucket spaces out consumers', async function () {
+		const bucket = new TokenBucket({ hits: 20, seconds: 1 }); // 1 per 50 ms
+		const start = Date.now();
+		await Promise.all([bucket.consume(), bucket.consume(), bucket.consume()]);
+		expect(Date.now() - start).to.be.at.least(95);
+	});
+
+	it('token bucket allows bursts up to capacity', async function () {
+		const bucket = new TokenBucket({ hits: 1, seconds: 100 }, 3);
+		const start = Date.now();
+		await Promise.all([bucket.consume(), bucket.consume(), bucket.consume()]);
+		expect(Date.now() - start).to.be.below(50);
+	});
+
+	it('sets up write limits from userinfo', function () {
+		const bot = new mwn({ apiUrl, silent: true });
+		bot.rateLimiter.setLimits({
+			edit: {
+				user: { hits: 90, seconds: 60 },
+				newbie: { hits: 8, seconds: 60 },
+			},
+			move: {
+				user: { hits: 8, seconds: 60 },
+			},
+			purge: {
+				user: { hits: 30, seconds: 60 },
+			},
+		});
+		expect(bot.rateLimiter.writeBuckets).to.have.all.keys('edit', 'move');
+		expect(bot.rateLimiter.writeBuckets.edit.refillRate).to.equal(8 / 60000);
+		expect(bot.rateLimiter.writeBuckets.move.refillRate).to.equal(8 / 60000);
+		expect(bot.rateLimiter.getBucket({ action: 'edit' })).to.equal(bot.rateLimiter.writeBuckets.edit);
+		expect(bot.rateLimiter.getBucket({ action: 'query' })).to.equal(null);
+
+		bot.setOptions({ rateLimit: { writes: false } });
+		expect(bot.rateLimiter.getBucket({ action: 'edit' })).to.equal(null);
+	});
+
+	it('uses the most permissive limit of the user groups', function () {
+		const bot = new mwn({ apiUrl, silent: true });
+		bot.rateLimiter.setLimits({
+			edit: {
+				user: { hits: 90, seconds: 60 },
+				bot: { hits: 300, seconds: 60 },
+				autoconfirmed: { hits: 120, seconds: 60 },
+			},
+			move: {
+				user: { hits: 8, seconds: 60 },
+				sysop: { hits: 100, seconds: 60 },
+				ip: { hits: 20, seconds: 60 },
+			},
+		});
+		expect(bot.rateLimiter.writeBuckets.edit.refillRate).to.equal(300 / 60000);
+		// limits by IP address apply on top
+		expect(bot.rateLimiter.writeBuckets.move.refillRate).to.equal(20 / 60000);
+	});
+
+	it('paces read requests', async function () {
+		const bot = new mwn({ apiUrl, silent: true, rateLimit: { reads: { hits: 20, seconds: 1 } } });
+		nock('https://ratelimit.test').get('/w/api.php').query(true).times(3).reply(200, { batchcomplete: true });
+		const start = Date.now();
+		await Promise.all([bot.query({}), bot.query({}), bot.query({})]);
+		expect(Date.now() - start).to.be.at.least(95);
+	});
+
+	it('counts queries sent via POST as reads', function () {
+		const bot = new mwn({ apiUrl, silent: true, rateLimit: { reads: { hits: 20, seconds: 1 } } });
+		bot.rateLimiter.setLimits({ edit: { user: { hits: 90, seconds: 60 } } });
+		const readBucket = bot.rateLimiter.getBucket({ action: 'query', titles: ['A', 'B'] });
+		expect(readBucket).to.be.instanceOf(TokenBucket);
+		expect(bot.rateLimiter.getBucket({ action: 'parse' })).to.equal(readBucket);
+		expect(bot.rateLimiter.getBucket({ action: 'edit' })).to.equal(bot.rateLimiter.writeBuckets.edit);
+		expect(bot.rateLimiter.getBucket({ action: 'purge' })).to.equal(null);
+	});
+
+	it('backs off and retries on ratelimited errors', async function () {
+		const bot = new mwn({ apiUrl, silent: true });
+		const sleepStub = sinon.stub(utils, 'sleep').resolves();
+		const ratelimitedBody = { error: { code: 'ratelimited', info: 'Slow down' } };
+		nock('https://ratelimit.test')
+			.post('/w/api.php')
+			.times(2)
+			.reply(200, ratelimitedBody)
+			.post('/w/api.php')
+			.reply(200, { edit: { result: 'Success' } });
+		await expect(bot.request({ action: 'edit' })).to.eventually.deep.equal({ edit: { result: 'Success' } });
+		expect(sleepStub.firstCall).to.have.been.calledWith(5000);
+		expect(sleepStub.secondCall).to.have.been.calledWith(10000);
+	});
+});
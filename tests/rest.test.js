@@ -0,0 +1,121 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+
+describe('REST API client', function () {
+	const apiUrl = 'https://rest.test/w/api.php';
+	let bot;
+
+	beforeEach(function () {
+		sinon.stub(console, 'log');
+		bot = new mwn({ apiUrl, userAgent: 'mwn-tests', silent: true });
+		nock('https://rest.test')
+			.get('/w/api.php')
+			.query((query) => query.meta === 'siteinfo')
+			.reply(200, { query: { general: { server: '//rest.test', scriptpath: '/w' } } });
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('finds the rest.php URL from siteinfo, and gets pages', async function () {
+		nock('https://rest.test', { reqheaders: { 'user-agent': 'mwn-tests' } })
+			.get('/w/rest.php/v1/page/AC%2FDC')
+			.reply(200, {
+				id: 5,
+				key: 'AC/DC',
+				title: 'AC/DC',
+				latest: { id: 10, timestamp: '2021-01-01T00:00:00Z' },
+				content_model: 'wikitext',
+				license: { url: '', title: '' },
+				source: 'Band',
+			})
+			.get('/w/rest.php/v1/page/AC%2FDC/html')
+			.reply(200, '<p>Band</p>', { 'Content-Type': 'text/html' });
+
+		const page = await bot.rest.getPage('AC/DC');
+		expect(page).to.include({ title: 'AC/DC', source: 'Band' });
+		expect(bot.rest.url).to.equal('https://rest.test/w/rest.php');
+		expect(await bot.rest.getHtml('AC/DC')).to.equal('<p>Band</p>');
+	});
+
+	it('gets history, diffs and search results', async function () {
+		nock('https://rest.test')
+			.get('/w/rest.php/v1/page/Foo_bar/history')
+			.query({ older_than: 100, filter: 'bot' })
+			.reply(200, { revisions: [{ id: 99, delta: 5 }], latest: '' })
+			.get('/w/rest.php/v1/revision/98/compare/99')
+			.reply(200, { from: { id: 98 }, to: { id: 99 }, diff: [{ type: 1, lineNumber: 2, text: 'new' }] })
+			.get('/w/rest.php/v1/search/page')
+			.query({ q: 'foo', limit: 10 })
+			.reply(200, { pages: [{ id: 1, title: 'Foo bar', excerpt: '<span class="searchmatch">Foo</span>' }] });
+
+		const history = await bot.rest.getHistory('Foo bar', { olderThan: 100, filter: 'bot' });
+		expect(history.revisions[0]).to.deep.equal({ id: 99, delta: 5 });
+		const compare = await bot.rest.compare(98, 99);
+		expect(compare.diff[0]).to.include({ type: 1, text: 'new' });
+		const results = await bot.rest.search('foo', 10);
+		expect(results.map((result) => result.title)).to.deep.equal(['Foo bar']);
+	});
+
+	it('makes conditional requests using ETags', async function () {
+		nock('https://rest.test')
+			.get('/w/rest.php/v1/page/Foo')
+			.reply(200, { title: 'Foo', source: 'foo' }, { ETag: 'W/"10"' })
+			.get('/w/rest.php/v1/page/Foo')
+			.matchHeader('if-none-match', 'W/"10"')
+			.reply(304, '', { ETag: 'W/"10"' });
+
+		const response = await bot.rest.request('/v1/page/Foo');
+		expect(response).to.include({ status: 200, etag: 'W/"10"', notModified: false });
+		expect(response.data.source).to.equal('foo');
+
+		const conditional = await bot.rest.request('/v1/page/Foo', { ifNoneMatch: response.etag });
+		expect(conditional).to.include({ status: 304, notModified: true, data: null });
+	});
+
+	it('rejects with MwnError on errors', async function () {
+		nock('https://rest.test')
+			.get('/w/rest.php/v1/page/Missing')
+			.reply(404, {
+				messageTranslations: { en: 'The specified page (Missing) does not exist' },
+				errorKey: 'rest-nonexistent-title',
+				httpCode: 404,
+				httpReason: 'Not Found',
+			})
+			.get('/w/rest.php/v1/revision/1/compare/2')
+			.reply(400, { httpCode: 400, httpReason: 'Bad Request', message: 'Revisions are of different pages' });
+
+		const err = await bot.rest.getPage('Missing').catch((err) => err);
+		expect(err).to.be.instanceOf(mwn.Error.MissingPage);
+		expect(err).to.include({
+			code: 'rest-nonexistent-title',
+			info: 'The specified page (Missing) does not exist',
+			httpCode: 404,
+		});
+
+		const err2 = await bot.rest.compare(1, 2).catch((err) => err);
+		expect(err2).to.be.instanceOf(mwn.Error);
+		expect(err2).to.include({ code: 'rest-http-400', info: 'Revisions are of different pages' });
+	});
+
+	it('authenticates in the same way as Action API requests', async function () {
+		const oauthBot = new mwn({ apiUrl, silent: true, OAuth2Credentials: { accessToken: 'access' } });
+		oauthBot.initOAuth2();
+		oauthBot.rest.url = 'https://rest.test/w/rest.php';
+		const scope = nock('https://rest.test', { reqheaders: { authorization: 'Bearer access' } })
+			.get('/w/rest.php/v1/page/Foo')
+			.reply(200, { title: 'Foo' });
+		await oauthBot.rest.getPage('Foo');
+		expect(scope.isDone()).to.be.true;
+
+		await bot.cookieJar.setCookie('session=abc', 'https://rest.test/w/');
+		nock('https://rest.test', { reqheaders: { cookie: 'session=abc' } })
+			.get('/w/rest.php/v1/page/Foo')
+			.reply(200, { title: 'Foo' });
+		await bot.rest.getPage('Foo');
+	});
+});
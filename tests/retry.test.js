@@ -0,0 +1,78 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const utils = require('../build/utils');
+const { getRetryDelay, parseRetryAfter } = require('../build/retry');
+
+describe('retry policy and circuit breaker', function () {
+	const apiUrl = 'https://retry.test/w/api.php';
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('parses Retry-After headers', function () {
+		expect(parseRetryAfter('120')).to.equal(120000);
+		expect(parseRetryAfter(undefined)).to.equal(null);
+		expect(parseRetryAfter('soon')).to.equal(null);
+		let delay = parseRetryAfter(new Date(Date.now() + 30000).toUTCString());
+		expect(delay).to.be.within(28000, 30000);
+	});
+
+	it('computes delays as per the retry policy', function () {
+		const bot = new mwn({ retryPause: 1000 });
+		expect(getRetryDelay(bot, 0)).to.equal(1000);
+		expect(getRetryDelay(bot, 3)).to.equal(1000);
+
+		bot.setOptions({ retryPolicy: { strategy: 'exponential', maxDelay: 5000 } });
+		expect(getRetryDelay(bot, 0)).to.equal(1000);
+		expect(getRetryDelay(bot, 2)).to.equal(4000);
+		expect(getRetryDelay(bot, 3)).to.equal(5000);
+
+		bot.setOptions({ retryPolicy: { jitter: true } });
+		for (let i = 0; i < 20; i++) {
+			expect(getRetryDelay(bot, 1)).to.be.within(1000, 2000);
+		}
+
+		const response = { status: 503, headers: { 'retry-after': '7' } };
+		expect(getRetryDelay(bot, 1, { response })).to.equal(5000);
+		bot.setOptions({ retryPolicy: { maxDelay: 10000 } });
+		expect(getRetryDelay(bot, 1, { response })).to.equal(7000);
+		bot.setOptions({ retryPolicy: { respectRetryAfter: false } });
+		expect(getRetryDelay(bot, 0, { response })).to.be.within(500, 1000);
+	});
+
+	it('respects Retry-After on HTTP 429', async function () {
+		const bot = new mwn({ apiUrl, silent: true });
+		const sleepStub = sinon.stub(utils, 'sleep').resolves();
+		sinon.stub(console, 'log');
+		nock('https://retry.test')
+			.get('/w/api.php')
+			.query(true)
+			.reply(429, 'Too many requests', { 'Retry-After': '12' })
+			.get('/w/api.php')
+			.query(true)
+			.reply(200, { batchcomplete: true });
+		await expect(bot.query({})).to.eventually.deep.equal({ batchcomplete: true });
+		expect(sleepStub).to.have.been.calledOnceWith(12000);
+	});
+
+	it('stops sending requests to a failing host', async function () {
+		const bot = new mwn({ apiUrl, silent: true, maxRetries: 0, circuitBreaker: { threshold: 2 } });
+		const scope = nock('https://retry.test').get('/w/api.php').query(true).times(2).reply(502);
+		await expect(bot.query({})).to.be.rejected;
+		await expect(bot.query({})).to.be.rejected;
+		expect(scope.isDone()).to.equal(true);
+		await expect(bot.query({})).to.be.rejected.then((err) => {
+			expect(err.code).to.equal('mwn_circuitopen');
+		});
+
+		// reopens after cooldown
+		bot.circuitBreaker.hosts['retry.test'].openUntil = Date.now() - 1;
+		nock('https://retry.test').get('/w/api.php').query(true).reply(200, { batchcomplete: true });
+		await expect(bot.query({})).to.eventually.deep.equal({ batchcomplete: true });
+		expect(bot.circuitBreaker.hosts).to.deep.equal({});
+	});
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const { FakeWiki } = require('../testing');
+
+const text = `Lead
+
+== Status ==
+Running
+
+== Archive ==
+Old
+
+=== Status ===
+Stopped`;
+
+describe('section editing', function () {
+	let wiki, bot;
+
+	beforeEach(async function () {
+		wiki = new FakeWiki({ pages: { Foo: text } });
+		bot = await wiki.createBot({ username: 'Example', password: 'password' });
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('edits a section found by its header', async function () {
+		const page = new bot.page('Foo');
+		const transform = sinon.fake.returns('== Status ==\nPaused');
+		const result = await page.editSection('Status', transform, { conflictRetries: 0 });
+		expect(result).to.include({ result: 'Success' });
+		expect(transform).to.have.been.calledOnceWith(sinon.match({ content: '== Status ==\nRunning' }));
+		expect(wiki.getText('Foo')).to.equal(text.replace('Running', 'Paused'));
+		expect(wiki.requests.pop()).to.include({ action: 'edit', section: '1' });
+
+		await page.editSection({ header: 'Status', occurrence: 2 }, (rev) => rev.content + '\nfor now', {});
+		expect(wiki.getText('Foo')).to.match(/Stopped\nfor now$/);
+
+		await page.editSection(0, () => 'New lead', {});
+		expect(wiki.getText('Foo')).to.match(/^New lead\n\n== Status ==/);
+	});
+
+	it('appends and prepends to sections', async function () {
+		const page = new bot.page('Foo');
+		await page.appendToSection('Archive', '\nAlso old', 'append');
+		// Only the section index is looked up, without fetching the content
+		const [query] = wiki.requests.filter((req) => req.action === 'query' && req.prop === 'revisions');
+		expect(query).to.include({ rvprop: 'ids|timestamp' }).and.not.have.property('rvsection');
+		await page.prependToSection('Archive', 'Old too\n', 'prepend');
+		expect(wiki.getText('Foo')).to.include('== Archive ==\nOld too\nOld\n\n=== Status ===\nStopped\nAlso old');
+		expect(wiki.requests.filter((req) => req.action === 'edit').map((req) => req.summary)).to.deep.equal([
+			'append',
+			'prepend',
+		]);
+	});
+
+	it('logs the changes to the section if enabled', async function () {
+		const consoleLog = sinon.stub(console, 'log');
+		bot.setOptions({ silent: false });
+		await new bot.page('Foo').editSection('Archive', (rev) => rev.content.replace('Old', 'New'), {
+			logDiff: true,
+		});
+		expect(consoleLog).to.have.been.calledOnce;
+		expect(consoleLog.firstCall.args[0]).to.include('Changes made to section 2 of Foo:').and.include('+New');
+	});
+
+	it('rejects for sections which are not found', async function () {
+		const page = new bot.page('Foo');
+		const err = await page.appendToSection('Missing', 'text').catch((err) => err);
+		expect(err).to.be.instanceOf(mwn.Error);
+		expect(err).to.include({ code: 'nosuchsection' });
+
+		const err2 = await page.editSection({ header: 'Status', occurrence: 3 }, () => '').catch((err) => err);
+		expect(err2).to.include({ code: 'nosuchsection' });
+	});
+
+	it('looks up the section again if the page is edited meanwhile', async function () {
+		const request = bot.request.bind(bot);
+		let edited = false;
+		sinon.stub(bot, 'request').callsFake(async (params) => {
+			const response = await request(params);
+			if (params.action === 'parse' && !edited) {
+				// A new section is added above, so the section is now numbered 2
+				edited = true;
+				wiki.seed({ Foo: text.replace('== Status ==', '== Intro ==\nHi\n\n== Status ==') });
+			}
+			return response;
+		});
+		const page = new bot.page('Foo');
+		await page.editSection('Status', () => '== Status ==\nDone', { conflictRetries: 1 });
+		expect(wiki.getText('Foo')).to.include('== Intro ==\nHi\n\n== Status ==\nDone\n\n== Archive ==');
+		expect(wiki.requests.filter((req) => req.action === 'parse')).to.have.length(2);
+
+		edited = false;
+		const err = await page.editSection('Status', () => 'x', { conflictRetries: 0 }).catch((err) => err);
+		expect(err).to.be.instanceOf(mwn.Error.EditConflict);
+	});
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('persistent sessions', function () {
+	const apiUrl = 'https://session.test/w/api.php';
+	const sessionPath = path.join(os.tmpdir(), `mwn-session-${process.pid}.json`);
+	const config = { apiUrl, username: 'Bot@test', password: 'secret', silent: true, maxRetries: 0 };
+
+	const siteinfo = {
+		general: { legaltitlechars: ' %!"$&\'()*,\\-./0-9:;=?@A-Z\\\\^_`a-z~\\x80-\\xFF+' },
+		namespaces: {
+			0: { id: 0, name: '', canonical: '' },
+			2: { id: 2, name: 'User', canonical: 'User' },
+		},
+		namespacealiases: [],
+	};
+	const userinfo = { id: 1, name: 'Bot', rights: ['edit'], ratelimits: {} };
+
+	/** Mock the requests made by login() */
+	function mockLogin() {
+		return nock('https://session.test')
+			.get('/w/api.php')
+			.query((query) => query.type === 'login')
+			.reply(200, { query: { tokens: { logintoken: 'logintoken+\\' } } })
+			.post('/w/api.php', /action=login/)
+			.reply(200, { login: { result: 'Success', lgusername: 'Bot' } }, { 'Set-Cookie': 'session=fresh; Path=/' })
+			.get('/w/api.php')
+			.query((query) => query.meta === 'tokens|siteinfo|userinfo')
+			.reply(200, {
+				query: { tokens: { csrftoken: 'freshtoken+\\' }, ...siteinfo, userinfo },
+			});
+	}
+
+	beforeEach(function () {
+		sinon.stub(console, 'log');
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+		if (fs.existsSync(sessionPath)) {
+			fs.unlinkSync(sessionPath);
+		}
+	});
+
+	it('saves the session', async function () {
+		const bot = new mwn(config);
+		await bot.cookieJar.setCookie('session=abc; Path=/', apiUrl);
+		bot.csrfToken = 'token+\\';
+		bot.state = { csrftoken: 'token+\\' };
+		bot.title.processNamespaceData({ query: siteinfo });
+		await bot.saveSession(sessionPath);
+
+		const session = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+		expect(session).to.include({ apiUrl, username: 'Bot@test', csrfToken: 'token+\\', hasApiHighLimit: false });
+		expect(session.cookies.cookies[0]).to.include({ key: 'session', value: 'abc' });
+		expect(session.namespaceData.nameIdMap).to.include({ user: 2 });
+		if (process.platform !== 'win32') {
+			expect(fs.statSync(sessionPath).mode & 0o777).to.equal(0o600);
+		}
+	});
+
+	it('makes an existing session file private', async function () {
+		if (process.platform === 'win32') {
+			this.skip();
+		}
+		fs.writeFileSync(sessionPath, '{}', { mode: 0o644 });
+		fs.chmodSync(sessionPath, 0o644);
+		await new mwn(config).saveSession(sessionPath);
+		expect(fs.statSync(sessionPath).mode & 0o777).to.equal(0o600);
+	});
+
+	it('restores a valid session without logging in', async function () {
+		const bot = new mwn(config);
+		await bot.cookieJar.setCookie('session=abc; Path=/', apiUrl);
+		bot.csrfToken = 'token+\\';
+		bot.title.processNamespaceData({ query: siteinfo });
+		await bot.saveSession(sessionPath);
+
+		nock('https://session.test', { reqheaders: { cookie: 'session=abc' } })
+			.get('/w/api.php')
+			.query((query) => query.assert === 'user' && query.meta === 'userinfo')
+			.reply(200, { query: { userinfo: { ...userinfo, rights: ['edit', 'apihighlimit'] } } });
+		const restored = await mwn.restoreSession(sessionPath, config);
+		expect(nock.isDone()).to.be.true;
+		expect(restored.loggedIn).to.be.true;
+		expect(restored.csrfToken).to.equal('token+\\');
+		expect(restored.hasApiHighLimit).to.be.true;
+		expect(new restored.title('user:foo').toText()).to.equal('User:Foo');
+	});
+
+	it('logs in afresh if the session has expired', async function () {
+		fs.writeFileSync(
+			sessionPath,
+			JSON.stringify({
+				apiUrl,
+				username: 'Bot@test',
+				cookies: { version: 'tough-cookie@4.0.0', storeType: 'MemoryCookieStore', cookies: [] },
+				state: {},
+				csrfToken: 'staletoken+\\',
+				hasApiHighLimit: false,
+				namespaceData: {},
+			})
+		);
+		nock('https://session.test')
+			.get('/w/api.php')
+			.query((query) => query.assert === 'user')
+			.reply(200, { error: { code: 'assertuserfailed', info: 'You are no longer logged in' } });
+		mockLogin();
+		const bot = await mwn.restoreSession(sessionPath, config);
+		expect(nock.isDone()).to.be.true;
+		expect(bot.csrfToken).to.equal('freshtoken+\\');
+		expect(bot.loggedIn).to.be.true;
+	});
+
+	it('logs in afresh if there is no session file, or it is for another user', async function () {
+		mockLogin();
+		let bot = await mwn.restoreSession(sessionPath, config);
+		expect(nock.isDone()).to.be.true;
+		expect(bot.csrfToken).to.equal('freshtoken+\\');
+
+		await bot.saveSession(sessionPath);
+		mockLogin();
+		bot = await mwn.restoreSession(sessionPath, { ...config, username: 'Other@test' });
+		expect(nock.isDone()).to.be.true;
+	});
+});
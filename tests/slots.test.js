@@ -0,0 +1,195 @@
+'use strict';
+
+const { mwn, expect, sinon, fromEntries } = require('./test_base');
+const nock = require('nock');
+
+const mediainfo = '{"type":"mediainfo","id":"M5","labels":{"en":{"language":"en","value":"Example"}}}';
+
+/** A revision of a file page having a main and a mediainfo slot */
+function revision(query) {
+	const slots = {
+		main: { contentmodel: 'wikitext', contentformat: 'text/x-wiki', content: '== Summary ==' },
+		mediainfo: { contentmodel: 'wikibase-mediainfo', contentformat: 'application/json', content: mediainfo },
+	};
+	const roles = query.rvslots === '*' ? Object.keys(slots) : query.rvslots.split('|');
+	const revisionSlots = {};
+	for (let role of roles) {
+		revisionSlots[role] = slots[role] || { missing: true };
+	}
+	return {
+		curtimestamp: '2021-01-02T00:00:00Z',
+		query: {
+			pages: [
+				{
+					pageid: 5,
+					ns: 6,
+					title: 'File:Example.jpg',
+					revisions: [{ timestamp: '2021-01-01T00:00:00Z', slots: revisionSlots }],
+				},
+			],
+		},
+	};
+}
+
+/**
+ * Respond to action=paraminfo for the edit module. MediaWiki core has no parameters for
+ * slots; the templated parameters are as in action=compare.
+ * @param {string[]} [templated] - templated parameters for slots, if any
+ */
+function mockEditParamInfo(templated = []) {
+	nock('https://slots.test')
+		.post('/w/api.php', (body) => body.action === 'paraminfo' && body.modules === 'edit')
+		.reply(200, {
+			paraminfo: {
+				modules: [
+					{
+						name: 'edit',
+						path: 'edit',
+						prefix: '',
+						parameters: [
+							{ name: 'text', type: 'text' },
+							...(templated.length ? [{ name: 'slots', type: ['main', 'mediainfo'], multi: true }] : []),
+						],
+						templatedparameters: templated.map((name) => ({
+							name: `${name}-{slot}`,
+							type: name === 'text' ? 'text' : 'string',
+							templatevars: { slot: 'slots' },
+						})),
+					},
+				],
+			},
+		});
+}
+
+describe('multi-content revision slots', function () {
+	const apiUrl = 'https://slots.test/w/api.php';
+	let bot;
+
+	beforeEach(function () {
+		bot = new mwn({ apiUrl, silent: true });
+		bot.csrfToken = 'csrf+\\';
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('reads the requested slots', async function () {
+		nock('https://slots.test')
+			.get('/w/api.php')
+			.query((query) => query.action === 'query' && query.rvslots === 'main|mediainfo|extra')
+			.reply(200, (uri) => revision(fromEntries(new URL(uri, apiUrl).searchParams)));
+
+		const page = await bot.read('File:Example.jpg', { slots: ['main', 'mediainfo', 'extra'] });
+		const rev = page.revisions[0];
+		expect(rev.content).to.equal('== Summary ==');
+		expect(rev.slots.mediainfo).to.include({ contentmodel: 'wikibase-mediainfo', content: mediainfo });
+		expect(rev.slots.extra).to.deep.equal({ missing: true });
+	});
+
+	it('reads only the main slot by default', async function () {
+		const reply = (uri) => revision(fromEntries(new URL(uri, apiUrl).searchParams));
+		// Reads of multiple pages are sent as POST requests
+		nock('https://slots.test')
+			.post('/w/api.php')
+			.query((query) => query.rvslots === 'main')
+			.reply(200, reply);
+		nock('https://slots.test')
+			.get('/w/api.php')
+			.query((query) => query.rvslots === 'main')
+			.reply(200, reply);
+
+		const page = await bot.read(['File:Example.jpg']);
+		expect(page.revisions[0].slots).to.have.keys('main');
+		const page2 = await bot.read('File:Example.jpg');
+		expect(page2.revisions[0]).to.include({ contentmodel: 'wikitext' });
+	});
+
+	it('edits slots other than main where the API supports it', async function () {
+		nock('https://slots.test')
+			.get('/w/api.php')
+			.query((query) => query.rvslots === 'main|mediainfo')
+			.reply(200, (uri) => revision(fromEntries(new URL(uri, apiUrl).searchParams)));
+		mockEditParamInfo(['text', 'contentmodel', 'contentformat']);
+		const editScope = nock('https://slots.test')
+			.post('/w/api.php', {
+				'action': 'edit',
+				'title': 'File:Example.jpg',
+				'formatversion': '2',
+				'basetimestamp': '2021-01-01T00:00:00Z',
+				'starttimestamp': '2021-01-02T00:00:00Z',
+				'nocreate': '1',
+				'bot': '1',
+				'token': 'csrf+\\',
+				'summary': 'labels',
+				'slots': 'mediainfo',
+				'text-mediainfo': mediainfo.replace('Example', 'Changed'),
+				'contentmodel-mediainfo': 'wikibase-mediainfo',
+				'format': 'json',
+				'maxlag': '5',
+			})
+			.reply(200, { edit: { result: 'Success', title: 'File:Example.jpg' } });
+
+		const transform = sinon.spy((rev) => ({
+			summary: 'labels',
+			slots: {
+				mediainfo: {
+					content: rev.slots.mediainfo.content.replace('Example', 'Changed'),
+					contentmodel: 'wikibase-mediainfo',
+				},
+			},
+		}));
+		const result = await bot.edit('File:Example.jpg', transform, { slots: ['mediainfo'] });
+		expect(result).to.deep.equal({ result: 'Success', title: 'File:Example.jpg' });
+		expect(transform.firstCall.args[0]).to.include({ content: '== Summary ==' });
+		expect(editScope.isDone()).to.be.true;
+	});
+
+	it('rejects edits to other slots where the API does not support it', async function () {
+		nock('https://slots.test')
+			.get('/w/api.php')
+			.query((query) => query.rvslots === 'main')
+			.twice()
+			.reply(200, (uri) => revision(fromEntries(new URL(uri, apiUrl).searchParams)));
+		mockEditParamInfo();
+		const err = await bot.edit('File:Example.jpg', () => ({ slots: { mediainfo: '{}' } }), {}).catch((err) => err);
+		expect(err).to.be.instanceOf(mwn.Error);
+		expect(err).to.include({ code: 'mwn_slotsunsupported' });
+		expect(err.message).to.include('(mediainfo)');
+		expect(err.message).to.include('action=wbeditentity');
+
+		// Content for the main slot alone is sent as usual
+		nock('https://slots.test')
+			.post('/w/api.php', (body) => body.text === 'new' && body.contentmodel === 'wikitext' && !body.slots)
+			.reply(200, { edit: { result: 'Success' } });
+		const result = await bot.edit(
+			'File:Example.jpg',
+			() => ({ slots: { main: { content: 'new', contentmodel: 'wikitext' } } }),
+			{}
+		);
+		expect(result).to.deep.equal({ result: 'Success' });
+	});
+
+	it('rejects edits to slots or slot properties not supported by the API, without sending them', async function () {
+		bot.setOptions({ editConfig: { conflictRetries: 0 } });
+		nock('https://slots.test')
+			.get('/w/api.php')
+			.query((query) => query.rvslots === 'main')
+			.twice()
+			.reply(200, (uri) => revision(fromEntries(new URL(uri, apiUrl).searchParams)));
+		mockEditParamInfo(['text']);
+		const request = sinon.spy(bot, 'request');
+
+		const err = await bot.edit('File:Example.jpg', () => ({ slots: { extra: 'x' } })).catch((err) => err);
+		expect(err).to.include({ code: 'mwn_slotsunsupported' });
+		expect(err.message).to.include('slots: extra');
+
+		const err2 = await bot
+			.edit('File:Example.jpg', () => ({ slots: { mediainfo: { content: '{}', contentmodel: 'json' } } }))
+			.catch((err) => err);
+		expect(err2).to.include({ code: 'mwn_slotsunsupported' });
+		expect(err2.message).to.include('contentmodel of slots (mediainfo)');
+		expect(request.getCalls().filter((call) => call.args[0].action === 'edit')).to.have.length(0);
+	});
+});
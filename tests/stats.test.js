@@ -0,0 +1,82 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const nock = require('nock');
+const utils = require('../build/utils');
+
+describe('request stats', function () {
+	const apiUrl = 'https://stats.test/w/api.php';
+
+	let bot;
+	beforeEach(function () {
+		bot = new mwn({ apiUrl, silent: true });
+	});
+
+	afterEach(function () {
+		nock.cleanAll();
+		sinon.restore();
+	});
+
+	it('counts requests per module', async function () {
+		nock('https://stats.test').get('/w/api.php').query(true).times(2).reply(200, { batchcomplete: true });
+		await bot.query({ prop: 'revisions|info', titles: 'Foo' });
+		await bot.query({ list: 'categorymembers', cmtitle: 'Category:Foo' });
+
+		const stats = bot.stats();
+		expect(stats.requests).to.equal(2);
+		expect(stats.modules.query.requests).to.equal(2);
+		expect(stats.modules['query+revisions'].requests).to.equal(1);
+		expect(stats.modules['query+info'].requests).to.equal(1);
+		expect(stats.modules['query+categorymembers'].requests).to.equal(1);
+		expect(stats.modules.query.latency.count).to.equal(2);
+		expect(stats.modules.query.latency.buckets['+Inf']).to.equal(2);
+		expect(stats.bytesSent).to.be.greaterThan(0);
+		expect(stats.bytesReceived).to.equal(2 * JSON.stringify({ batchcomplete: true }).length);
+	});
+
+	it('counts edits, errors and retries by reason', async function () {
+		sinon.stub(utils, 'sleep').resolves();
+		sinon.stub(console, 'log');
+		nock('https://stats.test')
+			.post('/w/api.php')
+			.reply(200, { error: { code: 'maxlag', info: 'Lagged', lag: 6 } })
+			.post('/w/api.php')
+			.reply(200, { edit: { result: 'Success', title: 'Foo' } })
+			.post('/w/api.php')
+			.reply(502, 'Bad gateway')
+			.post('/w/api.php')
+			.reply(200, { edit: { result: 'Success', title: 'Foo', nochange: true } });
+		await bot.save('Foo', 'text');
+		await bot.save('Foo', 'text');
+
+		const stats = bot.stats();
+		expect(stats.requests).to.equal(4);
+		expect(stats.edits).to.equal(1);
+		expect(stats.errors).to.equal(2);
+		expect(stats.errorCodes).to.deep.equal({ maxlag: 1 });
+		expect(stats.modules.edit).to.include({ requests: 4, errors: 2 });
+		expect(stats.retries).to.deep.equal({ total: 2, byReason: { maxlag: 1, network: 1 } });
+	});
+
+	it('resets the numbers', async function () {
+		nock('https://stats.test').get('/w/api.php').query(true).reply(200, {});
+		await bot.query({ meta: 'siteinfo' });
+		bot.resetStats();
+		const stats = bot.stats();
+		expect(stats.requests).to.equal(0);
+		expect(stats.modules).to.deep.equal({});
+	});
+
+	it('exports in the Prometheus text format', async function () {
+		nock('https://stats.test').get('/w/api.php').query(true).reply(200, {});
+		await bot.query({ meta: 'siteinfo' });
+		const text = bot.prometheusMetrics();
+		expect(text).to.include('# TYPE mwn_requests_total counter');
+		expect(text).to.include('mwn_requests_total{host="stats.test",module="query+siteinfo"} 1');
+		expect(text).to.include('# TYPE mwn_request_duration_seconds histogram');
+		expect(text).to.include('mwn_request_duration_seconds_bucket{host="stats.test",module="query",le="+Inf"} 1');
+		expect(text).to.include('mwn_request_duration_seconds_count{host="stats.test",module="query"} 1');
+		expect(text).to.include('mwn_edits_total{host="stats.test"} 0');
+		expect(bot.prometheusMetrics('bot')).to.include('bot_requests_total');
+	});
+});
@@ -30,4 +30,16 @@ function verifyTokenAndSiteInfo(bot) {
 	expect(bot.title.nameIdMap).to.include.all.keys('project', 'user');
 }
 
-module.exports = { mwn, log, expect, assert, sinon, verifyTokenAndSiteInfo };
+/**
+ * Object.fromEntries(), which needs Node.js 12
+ * @param {Iterable} entries - eg. a URLSearchParams object
+ */
+function fromEntries(entries) {
+	const object = {};
+	for (let [key, value] of entries) {
+		object[key] = value;
+	}
+	return object;
+}
+
+module.exports = { mwn, log, expect, assert, sinon, verifyTokenAndSiteInfo, fromEntries };
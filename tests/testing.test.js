@@ -0,0 +1,172 @@
+'use strict';
+
+const { mwn, expect, sinon } = require('./test_base');
+const utils = require('../build/utils');
+const { FakeWiki } = require('../testing');
+
+describe('FakeWiki', function () {
+	let wiki, bot;
+
+	beforeEach(async function () {
+		sinon.stub(console, 'log');
+		wiki = new FakeWiki({
+			pages: {
+				'Sandbox': 'Hello',
+				'Category:Fruits': 'Fruits',
+				'Apple': 'Red. [[Category:Fruits]]',
+				'Banana': 'Yellow. [[Category:Fruits|B]]',
+				'Cherry': 'Red. [[category:fruits]]',
+				'Talk:Apple': 'Discussion',
+			},
+		});
+		bot = await wiki.createBot({ username: 'Example', password: 'password' });
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('logs in, reads and edits pages', async function () {
+		expect(bot.loggedIn).to.be.true;
+		expect(bot.csrfToken).to.not.equal('+\\');
+		expect(await bot.userinfo()).to.include({ name: 'Example' });
+
+		const page = await bot.read('sandbox');
+		expect(page.title).to.equal('Sandbox');
+		expect(page.revisions[0].content).to.equal('Hello');
+
+		const edit = await bot.edit('Sandbox', (rev) => rev.content + ' world', { conflictRetries: 0 });
+		expect(edit).to.include({ result: 'Success', title: 'Sandbox' });
+		expect(wiki.getText('Sandbox')).to.equal('Hello world');
+		expect(wiki.getPage('Sandbox').revisions[1]).to.include({ user: 'Example', parentid: edit.oldrevid });
+
+		const nochange = await bot.save('Sandbox', 'Hello world');
+		expect(nochange.nochange).to.be.true;
+		await expect(bot.create('Sandbox', 'Hi')).to.be.rejectedWith('articleexists');
+	});
+
+	it('rejects bad logins and unsupported requests', async function () {
+		const err = await wiki.createBot({ username: 'Example', password: 'wrong' }).catch((err) => err);
+		expect(err.code).to.equal('mwn_failedlogin');
+		await expect(bot.request({ action: 'upload' })).to.be.rejectedWith('badvalue');
+	});
+
+	it('detects edit conflicts', async function () {
+		let conflicted = false;
+		await bot.edit(
+			'Sandbox',
+			(rev) => {
+				if (!conflicted) {
+					// someone else edits the page in the meantime
+					conflicted = true;
+					wiki.seed({ Sandbox: 'Hello there' });
+				}
+				return rev.content + '!';
+			},
+			{ conflictRetries: 1 }
+		);
+		expect(wiki.getText('Sandbox')).to.equal('Hello there!');
+	});
+
+	it('injects edit conflicts, maxlag and badtoken errors', async function () {
+		const sleep = sinon.stub(utils, 'sleep').resolves();
+		wiki.injectError('editconflict');
+		await bot.edit('Sandbox', (rev) => rev.content + '!', { conflictRetries: 1 });
+		expect(wiki.getText('Sandbox')).to.equal('Hello!');
+		expect(wiki.requests.filter((params) => params.action === 'edit')).to.have.length(2);
+
+		wiki.injectError('maxlag', { lag: 7, times: 2 });
+		const page = await bot.read('Sandbox');
+		expect(page.revisions[0].content).to.equal('Hello!');
+		expect(sleep).to.have.been.calledTwice;
+		expect(sleep).to.have.been.calledWith(7000);
+
+		wiki.injectError('badtoken');
+		await bot.save('Sandbox', 'Bye');
+		expect(wiki.requests.some((params) => params.action === 'paraminfo' && params.modules === 'edit')).to.be.true;
+		expect(wiki.getText('Sandbox')).to.equal('Bye');
+	});
+
+	it('rejects edits with tokens from another session', async function () {
+		const otherBot = await wiki.createBot({ maxRetries: 0 });
+		otherBot.csrfToken = bot.csrfToken;
+		await expect(otherBot.save('Sandbox', 'Vandalism')).to.be.rejectedWith('badtoken');
+	});
+
+	it('lists category members and all pages, with continuation', async function () {
+		const members = await new bot.category('Fruits').members();
+		expect(members.map((page) => page.title)).to.deep.equal(['Apple', 'Banana', 'Cherry']);
+
+		const responses = await bot.continuedQuery({ action: 'query', list: 'allpages', aplimit: 2 });
+		expect(responses.map((response) => response.query.allpages.map((page) => page.title))).to.deep.equal([
+			['Apple', 'Banana'],
+			['Cherry', 'Sandbox'],
+		]);
+
+		const pages = [];
+		for await (let response of bot.continuedQueryGen({
+			action: 'query',
+			generator: 'categorymembers',
+			gcmtitle: 'Category:Fruits',
+			gcmlimit: 1,
+			prop: 'revisions',
+			rvprop: 'content',
+			rvslots: 'main',
+		})) {
+			pages.push(...response.query.pages);
+		}
+		expect(pages.map((page) => page.revisions[0].slots.main.content)).to.deep.equal([
+			'Red. [[Category:Fruits]]',
+			'Yellow. [[Category:Fruits|B]]',
+			'Red. [[category:fruits]]',
+		]);
+	});
+
+	it('moves and deletes pages', async function () {
+		const move = await bot.move('Apple', 'Malus', 'rename', { movetalk: true });
+		expect(move).to.include({ from: 'Apple', to: 'Malus', redirectcreated: true, talkto: 'Talk:Malus' });
+		expect(wiki.getText('Apple')).to.equal('#REDIRECT [[Malus]]');
+		const page = await bot.read('Apple', { redirects: true });
+		expect(page.title).to.equal('Malus');
+		expect(page.revisions[0].content).to.equal('Red. [[Category:Fruits]]');
+
+		await bot.delete('Malus', 'cleanup');
+		expect(wiki.getPage('Malus')).to.be.undefined;
+		expect((await bot.read('Malus')).missing).to.be.true;
+		await expect(bot.delete('Malus', 'again')).to.be.rejectedWith('missingtitle');
+	});
+
+	it('gives the wikitext and sections on parse', async function () {
+		wiki.seed({ Sandbox: 'Intro\n== A ==\nfoo\n=== A1 ===\nbar\n== B ==\nbaz' });
+		expect(await bot.parseTitle('Sandbox')).to.equal('Intro\n== A ==\nfoo\n=== A1 ===\nbar\n== B ==\nbaz');
+		const response = await bot.request({ action: 'parse', page: 'Sandbox', prop: 'sections' });
+		expect(response.parse.sections.map((section) => [section.number, section.line])).to.deep.equal([
+			['1', 'A'],
+			['1.1', 'A1'],
+			['2', 'B'],
+		]);
+
+		await bot.save('Sandbox', '== A ==\nqux', 'section edit', { section: 1 });
+		expect(wiki.getText('Sandbox')).to.equal('Intro\n== A ==\nqux\n== B ==\nbaz');
+	});
+
+	it('works without a login', async function () {
+		const anonBot = await new FakeWiki({ pages: { Foo: 'bar' } }).createBot();
+		expect(anonBot.loggedIn).to.be.false;
+		expect((await anonBot.read('Foo')).revisions[0].content).to.equal('bar');
+		expect(anonBot).to.be.instanceOf(mwn);
+	});
+
+	it('takes OAuth requests to be anonymous if there are no users', async function () {
+		const wiki = new FakeWiki({ pages: { Foo: 'bar' }, users: {} });
+		const oauthBot = await mwn.init({
+			apiUrl: wiki.apiUrl,
+			transport: wiki,
+			silent: true,
+			OAuth2Credentials: { accessToken: 'token' },
+		});
+		expect(oauthBot.usingOAuth2).to.be.true;
+		expect((await oauthBot.read('Foo')).revisions[0].content).to.equal('bar');
+		expect(await oauthBot.userinfo()).to.include({ anon: true });
+	});
+});
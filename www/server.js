@@ -8,6 +8,7 @@ const express = require('express');
 const logger = require('morgan');
 const debug = require('debug')('www:server');
 const http = require('http');
+const { mwn } = require('..');
 
 const app = express();
 
@@ -15,6 +16,92 @@ app.use(logger('dev'));
 app.use(express.urlencoded({ extended: false }));
 app.use(express.static('/data/project/mwn/www/static'));
 
+/**
+ * Demo of the OAuth authorization flow helpers, enabled if the consumer
+ * credentials are set in the environment. Visit /oauth/login (OAuth 1.0a)
+ * or /oauth2/login (OAuth 2.0) to sign in.
+ */
+
+const apiUrl = process.env.OAUTH_API_URL || 'https://meta.wikimedia.org/w/api.php';
+const userAgent = 'mwn OAuth demo (https://mwn.toolforge.org)';
+
+function showUser(res, identity, userinfo) {
+	const { util } = mwn;
+	res.send(
+		`<p>Signed in as <b>${util.escapeHtml(identity.username)}</b> (${identity.editcount} edits)</p>` +
+			`<p>Groups: ${util.escapeHtml(identity.groups.join(', '))}</p>` +
+			`<p>Rights available to the tool: ${util.escapeHtml(userinfo.rights.join(', '))}</p>`
+	);
+}
+
+if (process.env.OAUTH_CONSUMER_TOKEN) {
+	const flow = new mwn.OAuthFlow({
+		apiUrl,
+		userAgent,
+		consumerToken: process.env.OAUTH_CONSUMER_TOKEN,
+		consumerSecret: process.env.OAUTH_CONSUMER_SECRET,
+	});
+	// Request tokens of pending authorizations, keyed by the token key.
+	// A real tool would keep the token in the user's session instead.
+	const requestTokens = new Map();
+
+	app.get('/oauth/login', (req, res, next) => {
+		flow.initiate()
+			.then(({ requestToken, authorizeUrl }) => {
+				requestTokens.set(requestToken.key, requestToken);
+				res.redirect(authorizeUrl);
+			})
+			.catch(next);
+	});
+
+	app.get('/oauth/callback', async (req, res, next) => {
+		const requestToken = requestTokens.get(req.query.oauth_token);
+		if (!requestToken) {
+			return res.status(400).send('Unknown or expired request token. <a href="/oauth/login">Try again</a>');
+		}
+		requestTokens.delete(requestToken.key);
+		try {
+			const accessToken = await flow.handleCallback(req.query, requestToken);
+			const identity = await flow.identify(accessToken);
+			const bot = await flow.createBot(accessToken);
+			showUser(res, identity, await bot.userinfo({ uiprop: 'rights' }));
+		} catch (err) {
+			next(err);
+		}
+	});
+}
+
+if (process.env.OAUTH2_CLIENT_ID) {
+	const flow = new mwn.OAuth2Flow({
+		apiUrl,
+		userAgent,
+		clientId: process.env.OAUTH2_CLIENT_ID,
+		clientSecret: process.env.OAUTH2_CLIENT_SECRET,
+	});
+	// States of pending authorizations. A real tool would keep the state in the
+	// user's session instead.
+	const states = new Set();
+
+	app.get('/oauth2/login', (req, res) => {
+		const { authorizeUrl, state } = flow.getAuthorizeUrl();
+		states.add(state);
+		res.redirect(authorizeUrl);
+	});
+
+	app.get('/oauth2/callback', async (req, res, next) => {
+		const state = states.has(req.query.state) ? req.query.state : null;
+		states.delete(state);
+		try {
+			const token = await flow.handleCallback(req.query, state);
+			const identity = await flow.identify(token);
+			const bot = await flow.createBot(token);
+			showUser(res, identity, await bot.userinfo({ uiprop: 'rights' }));
+		} catch (err) {
+			next(err);
+		}
+	});
+}
+
 /**
  * Get port from environment and store in Express.
  */